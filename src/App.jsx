@@ -55,11 +55,11 @@ const App = () => {
     }
 
     // Validate file type
-    const validExtensions = ['.vgm', '.VGM'];
-    const fileExtension = file.name.substring(file.name.lastIndexOf('.'));
+    const validExtensions = ['.vgm', '.vgz'];
+    const fileExtension = file.name.substring(file.name.lastIndexOf('.')).toLowerCase();
     
     if (!validExtensions.includes(fileExtension)) {
-      setUploadError(`Invalid file type. Please upload a .vgm file for ${selectedSystem}.`);
+      setUploadError(`Invalid file type. Please upload a .vgm or .vgz file for ${selectedSystem}.`);
       setUploadedFile(null);
       return;
     }
@@ -122,7 +122,7 @@ const App = () => {
 
       const blob = await response.blob();
       const url = window.URL.createObjectURL(blob);
-      const fileName = `${uploadedFile.name.replace('.vgm', '')}.nsf`;
+      const fileName = `${uploadedFile.name.replace(/\.vg[mz]$/i, '')}.nsf`;
       
       setConvertedFile({ url, fileName });
       setConversionProgress(100);
@@ -218,7 +218,7 @@ const App = () => {
         {/* File Upload Step */}
         {workflowStep === 'file-upload' && (
           <div className="workflow-step file-upload-step">
-            <h2>Step 2: Upload VGM File</h2>
+            <h2>Step 2: Upload VGM/VGZ File</h2>
             <p className="system-info">
               Selected System: <strong>{SUPPORTED_SYSTEMS.find(s => s.id === selectedSystem)?.name}</strong>
             </p>
@@ -227,7 +227,7 @@ const App = () => {
               <div className="upload-area">
                 <input
                   type="file"
-                  accept=".vgm"
+                  accept=".vgm,.vgz"
                   onChange={handleFileUpload}
                   id="file-input"
                   className="file-input"
@@ -236,7 +236,7 @@ const App = () => {
                 <label htmlFor="file-input" className="upload-label">
                   <div className="upload-icon">📁</div>
                   <p className="upload-text">
-                    {uploadedFile ? uploadedFile.name : 'Click to select or drag and drop your .vgm file'}
+                    {uploadedFile ? uploadedFile.name : 'Click to select or drag and drop your .vgm or .vgz file'}
                   </p>
                   <p className="upload-subtext">Maximum file size: 10MB</p>
                 </label>
@@ -0,0 +1,237 @@
+#!/usr/bin/env node
+// Command-line VGM to NSF converter.
+//
+// Runs the same pipeline as the web app (./lib/converter.js) on files
+// from disk, one file or a whole folder at a time:
+//
+//   node src/cli.js --input song.vgz --output song.nsf
+//   node src/cli.js --input-dir ./sms_vgm --output-dir ./nes_nsf --region pal
+//
+// Every conversion option of the app has a flag; run with --help for the
+// list. A batch converts every .vgm/.vgz under the input folder, keeps the
+// folder layout in the output folder and carries on past files that fail.
+// The exit code is 0 when everything converted, 1 when any file failed and
+// 2 for bad arguments.
+
+import { mkdir, readdir, readFile, writeFile } from 'node:fs/promises';
+import path from 'node:path';
+import { parseArgs } from 'node:util';
+import { convertVGMFile, DEFAULT_CONVERSION_OPTIONS, SOURCE_SYSTEMS } from './lib/converter.js';
+
+const VGM_EXTENSION = /\.vg[mz]$/i;
+
+const USAGE = `Usage:
+  vgm2nsf --input <file.vgm|file.vgz> [--output <file.nsf>] [options]
+  vgm2nsf --input-dir <folder> --output-dir <folder> [options]
+
+Files:
+  -i, --input <file>            VGM or VGZ file to convert
+  -o, --output <file>           Output file (default: input name with the format's extension)
+      --input-dir <folder>      Convert every .vgm/.vgz under this folder
+      --output-dir <folder>     Where batch output goes, in the same folder layout
+  -f, --format <nsf|nsfe>       Output format (default: from --output, else nsf)
+
+Conversion:
+      --system <auto|sms|gg|sg1000>   Source system, which sets the PSG variant and the
+                                      chips read from the file (default: auto)
+      --region <ntsc|pal|dendy>       NES region (default: ntsc)
+      --updates-per-frame <1-4>       Driver updates per video frame (default: 1)
+      --channels <a,b,c>              Targets of tone 1-3: auto, square1, square2,
+                                      triangle, pulse1, pulse2 or off
+                                      (default: square1,square2,triangle)
+      --no-noise                      Drop the SN76489 noise channel
+      --periodic-noise <target>       short, square1, square2 or triangle (default: short)
+      --volume-curve <curve>          perceptual, linear or custom (default: perceptual)
+      --volume-table <list>           16 volumes for --volume-curve custom
+      --triangle <gate|dynamics>      Triangle strategy (default: gate)
+      --triangle-gate <0-14>          Highest attenuation that opens the triangle (default: 12)
+      --stereo <strategy>             Game Gear stereo: downmix, prioritize or drop (default: downmix)
+      --fm <vrc7|2a03>                YM2413 parts target (default: vrc7)
+      --expansion <none|vrc6|mmc5>    Expansion pulses for extra voices (default: none)
+      --no-pcm                        Leave out PCM and DPCM samples
+      --psg-samples <dmc|raw|keep>    Volume-register samples (default: dmc)
+      --no-loop-detection             Only loop at the VGM header's loop point
+      --loop-threshold <0.5-1>        Loop detection match threshold (default: 0.85)
+      --accept-detected-loops         Loop at detected loops (the app asks first)
+
+  -h, --help                    Show this help
+`;
+
+const CHOICES = {
+  format: ['nsf', 'nsfe'],
+  system: ['auto', ...Object.keys(SOURCE_SYSTEMS)],
+  region: ['ntsc', 'pal', 'dendy'],
+  channels: ['auto', 'square1', 'square2', 'triangle', 'pulse1', 'pulse2', 'off'],
+  'periodic-noise': ['short', 'square1', 'square2', 'triangle'],
+  'volume-curve': ['perceptual', 'linear', 'custom'],
+  triangle: ['gate', 'dynamics'],
+  stereo: ['downmix', 'prioritize', 'drop'],
+  fm: ['vrc7', '2a03'],
+  expansion: ['none', 'vrc6', 'mmc5'],
+  'psg-samples': ['dmc', 'raw', 'keep'],
+};
+
+class UsageError extends Error {}
+
+const choice = (flag, value) => {
+  if (!CHOICES[flag].includes(value)) {
+    throw new UsageError(`--${flag} must be one of ${CHOICES[flag].join(', ')} (got "${value}")`);
+  }
+  return value;
+};
+
+const number = (flag, value, { min, max, integer = false }) => {
+  const parsed = Number(value);
+  if (!Number.isFinite(parsed) || parsed < min || parsed > max || (integer && !Number.isInteger(parsed))) {
+    throw new UsageError(`--${flag} must be ${integer ? 'a whole number' : 'a number'} from ${min} to ${max}`);
+  }
+  return parsed;
+};
+
+// Conversion options from the parsed flags, on top of the app's defaults
+const conversionOptions = (values) => {
+  const options = { ...DEFAULT_CONVERSION_OPTIONS };
+
+  if (values.system) options.system = choice('system', values.system);
+  if (values.region) options.region = choice('region', values.region);
+  if (values['updates-per-frame']) {
+    options.updatesPerFrame = number('updates-per-frame', values['updates-per-frame'], { min: 1, max: 4, integer: true });
+  }
+  if (values.channels) {
+    const targets = values.channels.split(',').map((target) => choice('channels', target.trim()));
+    if (targets.length !== 3) throw new UsageError('--channels takes three targets, one per tone channel');
+    options.channelMapping = { tone0: targets[0], tone1: targets[1], tone2: targets[2] };
+  }
+  if (values['no-noise']) options.preserveNoise = false;
+  if (values['periodic-noise']) options.periodicNoise = choice('periodic-noise', values['periodic-noise']);
+  if (values['volume-curve']) options.volumeCurve = choice('volume-curve', values['volume-curve']);
+  if (values['volume-table']) options.customVolumeTable = values['volume-table'];
+  if (values.triangle) options.triangleStrategy = choice('triangle', values.triangle);
+  if (values['triangle-gate']) {
+    options.triangleGateThreshold = number('triangle-gate', values['triangle-gate'], { min: 0, max: 14, integer: true });
+  }
+  if (values.stereo) options.stereoStrategy = choice('stereo', values.stereo);
+  if (values.fm) options.fmTarget = choice('fm', values.fm);
+  if (values.expansion) options.expansion = choice('expansion', values.expansion);
+  if (values['no-pcm']) options.enablePCM = false;
+  if (values['psg-samples']) options.psgSamples = choice('psg-samples', values['psg-samples']);
+  if (values['no-loop-detection']) options.detectLoops = false;
+  if (values['loop-threshold']) {
+    options.loopThreshold = number('loop-threshold', values['loop-threshold'], { min: 0.5, max: 1 });
+  }
+  if (values['accept-detected-loops']) options.acceptDetectedLoop = true;
+
+  return options;
+};
+
+// Every .vgm/.vgz under a folder, as paths relative to it
+const findVGMFiles = async (folder, prefix = '') => {
+  const entries = await readdir(path.join(folder, prefix), { withFileTypes: true });
+  const nested = await Promise.all(entries.map((entry) => {
+    const relative = path.join(prefix, entry.name);
+    if (entry.isDirectory()) return findVGMFiles(folder, relative);
+    return entry.isFile() && VGM_EXTENSION.test(entry.name) ? [relative] : [];
+  }));
+
+  return nested.flat().sort((a, b) => a.localeCompare(b, undefined, { numeric: true }));
+};
+
+const convertFile = async (inputPath, outputPath, options) => {
+  const input = await readFile(inputPath);
+  const buffer = input.buffer.slice(input.byteOffset, input.byteOffset + input.byteLength);
+  const { data, nsfTracks } = await convertVGMFile(buffer, options);
+
+  await mkdir(path.dirname(outputPath), { recursive: true });
+  await writeFile(outputPath, data);
+  return { size: data.length, loop: nsfTracks.loopPoint ? nsfTracks.loopPoint.source : null };
+};
+
+const describe = ({ size, loop }) => `${size} bytes${loop ? `, loops (${loop})` : ''}`;
+
+const main = async () => {
+  const { values } = parseArgs({
+    options: {
+      input: { type: 'string', short: 'i' },
+      output: { type: 'string', short: 'o' },
+      'input-dir': { type: 'string' },
+      'output-dir': { type: 'string' },
+      format: { type: 'string', short: 'f' },
+      system: { type: 'string' },
+      region: { type: 'string' },
+      'updates-per-frame': { type: 'string' },
+      channels: { type: 'string' },
+      'no-noise': { type: 'boolean' },
+      'periodic-noise': { type: 'string' },
+      'volume-curve': { type: 'string' },
+      'volume-table': { type: 'string' },
+      triangle: { type: 'string' },
+      'triangle-gate': { type: 'string' },
+      stereo: { type: 'string' },
+      fm: { type: 'string' },
+      expansion: { type: 'string' },
+      'no-pcm': { type: 'boolean' },
+      'psg-samples': { type: 'string' },
+      'no-loop-detection': { type: 'boolean' },
+      'loop-threshold': { type: 'string' },
+      'accept-detected-loops': { type: 'boolean' },
+      help: { type: 'boolean', short: 'h' },
+    },
+  });
+
+  if (values.help) {
+    process.stdout.write(USAGE);
+    return 0;
+  }
+
+  const options = conversionOptions(values);
+  const outputFormat = (file) => (
+    values.format
+      ? choice('format', values.format)
+      : (file && /\.nsfe$/i.test(file) ? 'nsfe' : 'nsf')
+  );
+
+  if (values.input) {
+    if (values['input-dir']) throw new UsageError('Use either --input or --input-dir, not both');
+    const format = outputFormat(values.output);
+    const outputPath = values.output || values.input.replace(VGM_EXTENSION, '') + `.${format}`;
+    const result = await convertFile(values.input, outputPath, { ...options, format });
+    console.log(`${values.input} -> ${outputPath} (${describe(result)})`);
+    return 0;
+  }
+
+  if (values['input-dir']) {
+    if (!values['output-dir']) throw new UsageError('--input-dir needs --output-dir');
+    const format = outputFormat(null);
+    const files = await findVGMFiles(values['input-dir']);
+    if (files.length === 0) throw new UsageError(`No .vgm or .vgz files in ${values['input-dir']}`);
+
+    let failed = 0;
+    for (const file of files) {
+      const outputPath = path.join(values['output-dir'], file.replace(VGM_EXTENSION, `.${format}`));
+      try {
+        const result = await convertFile(path.join(values['input-dir'], file), outputPath, { ...options, format });
+        console.log(`OK      ${file} -> ${outputPath} (${describe(result)})`);
+      } catch (error) {
+        failed++;
+        console.log(`FAILED  ${file}: ${error.message}`);
+      }
+    }
+
+    console.log(`${files.length - failed} converted, ${failed} failed`);
+    return failed > 0 ? 1 : 0;
+  }
+
+  throw new UsageError('Give --input or --input-dir');
+};
+
+main().then(
+  (code) => {
+    process.exitCode = code;
+  },
+  (error) => {
+    const usage = error instanceof UsageError || error.code === 'ERR_PARSE_ARGS_UNKNOWN_OPTION' ||
+      error.code === 'ERR_PARSE_ARGS_INVALID_OPTION_VALUE' || error.code === 'ERR_PARSE_ARGS_UNEXPECTED_POSITIONAL';
+    console.error(usage ? `${error.message}\n\n${USAGE}` : `Conversion failed: ${error.message}`);
+    process.exitCode = usage ? 2 : 1;
+  }
+);
@@ -0,0 +1,82 @@
+import { execFile } from 'node:child_process';
+import { mkdir, mkdtemp, readFile, rm, writeFile } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { afterAll, beforeAll, describe, expect, it } from 'vitest';
+
+const CLI = fileURLToPath(new URL('./cli.js', import.meta.url));
+
+// One second of tone 0 at full volume in a VGM 1.50 file
+const makeVGM = () => {
+  const commands = [0x50, 0x8E, 0x50, 0x0F, 0x50, 0x90, 0x61, 0x44, 0xAC, 0x66];
+  const bytes = new Uint8Array(0x40 + commands.length);
+  const view = new DataView(bytes.buffer);
+  bytes.set([0x56, 0x67, 0x6D, 0x20]); // 'Vgm '
+  view.setUint32(0x04, bytes.length - 4, true);
+  view.setUint32(0x08, 0x150, true);
+  view.setUint32(0x0C, 3579545, true);
+  view.setUint32(0x18, 44100, true);
+  view.setUint32(0x34, 0x0C, true);
+  bytes.set(commands, 0x40);
+  return bytes;
+};
+
+// Run the CLI, resolving with its exit code and output
+const run = (args) => new Promise((resolve) => {
+  execFile(process.execPath, [CLI, ...args], { timeout: 20000 }, (error, stdout, stderr) => {
+    resolve({ code: error ? error.code : 0, stdout, stderr });
+  });
+});
+
+const signature = async (file, length) => (await readFile(file)).subarray(0, length).toString('latin1');
+
+describe('vgm2nsf', () => {
+  let folder;
+
+  beforeAll(async () => {
+    folder = await mkdtemp(path.join(tmpdir(), 'vgm2nsf-'));
+    await mkdir(path.join(folder, 'in', 'stage 1'), { recursive: true });
+    await writeFile(path.join(folder, 'song.vgm'), makeVGM());
+    await writeFile(path.join(folder, 'in', 'title.vgm'), makeVGM());
+    await writeFile(path.join(folder, 'in', 'stage 1', 'broken.vgm'), 'not a vgm');
+  });
+
+  afterAll(async () => {
+    await rm(folder, { recursive: true, force: true });
+  });
+
+  it('converts one file next to the input by default', async () => {
+    const { code, stdout } = await run(['--input', path.join(folder, 'song.vgm')]);
+
+    expect(code).toBe(0);
+    expect(stdout).toMatch(/song\.nsf/);
+    expect(await signature(path.join(folder, 'song.nsf'), 5)).toBe('NESM\x1A');
+  });
+
+  it('picks NSFe from the output name', async () => {
+    const output = path.join(folder, 'song.nsfe');
+    expect((await run(['-i', path.join(folder, 'song.vgm'), '-o', output])).code).toBe(0);
+    expect(await signature(output, 4)).toBe('NSFE');
+  });
+
+  it('converts a folder, keeps its layout and exits 1 when a file fails', async () => {
+    const output = path.join(folder, 'out');
+    const { code, stdout } = await run(['--input-dir', path.join(folder, 'in'), '--output-dir', output]);
+
+    expect(code).toBe(1);
+    expect(stdout).toMatch(/FAILED {2}stage 1[\\/]broken\.vgm/);
+    expect(stdout).toMatch(/1 converted, 1 failed/);
+    expect(await signature(path.join(output, 'title.nsf'), 4)).toBe('NESM');
+  });
+
+  it('exits 2 with the usage for bad arguments', async () => {
+    const bad = await run(['--input', path.join(folder, 'song.vgm'), '--region', 'mars']);
+    expect(bad.code).toBe(2);
+    expect(bad.stderr).toMatch(/--region must be one of ntsc, pal, dendy/);
+    expect(bad.stderr).toMatch(/Usage:/);
+
+    expect((await run([])).code).toBe(2);
+    expect((await run(['--input-dir', folder])).code).toBe(2);
+  });
+});
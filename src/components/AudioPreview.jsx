@@ -0,0 +1,113 @@
+import React, { useEffect, useRef, useState } from 'react';
+import { createPreviewPlayer } from '../lib/playback';
+
+const formatTime = (seconds) => (
+  `${Math.floor(seconds / 60)}:${Math.floor(seconds % 60).toString().padStart(2, '0')}`
+);
+
+// Play/pause/seek/loop controls for renderers from ../lib/playback, with an
+// A/B switch between sources that keeps the playback position. New sources
+// (e.g. after reconverting) replace the player and rewind.
+const AudioPreview = ({ sources }) => {
+  const playerRef = useRef(null);
+  const [playing, setPlaying] = useState(false);
+  const [position, setPosition] = useState(0);
+  const [loop, setLoop] = useState(true);
+  const [active, setActive] = useState(sources.length - 1);
+  const { duration } = sources[active] || sources[0];
+
+  useEffect(() => {
+    const index = sources.length - 1;
+    const player = createPreviewPlayer(sources[index].createRenderer, {
+      onEnded: () => {
+        setPlaying(false);
+        setPosition(0);
+      },
+    });
+    playerRef.current = player;
+    setPlaying(false);
+    setPosition(0);
+    setLoop(true);
+    setActive(index);
+
+    return () => player.close();
+  }, [sources]);
+
+  // Follow the playback position while playing
+  useEffect(() => {
+    if (!playing) return undefined;
+
+    const timer = setInterval(() => {
+      setPosition(Math.min(duration, playerRef.current.getPosition()));
+    }, 100);
+    return () => clearInterval(timer);
+  }, [playing, duration]);
+
+  const togglePlayback = () => {
+    if (playing) {
+      playerRef.current.pause();
+      setPosition(playerRef.current.getPosition());
+    } else {
+      playerRef.current.play();
+    }
+    setPlaying(!playing);
+  };
+
+  const seek = (seconds) => {
+    playerRef.current.seek(seconds);
+    setPosition(seconds);
+  };
+
+  const toggleLoop = (enabled) => {
+    playerRef.current.setLoop(enabled);
+    setLoop(enabled);
+  };
+
+  const selectSource = (index) => {
+    playerRef.current.setRenderer(sources[index].createRenderer);
+    setActive(index);
+  };
+
+  return (
+    <div className="audio-preview">
+      {sources.length > 1 && (
+        <div className="preview-sources">
+          {sources.map((source, index) => (
+            <button
+              key={source.id}
+              className={index === active ? 'preview-source active' : 'preview-source'}
+              onClick={() => selectSource(index)}
+            >
+              {source.label}
+            </button>
+          ))}
+        </div>
+      )}
+      <button className="preview-button" onClick={togglePlayback}>
+        {playing ? 'Pause' : 'Play'}
+      </button>
+      <input
+        type="range"
+        className="preview-seek"
+        min="0"
+        max={duration}
+        step="0.1"
+        value={position}
+        onChange={(e) => seek(parseFloat(e.target.value))}
+      />
+      <span className="preview-time">
+        {formatTime(position)} / {formatTime(duration)}
+      </span>
+      <label className="option-checkbox">
+        <input
+          type="checkbox"
+          checked={loop}
+          onChange={(e) => toggleLoop(e.target.checked)}
+        />
+        <span>Loop</span>
+      </label>
+    </div>
+  );
+};
+
+export default AudioPreview;
@@ -0,0 +1,98 @@
+import React, { useState } from 'react';
+import { pitchRange } from '../lib/timeline';
+
+const VGM_SAMPLE_RATE = 44100;
+const LANE_HEIGHT = 48;
+const AXIS_HEIGHT = 20;
+const PIXELS_PER_SECOND = 24; // at 1x zoom
+const TICK_STEPS = [1, 2, 5, 10, 15, 30, 60, 120]; // seconds between axis labels
+const MIN_TICK_SPACING = 60; // pixels
+const LANE_COLORS = { source: '#4a90d9', nes: '#e0533d' };
+
+const formatTick = (seconds) => `${Math.floor(seconds / 60)}:${(seconds % 60).toString().padStart(2, '0')}`;
+
+// Piano-roll view of each channel on a shared time axis. Each lane scales
+// its own pitch range to its height; bar opacity follows the level, and a
+// vertical line marks the loop point.
+const ChannelTimeline = ({ lanes, endSample, loopSample }) => {
+  const [zoom, setZoom] = useState(1);
+  const scale = (PIXELS_PER_SECOND * zoom) / VGM_SAMPLE_RATE;
+  const width = Math.max(1, Math.ceil(endSample * scale));
+  const height = AXIS_HEIGHT + lanes.length * LANE_HEIGHT;
+  const seconds = endSample / VGM_SAMPLE_RATE;
+  const tickStep = TICK_STEPS.find((step) => step * PIXELS_PER_SECOND * zoom >= MIN_TICK_SPACING)
+    || TICK_STEPS[TICK_STEPS.length - 1];
+  const ticks = Array.from({ length: Math.floor(seconds / tickStep) + 1 }, (_, index) => index * tickStep);
+
+  return (
+    <div className="channel-timeline">
+      <label className="option-select">
+        <span>Zoom:</span>
+        <select value={zoom} onChange={(e) => setZoom(parseInt(e.target.value, 10))}>
+          {[1, 2, 4, 8, 16].map((level) => (
+            <option key={level} value={level}>{level}x</option>
+          ))}
+        </select>
+      </label>
+
+      <div className="timeline-body" style={{ display: 'flex' }}>
+        <div className="timeline-labels" style={{ paddingTop: AXIS_HEIGHT }}>
+          {lanes.map((lane) => (
+            <div key={lane.id} className="timeline-label" style={{ height: LANE_HEIGHT, lineHeight: `${LANE_HEIGHT}px` }}>
+              {lane.label}
+            </div>
+          ))}
+        </div>
+
+        <div className="timeline-scroll" style={{ overflowX: 'auto', flex: 1 }}>
+          <svg width={width} height={height}>
+            {ticks.map((tick) => (
+              <g key={tick}>
+                <line x1={tick * VGM_SAMPLE_RATE * scale} x2={tick * VGM_SAMPLE_RATE * scale} y1={AXIS_HEIGHT - 4} y2={height} stroke="#ddd" />
+                <text x={tick * VGM_SAMPLE_RATE * scale + 2} y={AXIS_HEIGHT - 6} fontSize="10" fill="#666">
+                  {formatTick(tick)}
+                </text>
+              </g>
+            ))}
+
+            {lanes.map((lane, laneIndex) => {
+              const top = AXIS_HEIGHT + laneIndex * LANE_HEIGHT;
+              const [low, high] = pitchRange(lane.bars);
+              const rowHeight = (LANE_HEIGHT - 4) / (high - low);
+              const color = LANE_COLORS[lane.group];
+
+              return (
+                <g key={lane.id}>
+                  <rect x={0} y={top} width={width} height={LANE_HEIGHT} fill={laneIndex % 2 ? '#f7f7f7' : '#fff'} />
+                  {lane.bars.map((bar) => (
+                    <rect
+                      key={bar.start}
+                      x={bar.start * scale}
+                      y={top + 2 + (high - bar.pitch - 0.5) * rowHeight}
+                      width={Math.max(1, (bar.end - bar.start) * scale)}
+                      height={Math.max(2, rowHeight)}
+                      fill={color}
+                      fillOpacity={0.2 + 0.8 * bar.level}
+                    />
+                  ))}
+                  {(lane.markers || []).map((sample, index) => (
+                    <rect key={index} x={sample * scale} y={top + 4} width={2} height={LANE_HEIGHT - 8} fill={color} />
+                  ))}
+                </g>
+              );
+            })}
+
+            {loopSample !== null && (
+              <g>
+                <line x1={loopSample * scale} x2={loopSample * scale} y1={0} y2={height} stroke="#2a9d4b" strokeWidth="2" />
+                <text x={loopSample * scale + 3} y={10} fontSize="10" fill="#2a9d4b">loop</text>
+              </g>
+            )}
+          </svg>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default ChannelTimeline;
@@ -1,416 +1,524 @@
-import React, { useState } from 'react';
+import React, { useMemo, useState } from 'react';
+import {
+  buildFrameStream,
+  buildNSFeFile,
+  buildNSFFile,
+  candidateToLoopPoint,
+  convertVGM,
+  DEFAULT_CONVERSION_OPTIONS,
+  NSFE_FADE_MS,
+  NSFE_LOOP_COUNT,
+  parseVGMFile,
+  TONE_CHANNELS,
+  VGM_SAMPLE_RATE,
+} from '../lib/converter';
+import { DMC_BASE_ADDRESS } from '../lib/dmc';
+import { EXPANSION_PULSE_TARGETS } from '../lib/expansion';
+import { decompressVGM } from '../lib/gzip';
+import { createFrameStreamRenderer } from '../lib/playback';
+import { NES_CPU_CLOCKS, snPeriodToFrequency } from '../lib/pitch';
+import { createVGMRenderer, SN76489_VARIANTS, vgmVariant } from '../lib/sn76489';
+import { eventsToBars, frequencyToMidi } from '../lib/timeline';
+import { NES_FRAME_RATES } from '../lib/timing';
+import { renderToWAV } from '../lib/wav';
+import { buildZip } from '../lib/zip';
+import AudioPreview from './AudioPreview';
+import ChannelTimeline from './ChannelTimeline';
 import './VGMToNSFConverter.css';
 
+const BATCH_LOG_NAME = 'conversion-log.txt';
+const BATCH_ZIP_NAME = 'converted-nsf.zip';
+
+const NES_TARGET_LABELS = {
+  square1: 'Square 1',
+  square2: 'Square 2',
+  triangle: 'Triangle',
+  pulse1: 'Expansion Pulse 1',
+  pulse2: 'Expansion Pulse 2',
+};
+const VOICE_TARGET_LABELS = {
+  auto: 'Auto',
+  square1: 'Square 1',
+  square2: 'Square 2',
+  triangle: 'Triangle',
+  pulse1: 'Expansion Pulse 1',
+  pulse2: 'Expansion Pulse 2',
+  off: 'Off',
+};
+const PSG_SAMPLE_LABELS = {
+  dmc: 'DMC samples',
+  raw: 'Raw $4011 writes',
+  keep: 'Leave on the tone channels',
+};
+const EXPANSION_LABELS = {
+  none: 'None (stock 2A03)',
+  vrc6: 'Konami VRC6 (+2 pulses)',
+  mmc5: 'Nintendo MMC5 (+2 pulses)',
+};
+const STEREO_STRATEGY_LABELS = {
+  downmix: 'Mono downmix (one-sided voices -6 dB)',
+  prioritize: 'Prioritize voices on both sides',
+  drop: 'Drop voices panned to one side',
+};
+const PERIODIC_NOISE_LABELS = {
+  short: 'NES short-mode noise',
+  square1: 'Pitched on Square 1',
+  square2: 'Pitched on Square 2',
+  triangle: 'Pitched on Triangle',
+};
+// The converter's voice sources: SN76489 tones, pitched periodic noise and
+// YM2413 channels played on the 2A03
+const VOICE_SOURCE_LABELS = {
+  tone0: 'Tone 1',
+  tone1: 'Tone 2',
+  tone2: 'Tone 3',
+  noise: 'Periodic noise',
+  ...Object.fromEntries(Array.from({ length: 9 }, (_, channel) => [`fm${channel}`, `FM ${channel + 1}`])),
+};
+const FM_TARGET_LABELS = {
+  vrc7: 'VRC7 expansion (FM)',
+  '2a03': 'Stock NES (approximate on 2A03 channels)',
+};
+
+// GD3 tags shown in the file information panel (English with Japanese alongside)
+const GD3_DISPLAY_FIELDS = [
+  { label: 'Track', en: 'trackNameEn', jp: 'trackNameJp' },
+  { label: 'Game', en: 'gameNameEn', jp: 'gameNameJp' },
+  { label: 'System', en: 'systemNameEn', jp: 'systemNameJp' },
+  { label: 'Author', en: 'authorEn', jp: 'authorJp' },
+  { label: 'Release Date', en: 'releaseDate' },
+  { label: 'Ripped By', en: 'ripper' },
+  { label: 'Notes', en: 'notes' },
+];
+
 const VGMToNSFConverter = () => {
   const [vgmData, setVgmData] = useState(null);
   const [nsfData, setNsfData] = useState(null);
   const [convertedAudio, setConvertedAudio] = useState(null);
   const [conversionStatus, setConversionStatus] = useState('idle');
+  const [outputFormat, setOutputFormat] = useState('nsf');
   const [errorMessage, setErrorMessage] = useState('');
-  const [conversionOptions, setConversionOptions] = useState({
-    preserveNoise: true,
-    enablePCM: true,
-    detectLoops: true,
-    loopThreshold: 0.85,
+  const [conversionOptions, setConversionOptions] = useState(DEFAULT_CONVERSION_OPTIONS);
+  const [sourceChip, setSourceChip] = useState('auto');
+  const [wavOptions, setWavOptions] = useState({
+    sampleRate: 44100,
+    loopCount: NSFE_LOOP_COUNT,
+    fadeSeconds: NSFE_FADE_MS / 1000,
+    includeSource: false,
   });
+  const [wavProgress, setWavProgress] = useState(null); // 0-1 while rendering
+  // Songs of the NSF in song order, as { id, fileName, name, vgm, nsfTracks };
+  // vgmData and nsfData show one of them
+  const [tracks, setTracks] = useState([]);
+  // Batch conversion: { running, items: [{ path, status, message, output, size }], zip }
+  const [batch, setBatch] = useState(null);
+
+  // Main conversion function. Several files become the songs of one NSF,
+  // in file name order until reordered.
+  const handleFileUpload = async (event) => {
+    const files = [...event.target.files]
+      .sort((a, b) => a.name.localeCompare(b.name, undefined, { numeric: true }));
+    if (files.length === 0) return;
 
-  // Enhanced SN76489 to NES APU frequency mapping
-  const sn76489ToNESFrequencyMap = {
-    noise: {
-      // Noise channel mapping for SMS/GG
-      white: [0x00, 0x01, 0x02, 0x03, 0x04, 0x05, 0x06, 0x07],
-      periodic: [0x08, 0x09, 0x0A, 0x0B, 0x0C, 0x0D, 0x0E, 0x0F],
-    },
-    tone: {
-      // Frequency mapping for tone channels
-      baseFrequencies: generateNESFrequencies(),
-    },
-  };
-
-  // Generate NES APU frequencies
-  function generateNESFrequencies() {
-    const frequencies = [];
-    for (let i = 0; i < 2048; i++) {
-      frequencies.push(1789773 / (16 * (i + 1)));
-    }
-    return frequencies;
-  }
+    setConversionStatus('processing');
+    setErrorMessage('');
 
-  // Parse VGM file header and data
-  const parseVGMFile = (buffer) => {
     try {
-      const view = new DataView(buffer);
-      
-      // VGM header validation
-      const signature = String.fromCharCode(
-        view.getUint8(0),
-        view.getUint8(1),
-        view.getUint8(2),
-        view.getUint8(3)
-      );
-
-      if (signature !== 'Vgm ') {
-        throw new Error('Invalid VGM file signature');
+      const sources = [];
+      for (const file of files) {
+        try {
+          const buffer = await decompressVGM(await file.arrayBuffer());
+          sources.push({ id: `${sources.length}-${file.name}`, fileName: file.name, vgm: parseVGMFile(buffer) });
+        } catch (error) {
+          throw new Error(files.length > 1 ? `${file.name}: ${error.message}` : error.message);
+        }
       }
-
-      const vgmVersion = view.getUint32(8, true);
-      const sn76489Clock = view.getUint32(12, true);
-      const ym2413Clock = view.getUint32(16, true);
-      const gd3Offset = view.getUint32(20, true);
-      const totalSamples = view.getUint32(24, true);
-      const loopOffset = view.getUint32(28, true);
-      const loopSamples = view.getUint32(32, true);
-      const dataOffset = view.getUint32(52, true) || 0x40;
-
-      return {
-        version: vgmVersion,
-        sn76489Clock: sn76489Clock || 3579545,
-        ym2413Clock: ym2413Clock || 0,
-        totalSamples,
-        loopOffset,
-        loopSamples,
-        dataOffset: dataOffset + 0x34,
-        buffer,
-      };
+      convertTracks(sources);
     } catch (error) {
-      throw new Error(`VGM parsing error: ${error.message}`);
+      setErrorMessage(`Conversion failed: ${error.message}`);
+      setConversionStatus('error');
     }
   };
 
-  // Enhanced SMS noise channel mapping
-  const mapSMSNoiseToNES = (noiseData) => {
-    const nesNoiseData = [];
-    
-    for (let i = 0; i < noiseData.length; i++) {
-      const smsNoiseByte = noiseData[i];
-      const noiseType = (smsNoiseByte >> 2) & 0x01; // White or periodic
-      const noisePeriod = smsNoiseByte & 0x03;
-      
-      // Map SMS noise to NES noise channel register
-      const nesNoiseRegister = (noiseType << 7) | (noisePeriod & 0x0F);
-      nesNoiseData.push(nesNoiseRegister);
-    }
-    
-    return nesNoiseData;
+  // Default song title: the GD3 track name, or the file name
+  const defaultTrackName = (vgm, fileName) => {
+    const gd3 = vgm.gd3 || {};
+    return gd3.trackNameEn || gd3.trackNameJp || fileName.replace(/\.vg[mz]$/i, '');
   };
 
-  // PCM/DPCM support with compression
-  const handlePCMConversion = (pcmData) => {
-    if (!conversionOptions.enablePCM) {
-      return null;
-    }
+  // Convert a set of songs ({ id, fileName, vgm, name? } each) and build
+  // their NSF, showing the song at `selected`
+  const convertTracks = (sources, selected = 0) => {
+    const converted = sources.map((source) => {
+      const { vgm, nsfTracks } = convertVGM(source.vgm, conversionOptions);
+      return { ...source, vgm, nsfTracks, name: source.name ?? defaultTrackName(vgm, source.fileName) };
+    });
 
-    const dpcmData = [];
-    let previousSample = 0;
+    setConvertedAudio(buildNSFFile(converted));
+    setTracks(converted);
+    showTrack(converted[Math.min(selected, converted.length - 1)]);
+    setConversionStatus('complete');
+  };
 
-    // Convert PCM to DPCM (Delta PCM)
-    for (let i = 0; i < pcmData.length; i += 8) {
-      let dpcmByte = 0;
+  const showTrack = (track) => {
+    setVgmData(track.vgm);
+    setNsfData(track.nsfTracks);
+  };
 
-      for (let bit = 0; bit < 8 && i + bit < pcmData.length; bit++) {
-        const currentSample = pcmData[i + bit];
-        const delta = currentSample - previousSample;
-        
-        // Encode delta as single bit
-        if (Math.abs(delta) > 0) {
-          dpcmByte |= (1 << bit);
-        }
-        
-        previousSample = currentSample;
-      }
+  const selectedTrackIndex = () => tracks.findIndex((track) => track.vgm === vgmData);
 
-      dpcmData.push(dpcmByte);
-    }
+  // Convert the loaded files again after changing options
+  const reconvert = () => {
+    setConversionStatus('processing');
+    setErrorMessage('');
 
-    return dpcmData;
+    try {
+      convertTracks(tracks, Math.max(0, selectedTrackIndex()));
+    } catch (error) {
+      setErrorMessage(`Conversion failed: ${error.message}`);
+      setConversionStatus('error');
+    }
   };
 
-  // Advanced loop detection
-  const detectLoops = (audioData) => {
-    if (!conversionOptions.detectLoops) {
-      return null;
-    }
+  // Move a song up or down the song order, rebuilding the NSF
+  const moveTrack = (index, direction) => {
+    const target = index + direction;
+    if (target < 0 || target >= tracks.length) return;
 
-    const threshold = conversionOptions.loopThreshold;
-    const correlationResults = [];
+    const reordered = [...tracks];
+    [reordered[index], reordered[target]] = [reordered[target], reordered[index]];
 
-    for (let offset = 100; offset < audioData.length / 2; offset += 100) {
-      let correlation = 0;
-      let matchingPoints = 0;
+    try {
+      setConvertedAudio(buildNSFFile(reordered));
+      setTracks(reordered);
+    } catch (error) {
+      setErrorMessage(`Reordering failed: ${error.message}`);
+    }
+  };
 
-      for (let i = 0; i < audioData.length - offset; i++) {
-        if (Math.abs(audioData[i] - audioData[i + offset]) < 10) {
-          correlation += Math.pow(1 - Math.abs(audioData[i] - audioData[i + offset]) / 127, 2);
-          matchingPoints++;
-        }
-      }
+  // Song titles only go into the NSFe, built at download time
+  const renameTrack = (index, name) => {
+    setTracks(tracks.map((track, i) => (i === index ? { ...track, name } : track)));
+  };
 
-      const correlationScore = matchingPoints > 0 ? correlation / matchingPoints : 0;
+  // Accept, reject or nudge the detected loop candidate, rebuilding the NSF
+  const updateLoopCandidate = (changes) => {
+    const candidate = { ...nsfData.loopCandidate, ...changes };
+    const maxFrames = Math.ceil(nsfData.totalSamples / candidate.samplesPerFrame);
+
+    candidate.length = Math.min(Math.max(1, candidate.length), maxFrames);
+    candidate.startFrame = Math.min(
+      Math.max(0, candidate.startFrame),
+      maxFrames - candidate.length
+    );
+
+    const updated = {
+      ...nsfData,
+      loopCandidate: candidate,
+      loopPoint: candidate.status === 'accepted' ? candidateToLoopPoint(candidate) : null,
+    };
+    const selected = selectedTrackIndex();
+    const updatedTracks = tracks.map((track, index) => (
+      index === selected ? { ...track, nsfTracks: updated } : track
+    ));
 
-      if (correlationScore > threshold) {
-        correlationResults.push({
-          offset,
-          correlation: correlationScore,
-          matchingPoints,
-        });
-      }
+    try {
+      setConvertedAudio(buildNSFFile(updatedTracks));
+      setTracks(updatedTracks);
+      setNsfData(updated);
+    } catch (error) {
+      setErrorMessage(`Loop update failed: ${error.message}`);
     }
+  };
 
-    return correlationResults.length > 0 ? correlationResults[0] : null;
+  const formatFrameTime = (frame, samplesPerFrame) => {
+    const seconds = (frame * samplesPerFrame) / VGM_SAMPLE_RATE;
+    return `${Math.floor(seconds / 60)}:${(seconds % 60).toFixed(2).padStart(5, '0')}`;
   };
 
-  // Parse VGM commands and convert to NSF-compatible format
-  const parseVGMCommands = (vgmData) => {
-    const buffer = vgmData.buffer;
-    const view = new DataView(buffer);
-    const commands = [];
-    let offset = vgmData.dataOffset;
-    let sampleCounter = 0;
-
-    while (offset < buffer.byteLength && commands.length < 10000) {
-      const command = view.getUint8(offset);
-
-      switch (command) {
-        case 0x4F: // GG Stereo
-          offset += 2;
-          break;
-
-        case 0x50: // PSG (SN76489) write
-          {
-            const data = view.getUint8(offset + 1);
-            const channel = (data >> 5) & 0x03;
-            
-            if (channel === 3) {
-              // Noise channel
-              if (conversionOptions.preserveNoise) {
-                commands.push({
-                  type: 'noise',
-                  data: data,
-                  sample: sampleCounter,
-                });
-              }
-            } else {
-              // Tone channels
-              commands.push({
-                type: 'tone',
-                channel,
-                data,
-                sample: sampleCounter,
-              });
-            }
-            offset += 2;
-          }
-          break;
-
-        case 0x61: // Wait
-          {
-            const waitSamples = view.getUint16(offset + 1, true);
-            sampleCounter += waitSamples;
-            offset += 3;
-          }
-          break;
-
-        case 0x62: // Wait 735 samples (NTSC)
-          sampleCounter += 735;
-          offset += 1;
-          break;
-
-        case 0x63: // Wait 882 samples (PAL)
-          sampleCounter += 882;
-          offset += 1;
-          break;
-
-        case 0x66: // End of sound data
-          commands.push({
-            type: 'end',
-            sample: sampleCounter,
-          });
-          offset = buffer.byteLength;
-          break;
-
-        case 0x67: // Data block
-          {
-            const dataType = view.getUint8(offset + 1);
-            const blockSize = view.getUint32(offset + 2, true);
-            
-            if (dataType === 0x00 && conversionOptions.enablePCM) {
-              // PCM data block
-              const pcmData = new Uint8Array(buffer, offset + 6, blockSize);
-              const dpcmData = handlePCMConversion(pcmData);
-              
-              commands.push({
-                type: 'pcm',
-                data: dpcmData,
-                sample: sampleCounter,
-              });
-            }
-            
-            offset += 6 + blockSize;
-          }
-          break;
-
-        default:
-          offset += 1;
+  const saveFile = (fileData, fileName, type) => {
+    const blob = new Blob([fileData], { type });
+    const url = window.URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = fileName;
+    a.click();
+    window.URL.revokeObjectURL(url);
+  };
+
+  // Download NSF or NSFe file
+  const downloadNSF = () => {
+    if (!convertedAudio) return;
+
+    let fileData = convertedAudio;
+    if (outputFormat === 'nsfe') {
+      try {
+        fileData = buildNSFeFile(tracks);
+      } catch (error) {
+        setErrorMessage(`NSFe export failed: ${error.message}`);
+        return;
       }
     }
 
-    return commands;
+    saveFile(fileData, `converted.${outputFormat}`, 'application/octet-stream');
   };
 
-  // Convert parsed commands to NSF format
-  const commandsToNSF = (commands, vgmData) => {
-    const nsfTracks = {
-      square1: [],
-      square2: [],
-      triangle: [],
-      noise: [],
-      dpcm: [],
-    };
+  // Output path not yet in the archive: "song.nsf", then "song (2).nsf", ...
+  const uniqueName = (name, used) => {
+    let candidate = name;
+    for (let copy = 2; used.has(candidate); copy++) {
+      candidate = name.replace(/(\.[^./]+)$/, ` (${copy})$1`);
+    }
+    used.add(candidate);
+    return candidate;
+  };
 
-    let loopPoint = null;
-    if (conversionOptions.detectLoops) {
-      loopPoint = detectLoops(commands);
+  // Conversion warnings for a file's line in the batch log
+  const batchNotes = (nsfTracks) => [
+    nsfTracks.voiceAllocation && nsfTracks.voiceAllocation.dropped > 0 &&
+      `${nsfTracks.voiceAllocation.dropped} voice frames dropped`,
+    nsfTracks.fm && nsfTracks.fm.dropped > 0 && `${nsfTracks.fm.dropped} FM voice frames dropped`,
+    nsfTracks.dmc && nsfTracks.dmc.dropped > 0 && `${nsfTracks.dmc.dropped} DMC samples did not fit`,
+    nsfTracks.loopPoint && `loops at sample ${nsfTracks.loopPoint.sample} (${nsfTracks.loopPoint.source})`,
+    !nsfTracks.loopPoint && nsfTracks.loopCandidate && 'loop candidate found but not applied',
+  ].filter(Boolean).join(', ');
+
+  const batchLog = (items) => {
+    const failed = items.filter((item) => item.status === 'error').length;
+    return [
+      `VGM to NSF batch conversion, ${new Date().toISOString()}`,
+      `Options: ${JSON.stringify(conversionOptions)}`,
+      `${items.length - failed} converted, ${failed} failed`,
+      '',
+      ...items.map((item) => (item.status === 'complete'
+        ? `OK      ${item.path} -> ${item.output} (${item.size} bytes${item.message ? `; ${item.message}` : ''})`
+        : `FAILED  ${item.path}: ${item.message}`)),
+      '',
+    ].join('\n');
+  };
+
+  // Convert many files, one after another, with the current options into a
+  // ZIP of NSFs (or NSFes) plus a conversion log. A file that fails is
+  // logged and the batch carries on.
+  const runBatch = async (inputs) => {
+    const sources = inputs
+      .filter(({ path }) => /\.vg[mz]$/i.test(path))
+      .sort((a, b) => a.path.localeCompare(b.path, undefined, { numeric: true }));
+    if (sources.length === 0) {
+      setErrorMessage('Batch conversion failed: no .vgm or .vgz files found');
+      return;
     }
 
-    commands.forEach((cmd) => {
-      switch (cmd.type) {
-        case 'tone':
-          {
-            const period = cmd.data & 0x3F;
-            const volume = (cmd.data >> 4) & 0x0F;
-            
-            if (cmd.channel === 0) {
-              nsfTracks.square1.push({
-                period,
-                volume,
-                sample: cmd.sample,
-              });
-            } else if (cmd.channel === 1) {
-              nsfTracks.square2.push({
-                period,
-                volume,
-                sample: cmd.sample,
-              });
-            }
-          }
-          break;
-
-        case 'noise':
-          {
-            if (conversionOptions.preserveNoise) {
-              const nesNoise = mapSMSNoiseToNES([cmd.data]);
-              nsfTracks.noise.push({
-                register: nesNoise[0],
-                sample: cmd.sample,
-              });
-            }
-          }
-          break;
-
-        case 'pcm':
-          {
-            if (conversionOptions.enablePCM && cmd.data) {
-              nsfTracks.dpcm.push({
-                data: cmd.data,
-                sample: cmd.sample,
-              });
-            }
-          }
-          break;
-
-        case 'end':
-          {
-            nsfTracks.loopPoint = loopPoint;
-            nsfTracks.totalSamples = cmd.sample;
-          }
-          break;
-
-        default:
-          break;
+    const items = sources.map(({ path }) => ({ path, status: 'pending', message: '' }));
+    const update = (index, changes) => {
+      items[index] = { ...items[index], ...changes };
+      setBatch({ running: true, items: [...items], zip: null });
+    };
+    const format = outputFormat;
+    const entries = [];
+    const usedNames = new Set([BATCH_LOG_NAME]);
+    setErrorMessage('');
+    setBatch({ running: true, items: [...items], zip: null });
+
+    for (let index = 0; index < sources.length; index++) {
+      update(index, { status: 'processing' });
+      // Let the status render before the conversion holds up the page
+      await new Promise((resolve) => setTimeout(resolve, 0));
+
+      try {
+        const buffer = await decompressVGM(await sources[index].file.arrayBuffer());
+        const song = convertVGM(parseVGMFile(buffer), conversionOptions);
+        const data = format === 'nsfe' ? buildNSFeFile([song]) : buildNSFFile([song]);
+        const output = uniqueName(sources[index].path.replace(/\.vg[mz]$/i, `.${format}`), usedNames);
+        entries.push({ name: output, data });
+        update(index, { status: 'complete', output, size: data.length, message: batchNotes(song.nsfTracks) });
+      } catch (error) {
+        update(index, { status: 'error', message: error.message });
       }
-    });
+    }
 
-    return nsfTracks;
+    entries.push({ name: BATCH_LOG_NAME, data: batchLog(items) });
+    setBatch({ running: false, items: [...items], zip: buildZip(entries) });
   };
 
-  // Build NSF file
-  const buildNSFFile = (nsfTracks) => {
-    const nsfHeader = new Uint8Array(128);
-    const view = new DataView(nsfHeader.buffer);
-
-    // NSF header
-    nsfHeader.set(new TextEncoder().encode('NESM\x1A'), 0); // Signature
-    view.setUint8(5, 0x01); // Version
-    view.setUint8(6, 1); // Number of songs
-    view.setUint8(7, 1); // Starting song
-
-    // Load address (0x8000)
-    view.setUint16(8, 0x8000, true);
-    
-    // Init address (0x8003)
-    view.setUint16(10, 0x8003, true);
-    
-    // Play address (0x8006)
-    view.setUint16(12, 0x8006, true);
-
-    // Song name, artist, copyright (32 bytes each)
-    nsfHeader.set(new TextEncoder().encode('Converted VGM'), 14);
-    nsfHeader.set(new TextEncoder().encode('VGM Converter'), 46);
-    nsfHeader.set(new TextEncoder().encode('Original VGM Author'), 78);
-
-    // PAL/NTSC flags
-    view.setUint8(100, 0x00); // NTSC
-    view.setUint8(101, 0x00); // PAL (disabled)
-
-    // Chip support flags
-    view.setUint8(102, 0x00); // Extra sound chips
-
-    // Expansion chip
-    view.setUint8(103, 0x00); // No expansion
-
-    return nsfHeader;
+  const handleBatchFiles = (event) => {
+    const files = [...event.target.files];
+    event.target.value = '';
+    runBatch(files.map((file) => ({ file, path: file.webkitRelativePath || file.name })));
   };
 
-  // Main conversion function
-  const handleFileUpload = async (event) => {
-    const file = event.target.files[0];
-    if (!file) return;
+  // Files in a dropped file or folder entry, with their paths from the drop
+  const readDroppedEntry = async (entry, folder = '') => {
+    if (entry.isFile) {
+      const file = await new Promise((resolve, reject) => entry.file(resolve, reject));
+      return [{ file, path: `${folder}${file.name}` }];
+    }
 
-    setConversionStatus('processing');
-    setErrorMessage('');
+    // readEntries hands out a folder's entries a block at a time
+    const reader = entry.createReader();
+    const children = [];
+    for (;;) {
+      const block = await new Promise((resolve, reject) => reader.readEntries(resolve, reject));
+      if (block.length === 0) break;
+      children.push(...block);
+    }
 
-    try {
-      const buffer = await file.arrayBuffer();
-      const parsed = parseVGMFile(buffer);
-      setVgmData(parsed);
+    const nested = await Promise.all(children.map((child) => readDroppedEntry(child, `${folder}${entry.name}/`)));
+    return nested.flat();
+  };
 
-      const commands = parseVGMCommands(parsed);
-      const nsfTracks = commandsToNSF(commands, parsed);
-      setNsfData(nsfTracks);
+  const handleBatchDrop = async (event) => {
+    event.preventDefault();
+    if (batch && batch.running) return;
 
-      const nsfHeader = buildNSFFile(nsfTracks);
-      setConvertedAudio(nsfHeader);
+    // The entries must be taken before the first await, while the drop data is readable
+    const entries = [...event.dataTransfer.items]
+      .map((item) => (item.webkitGetAsEntry ? item.webkitGetAsEntry() : null))
+      .filter(Boolean);
+    const files = [...event.dataTransfer.files];
 
-      setConversionStatus('complete');
+    try {
+      const inputs = entries.length > 0
+        ? (await Promise.all(entries.map((entry) => readDroppedEntry(entry)))).flat()
+        : files.map((file) => ({ file, path: file.name }));
+      await runBatch(inputs);
     } catch (error) {
-      setErrorMessage(`Conversion failed: ${error.message}`);
-      setConversionStatus('error');
+      setErrorMessage(`Batch conversion failed: ${error.message}`);
     }
   };
 
-  // Download NSF file
-  const downloadNSF = () => {
-    if (!convertedAudio) return;
+  // Render the converted output (and optionally the source) to WAV. Looping
+  // songs play the intro plus wavOptions.loopCount passes, then fade out.
+  const downloadWAV = async () => {
+    if (!previewSources || wavProgress !== null) return;
 
-    const blob = new Blob([convertedAudio], { type: 'application/octet-stream' });
-    const url = window.URL.createObjectURL(blob);
-    const a = document.createElement('a');
-    a.href = url;
-    a.download = 'converted.nsf';
-    a.click();
-    window.URL.revokeObjectURL(url);
+    const { sampleRate, loopCount, fadeSeconds, includeSource } = wavOptions;
+    const exports = previewSources.filter((source) => source.id === 'nes' || includeSource);
+    const fileNames = { nes: 'converted.wav', source: 'converted-source.wav' };
+
+    try {
+      for (let index = 0; index < exports.length; index++) {
+        const source = exports[index];
+        const renderer = source.createRenderer(sampleRate);
+        const looping = source.loopStart !== null;
+        renderer.setLoop(looping);
+
+        const wav = await renderToWAV(renderer, {
+          seconds: looping
+            ? source.loopStart + (source.duration - source.loopStart) * loopCount + fadeSeconds
+            : source.duration,
+          fadeSeconds: looping ? fadeSeconds : 0,
+          sampleRate,
+          onProgress: (progress) => setWavProgress((index + progress) / exports.length),
+        });
+        saveFile(wav, fileNames[source.id], 'audio/wav');
+      }
+    } catch (error) {
+      setErrorMessage(`WAV export failed: ${error.message}`);
+    } finally {
+      setWavProgress(null);
+    }
   };
 
+  // A/B preview: the source VGM on the SN76489 emulator and the converted
+  // register stream on the APU emulator
+  const previewSources = useMemo(() => {
+    if (!nsfData || !vgmData) return null;
+
+    const frameStream = buildFrameStream(nsfData);
+    const { region, updatesPerFrame } = nsfData.frameTiming;
+    const frameRate = NES_FRAME_RATES[region] * updatesPerFrame;
+    const variant = sourceChip === 'auto' ? vgmVariant(vgmData) : SN76489_VARIANTS[sourceChip];
+
+    return [
+      {
+        id: 'source',
+        label: 'A: Source (SN76489)',
+        duration: vgmData.totalSamples / VGM_SAMPLE_RATE,
+        loopStart: vgmData.loopByteOffset
+          ? (vgmData.totalSamples - vgmData.loopSamples) / VGM_SAMPLE_RATE
+          : null,
+        createRenderer: (sampleRate) => createVGMRenderer(vgmData, { sampleRate, variant }),
+      },
+      {
+        id: 'nes',
+        label: 'B: NES (2A03)',
+        duration: frameStream.frames.length / frameRate,
+        loopStart: frameStream.loopFrame !== null ? frameStream.loopFrame / frameRate : null,
+        createRenderer: (sampleRate) => createFrameStreamRenderer(frameStream, {
+          cpuClock: NES_CPU_CLOCKS[region],
+          region,
+          frameRate,
+          sampleRate,
+          read: (address) => (frameStream.dmc && frameStream.dmc[address - DMC_BASE_ADDRESS]) || 0,
+        }),
+      },
+    ];
+  }, [nsfData, vgmData, sourceChip]);
+
+  // Channel timeline lanes: the SN76489 channels, then the NES channels
+  const timeline = useMemo(() => {
+    if (!nsfData || !vgmData || !nsfData.sourceEvents) return null;
+
+    const endSample = (nsfData.loopPoint && nsfData.loopPoint.endSample) || nsfData.totalSamples || 0;
+    const cpuClock = NES_CPU_CLOCKS[nsfData.frameTiming.region];
+    const bars = (events, pitchOf, levelOf) => eventsToBars(events, { endSample, pitchOf, levelOf });
+    const sourceLevel = (event) => (0x0F - event.attenuation) / 0x0F;
+    const nesLevel = (event) => event.volume / 0x0F;
+    const timerPitch = (divider) => (event) => frequencyToMidi(cpuClock / (divider * (event.timer + 1)));
+
+    const lanes = [
+      ...nsfData.sourceEvents.tones.map((events, channel) => ({
+        id: `tone${channel}`,
+        label: `Tone ${channel + 1} (SN)`,
+        group: 'source',
+        bars: bars(events, (event) => {
+          const frequency = snPeriodToFrequency(event.period, vgmData.sn76489Clock, vgmVariant(vgmData));
+          return frequency > 0 ? frequencyToMidi(frequency) : null;
+        }, sourceLevel),
+      })),
+      {
+        id: 'source-noise',
+        label: 'Noise (SN)',
+        group: 'source',
+        bars: bars(nsfData.sourceEvents.noise, (event) => event.control, sourceLevel),
+      },
+      { id: 'square1', label: 'Square 1', group: 'nes', bars: bars(nsfData.square1, timerPitch(16), nesLevel) },
+      { id: 'square2', label: 'Square 2', group: 'nes', bars: bars(nsfData.square2, timerPitch(16), nesLevel) },
+      {
+        id: 'triangle',
+        label: 'Triangle',
+        group: 'nes',
+        bars: bars(nsfData.triangle, timerPitch(32), (event) => (event.volume > 0 ? 1 : 0)),
+      },
+      {
+        id: 'noise',
+        label: 'Noise',
+        group: 'nes',
+        bars: bars(nsfData.noise, (event) => 0x0F - (event.register & 0x0F), nesLevel),
+      },
+      {
+        id: 'dmc',
+        label: 'DMC',
+        group: 'nes',
+        bars: [],
+        markers: [...nsfData.dpcm, ...(nsfData.rawPCM || [])].map((event) => event.sample),
+      },
+      ...(nsfData.expansion && nsfData.expansion !== 'none' ? EXPANSION_PULSE_TARGETS : []).map((target) => ({
+        id: target,
+        label: NES_TARGET_LABELS[target],
+        group: 'nes',
+        bars: bars(nsfData[target], timerPitch(16), nesLevel),
+      })),
+    ];
+
+    return {
+      lanes,
+      endSample,
+      loopSample: nsfData.loopPoint ? nsfData.loopPoint.sample : null,
+    };
+  }, [nsfData, vgmData]);
+
   return (
     <div className="vgm-to-nsf-container">
       <h1>VGM to NSF Converter</h1>
@@ -433,6 +541,63 @@ const VGMToNSFConverter = () => {
             <span>Preserve SMS Noise Channel</span>
           </label>
 
+          {vgmData && vgmData.gameGear && (
+            <label className="option-select">
+              <span>Game Gear Stereo:</span>
+              <select
+                value={conversionOptions.stereoStrategy}
+                onChange={(e) =>
+                  setConversionOptions({
+                    ...conversionOptions,
+                    stereoStrategy: e.target.value,
+                  })
+                }
+              >
+                {Object.entries(STEREO_STRATEGY_LABELS).map(([value, label]) => (
+                  <option key={value} value={value}>{label}</option>
+                ))}
+              </select>
+            </label>
+          )}
+
+          {vgmData && vgmData.ym2413Clock > 0 && (
+            <label className="option-select">
+              <span>YM2413 FM Parts:</span>
+              <select
+                value={conversionOptions.fmTarget}
+                onChange={(e) =>
+                  setConversionOptions({
+                    ...conversionOptions,
+                    fmTarget: e.target.value,
+                  })
+                }
+              >
+                {Object.entries(FM_TARGET_LABELS).map(([value, label]) => (
+                  <option key={value} value={value}>{label}</option>
+                ))}
+              </select>
+            </label>
+          )}
+
+          {conversionOptions.preserveNoise && (
+            <label className="option-select">
+              <span>Periodic Noise:</span>
+              <select
+                value={conversionOptions.periodicNoise}
+                onChange={(e) =>
+                  setConversionOptions({
+                    ...conversionOptions,
+                    periodicNoise: e.target.value,
+                  })
+                }
+              >
+                {Object.entries(PERIODIC_NOISE_LABELS).map(([value, label]) => (
+                  <option key={value} value={value}>{label}</option>
+                ))}
+              </select>
+            </label>
+          )}
+
           <label className="option-checkbox">
             <input
               type="checkbox"
@@ -447,6 +612,25 @@ const VGMToNSFConverter = () => {
             <span>Enable PCM/DPCM Support</span>
           </label>
 
+          {conversionOptions.enablePCM && (
+            <label className="option-select">
+              <span>Volume-Register Samples:</span>
+              <select
+                value={conversionOptions.psgSamples}
+                onChange={(e) =>
+                  setConversionOptions({
+                    ...conversionOptions,
+                    psgSamples: e.target.value,
+                  })
+                }
+              >
+                {Object.entries(PSG_SAMPLE_LABELS).map(([value, label]) => (
+                  <option key={value} value={value}>{label}</option>
+                ))}
+              </select>
+            </label>
+          )}
+
           <label className="option-checkbox">
             <input
               type="checkbox"
@@ -461,9 +645,164 @@ const VGMToNSFConverter = () => {
             <span>Detect Audio Loops</span>
           </label>
 
+          <label className="option-select">
+            <span>NES Region:</span>
+            <select
+              value={conversionOptions.region}
+              onChange={(e) =>
+                setConversionOptions({
+                  ...conversionOptions,
+                  region: e.target.value,
+                })
+              }
+            >
+              <option value="ntsc">NTSC (1.79 MHz)</option>
+              <option value="pal">PAL (1.66 MHz)</option>
+              <option value="dendy">Dendy (1.77 MHz)</option>
+            </select>
+          </label>
+
+          <label className="option-select">
+            <span>Expansion Audio:</span>
+            <select
+              value={conversionOptions.expansion}
+              onChange={(e) =>
+                setConversionOptions({
+                  ...conversionOptions,
+                  expansion: e.target.value,
+                })
+              }
+            >
+              {Object.entries(EXPANSION_LABELS).map(([value, label]) => (
+                <option key={value} value={value}>{label}</option>
+              ))}
+            </select>
+          </label>
+
+          <label className="option-select">
+            <span>Driver Updates per Frame:</span>
+            <select
+              value={conversionOptions.updatesPerFrame}
+              onChange={(e) =>
+                setConversionOptions({
+                  ...conversionOptions,
+                  updatesPerFrame: parseInt(e.target.value, 10),
+                })
+              }
+            >
+              {[1, 2, 3, 4].map((multiple) => (
+                <option key={multiple} value={multiple}>{multiple}x</option>
+              ))}
+            </select>
+          </label>
+
+          <label className="option-select">
+            <span>Volume Curve:</span>
+            <select
+              value={conversionOptions.volumeCurve}
+              onChange={(e) =>
+                setConversionOptions({
+                  ...conversionOptions,
+                  volumeCurve: e.target.value,
+                })
+              }
+            >
+              <option value="perceptual">Perceptual (2 dB steps)</option>
+              <option value="linear">Linear</option>
+              <option value="custom">Custom table</option>
+            </select>
+          </label>
+
+          {conversionOptions.volumeCurve === 'custom' && (
+            <label className="option-text">
+              <span>Volume per attenuation step (0-15):</span>
+              <input
+                type="text"
+                value={conversionOptions.customVolumeTable}
+                onChange={(e) =>
+                  setConversionOptions({
+                    ...conversionOptions,
+                    customVolumeTable: e.target.value,
+                  })
+                }
+              />
+            </label>
+          )}
+
+          <label className="option-select">
+            <span>Triangle Strategy:</span>
+            <select
+              value={conversionOptions.triangleStrategy}
+              onChange={(e) =>
+                setConversionOptions({
+                  ...conversionOptions,
+                  triangleStrategy: e.target.value,
+                })
+              }
+            >
+              <option value="gate">Gate on/off at threshold</option>
+              <option value="dynamics">Move parts with dynamics to a square</option>
+            </select>
+          </label>
+
+          <div className="threshold-control">
+            <label>Triangle Gate: on up to attenuation {conversionOptions.triangleGateThreshold}</label>
+            <input
+              type="range"
+              min="0"
+              max="14"
+              step="1"
+              value={conversionOptions.triangleGateThreshold}
+              onChange={(e) =>
+                setConversionOptions({
+                  ...conversionOptions,
+                  triangleGateThreshold: parseInt(e.target.value, 10),
+                })
+              }
+            />
+          </div>
+
+          <div className="voice-allocation">
+            <h3>Voice Allocation</h3>
+            {TONE_CHANNELS.map((channel, index) => (
+              <label key={channel} className="option-select">
+                <span>Tone {index + 1}:</span>
+                <select
+                  value={conversionOptions.channelMapping[channel]}
+                  onChange={(e) =>
+                    setConversionOptions({
+                      ...conversionOptions,
+                      channelMapping: {
+                        ...conversionOptions.channelMapping,
+                        [channel]: e.target.value,
+                      },
+                    })
+                  }
+                >
+                  {Object.entries(VOICE_TARGET_LABELS)
+                    .filter(([value]) => conversionOptions.expansion !== 'none' || !EXPANSION_PULSE_TARGETS.includes(value))
+                    .map(([value, label]) => (
+                      <option key={value} value={value}>{label}</option>
+                    ))}
+                </select>
+              </label>
+            ))}
+            <button
+              type="button"
+              onClick={() =>
+                setConversionOptions({
+                  ...conversionOptions,
+                  channelMapping: { tone0: 'auto', tone1: 'auto', tone2: 'auto' },
+                })
+              }
+            >
+              Auto-allocate All
+            </button>
+          </div>
+
           {conversionOptions.detectLoops && (
             <div className="threshold-control">
-              <label>Loop Threshold: {(conversionOptions.loopThreshold * 100).toFixed(0)}%</label>
+              <label>Loop Match Threshold: {(conversionOptions.loopThreshold * 100).toFixed(0)}%</label>
               <input
                 type="range"
                 min="0.5"
@@ -483,15 +822,113 @@ const VGMToNSFConverter = () => {
       </div>
 
       <div className="converter-section">
-        <h2>Upload VGM File</h2>
+        <h2>Upload VGM Files</h2>
         <input
           type="file"
-          accept=".vgm"
+          accept=".vgm,.vgz"
+          multiple
           onChange={handleFileUpload}
           className="file-input"
         />
+        {vgmData && (
+          <button onClick={reconvert} className="reconvert-button">
+            Convert Again with Current Options
+          </button>
+        )}
       </div>
 
+      <div className="converter-section">
+        <h2>Batch Conversion</h2>
+        <p className="option-hint">
+          Each file is converted on its own with the current options; the results and a conversion log are
+          packed into one ZIP.
+        </p>
+        <div
+          className="batch-drop-zone"
+          onDragOver={(e) => e.preventDefault()}
+          onDrop={handleBatchDrop}
+        >
+          Drop VGM/VGZ files or a folder here
+        </div>
+        <label className="option-select">
+          <span>Files:</span>
+          <input
+            type="file"
+            accept=".vgm,.vgz"
+            multiple
+            onChange={handleBatchFiles}
+            disabled={Boolean(batch && batch.running)}
+          />
+        </label>
+        <label className="option-select">
+          <span>Folder:</span>
+          <input
+            type="file"
+            webkitdirectory=""
+            onChange={handleBatchFiles}
+            disabled={Boolean(batch && batch.running)}
+          />
+        </label>
+        <label className="option-select">
+          <span>Batch Output Format:</span>
+          <select value={outputFormat} onChange={(e) => setOutputFormat(e.target.value)}>
+            <option value="nsf">NSF</option>
+            <option value="nsfe">NSFe</option>
+          </select>
+        </label>
+        {batch && (
+          <div className="batch-results">
+            <p>
+              {batch.items.filter((item) => item.status === 'complete' || item.status === 'error').length}
+              {' '}of {batch.items.length} files processed,{' '}
+              {batch.items.filter((item) => item.status === 'error').length} failed
+            </p>
+            <ul className="batch-list">
+              {batch.items.map((item) => (
+                <li key={item.path} className="batch-item">
+                  <span className="batch-path">{item.path}</span>{' '}
+                  <span className={`status-${item.status}`}>{item.status}</span>
+                  {item.message && <span className="batch-message"> {item.message}</span>}
+                </li>
+              ))}
+            </ul>
+            {batch.zip && (
+              <button
+                onClick={() => saveFile(batch.zip, BATCH_ZIP_NAME, 'application/zip')}
+                className="download-button"
+              >
+                Download ZIP ({batch.zip.length.toLocaleString()} bytes)
+              </button>
+            )}
+          </div>
+        )}
+      </div>
+
+      {tracks.length > 1 && (
+        <div className="converter-section">
+          <h2>Tracks</h2>
+          <ol className="track-list">
+            {tracks.map((track, index) => (
+              <li key={track.id} className={track.vgm === vgmData ? 'track-item selected' : 'track-item'}>
+                <input
+                  type="text"
+                  value={track.name}
+                  aria-label={`Song ${index + 1} title`}
+                  onChange={(e) => renameTrack(index, e.target.value)}
+                />
+                <span className="track-file">{track.fileName}</span>
+                <button onClick={() => moveTrack(index, -1)} disabled={index === 0}>Up</button>
+                <button onClick={() => moveTrack(index, 1)} disabled={index === tracks.length - 1}>Down</button>
+                <button onClick={() => showTrack(track)} disabled={track.vgm === vgmData}>Show</button>
+              </li>
+            ))}
+          </ol>
+          <p className="option-hint">
+            Songs play in list order; players start at the first. The details below are for the shown song.
+          </p>
+        </div>
+      )}
+
       {vgmData && (
         <div className="converter-section">
           <h2>VGM File Information</h2>
@@ -512,6 +949,16 @@ const VGMToNSFConverter = () => {
               <label>Loop Samples:</label>
               <span>{vgmData.loopSamples.toLocaleString()}</span>
             </div>
+            {vgmData.gd3 && GD3_DISPLAY_FIELDS.map(({ label, en, jp }) => {
+              const value = [vgmData.gd3[en], jp && vgmData.gd3[jp]].filter(Boolean);
+              if (value.length === 0) return null;
+              return (
+                <div className="info-item" key={label}>
+                  <label>{label}:</label>
+                  <span>{value.length > 1 ? `${value[0]} (${value[1]})` : value[0]}</span>
+                </div>
+              );
+            })}
           </div>
         </div>
       )}
@@ -528,34 +975,233 @@ const VGMToNSFConverter = () => {
               <label>Square 2 Commands:</label>
               <span>{nsfData.square2.length}</span>
             </div>
+            <div className="result-item">
+              <label>Triangle Commands:</label>
+              <span>{nsfData.triangle.length}</span>
+            </div>
             <div className="result-item">
               <label>Noise Commands:</label>
               <span>{nsfData.noise.length}</span>
             </div>
             <div className="result-item">
-              <label>DPCM Blocks:</label>
-              <span>{nsfData.dpcm.length}</span>
+              <label>DPCM Samples:</label>
+              <span>
+                {nsfData.dpcm.length}
+                {nsfData.dmc && ` (${nsfData.dmc.data.length.toLocaleString()} bytes at $C000`}
+                {nsfData.dmc && nsfData.dmc.dropped > 0 && `, ${nsfData.dmc.dropped} did not fit`}
+                {nsfData.dmc && nsfData.dmc.truncated > 0 && `, ${nsfData.dmc.truncated} cut to the maximum length`}
+                {nsfData.dmc && ')'}
+              </span>
             </div>
+            {nsfData.psgSamples && (
+              <div className="result-item">
+                <label>Volume-Register Samples:</label>
+                <span>
+                  {nsfData.psgSamples.clips} clips taken off the tone channels
+                  {' '}({PSG_SAMPLE_LABELS[nsfData.psgSamples.output]})
+                </span>
+              </div>
+            )}
+            {nsfData.quantization && (
+              <div className="result-item">
+                <label>Quantization ({nsfData.quantization.frameRate.toFixed(3)} Hz):</label>
+                <span>
+                  {nsfData.quantization.merged.toLocaleString()} events merged,{' '}
+                  {nsfData.quantization.lost.toLocaleString()} lost
+                </span>
+              </div>
+            )}
+            {nsfData.voiceAllocation && (
+              <div className="result-item">
+                <label>Dropped Voice Frames:</label>
+                <span>
+                  {nsfData.voiceAllocation.dropped.toLocaleString()}
+                  {nsfData.voiceAllocation.reassigned > 0 &&
+                    ` (${nsfData.voiceAllocation.reassigned} mid-note reassignments)`}
+                </span>
+              </div>
+            )}
+            {nsfData.stereo && (
+              <div className="result-item">
+                <label>Game Gear Stereo:</label>
+                <span>
+                  {nsfData.stereo.oneSidedFrames.toLocaleString()} voice frames panned to one side
+                  {' '}({STEREO_STRATEGY_LABELS[nsfData.stereo.strategy]})
+                </span>
+              </div>
+            )}
+            {nsfData.fm && (
+              <div className="result-item">
+                <label>YM2413 FM:</label>
+                <span>
+                  {nsfData.fm.channels} channels to {FM_TARGET_LABELS[nsfData.fm.target]}
+                  {nsfData.fm.dropped > 0 && `, ${nsfData.fm.dropped.toLocaleString()} voice frames dropped`}
+                  {nsfData.fm.rhythmFrames > 0 &&
+                    `, rhythm mode drums not converted (${nsfData.fm.rhythmFrames.toLocaleString()} frames)`}
+                </span>
+              </div>
+            )}
+            {nsfData.voiceAllocation && nsfData.voiceAllocation.triangleFallback && (
+              <div className="result-item">
+                <label>Triangle Fallback:</label>
+                <span>
+                  {VOICE_SOURCE_LABELS[nsfData.voiceAllocation.triangleFallback.moved]} relies
+                  on dynamics, moved to {NES_TARGET_LABELS[nsfData.voiceAllocation.triangleFallback.to]}
+                </span>
+              </div>
+            )}
             {nsfData.loopPoint && (
               <div className="result-item">
-                <label>Loop Detected:</label>
-                <span>Offset: {nsfData.loopPoint.offset} samples</span>
+                <label>{nsfData.loopPoint.source === 'header' ? 'Loop Point (VGM header):' : 'Loop Point (accepted):'}</label>
+                <span>{nsfData.loopPoint.sample.toLocaleString()} samples</span>
+              </div>
+            )}
+            {nsfData.pitchReport && Object.entries(nsfData.pitchReport)
+              .filter(([, report]) => report.notes > 0)
+              .map(([target, report]) => (
+                <div className="result-item" key={`pitch-${target}`}>
+                  <label>{NES_TARGET_LABELS[target]} Pitch Error:</label>
+                  <span>
+                    {report.notes} notes, mean {report.meanAbsCents.toFixed(1)} cents,
+                    max {report.maxAbsCents.toFixed(1)} cents
+                    {report.folded > 0 && `, ${report.folded} octave-folded`}
+                  </span>
+                </div>
+              ))}
+            {nsfData.loopCandidate && (
+              <div className="result-item loop-candidate">
+                <label>Loop Candidate ({nsfData.loopCandidate.status}):</label>
+                <span>
+                  Start {formatFrameTime(nsfData.loopCandidate.startFrame, nsfData.loopCandidate.samplesPerFrame)}
+                  {' '}(frame {nsfData.loopCandidate.startFrame}), length{' '}
+                  {formatFrameTime(nsfData.loopCandidate.length, nsfData.loopCandidate.samplesPerFrame)}
+                  {' '}({nsfData.loopCandidate.length} frames), confidence{' '}
+                  {(nsfData.loopCandidate.confidence * 100).toFixed(1)}%
+                </span>
+                <div className="loop-candidate-controls">
+                  <button onClick={() => updateLoopCandidate({ startFrame: nsfData.loopCandidate.startFrame - 1 })}>
+                    Start −1
+                  </button>
+                  <button onClick={() => updateLoopCandidate({ startFrame: nsfData.loopCandidate.startFrame + 1 })}>
+                    Start +1
+                  </button>
+                  <button onClick={() => updateLoopCandidate({ length: nsfData.loopCandidate.length - 1 })}>
+                    Length −1
+                  </button>
+                  <button onClick={() => updateLoopCandidate({ length: nsfData.loopCandidate.length + 1 })}>
+                    Length +1
+                  </button>
+                  <button onClick={() => updateLoopCandidate({ status: 'accepted' })}>
+                    Accept
+                  </button>
+                  <button onClick={() => updateLoopCandidate({ status: 'rejected' })}>
+                    Reject
+                  </button>
+                </div>
               </div>
             )}
             <div className="result-item">
               <label>Total Samples:</label>
               <span>{nsfData.totalSamples ? nsfData.totalSamples.toLocaleString() : 'N/A'}</span>
             </div>
+            {convertedAudio && (
+              <div className="result-item">
+                <label>NSF Size:</label>
+                <span>{convertedAudio.length.toLocaleString()} bytes</span>
+              </div>
+            )}
           </div>
         </div>
       )}
 
+      {timeline && (
+        <div className="converter-section">
+          <h2>Channel Timeline</h2>
+          <ChannelTimeline lanes={timeline.lanes} endSample={timeline.endSample} loopSample={timeline.loopSample} />
+        </div>
+      )}
+
+      {previewSources && (
+        <div className="converter-section">
+          <h2>Preview</h2>
+          <label className="option-select">
+            <span>Source Chip:</span>
+            <select value={sourceChip} onChange={(e) => setSourceChip(e.target.value)}>
+              <option value="auto">From VGM header</option>
+              <option value="sega">Sega PSG (16-bit noise)</option>
+              <option value="ti">TI SN76489 (15-bit noise)</option>
+            </select>
+          </label>
+          {nsfData && (nsfData.vrc7 || nsfData.expansion !== 'none') && (
+            <p className="option-hint">The preview plays the 2A03 channels only; expansion chip parts are not emulated.</p>
+          )}
+          <AudioPreview sources={previewSources} />
+        </div>
+      )}
+
       {conversionStatus === 'complete' && (
         <div className="converter-section">
           <h2>Download</h2>
+          <div className="output-format">
+            <label htmlFor="output-format-select">Output Format:</label>
+            <select
+              id="output-format-select"
+              value={outputFormat}
+              onChange={(e) => setOutputFormat(e.target.value)}
+            >
+              <option value="nsf">NSF (plays until stopped)</option>
+              <option value="nsfe">NSFe (with track length and fade)</option>
+            </select>
+          </div>
           <button onClick={downloadNSF} className="download-button">
-            Download NSF File
+            {outputFormat === 'nsfe' ? 'Download NSFe File' : 'Download NSF File'}
           </button>
+
+          <div className="wav-export">
+            <label className="option-select">
+              <span>WAV Sample Rate:</span>
+              <select
+                value={wavOptions.sampleRate}
+                onChange={(e) => setWavOptions({ ...wavOptions, sampleRate: parseInt(e.target.value, 10) })}
+              >
+                {[22050, 44100, 48000, 96000].map((rate) => (
+                  <option key={rate} value={rate}>{rate.toLocaleString()} Hz</option>
+                ))}
+              </select>
+            </label>
+            <label className="option-select">
+              <span>Loop Count:</span>
+              <input
+                type="number"
+                min="1"
+                max="16"
+                value={wavOptions.loopCount}
+                onChange={(e) => setWavOptions({ ...wavOptions, loopCount: Math.max(1, parseInt(e.target.value, 10) || 1) })}
+              />
+            </label>
+            <label className="option-select">
+              <span>Fade-out (seconds):</span>
+              <input
+                type="number"
+                min="0"
+                max="60"
+                step="0.5"
+                value={wavOptions.fadeSeconds}
+                onChange={(e) => setWavOptions({ ...wavOptions, fadeSeconds: Math.max(0, parseFloat(e.target.value) || 0) })}
+              />
+            </label>
+            <label className="option-checkbox">
+              <input
+                type="checkbox"
+                checked={wavOptions.includeSource}
+                onChange={(e) => setWavOptions({ ...wavOptions, includeSource: e.target.checked })}
+              />
+              <span>Also export the SN76489 source</span>
+            </label>
+            <button onClick={downloadWAV} className="download-button" disabled={wavProgress !== null}>
+              {wavProgress !== null ? `Rendering WAV... ${Math.round(wavProgress * 100)}%` : 'Download WAV File'}
+            </button>
+          </div>
         </div>
       )}
 
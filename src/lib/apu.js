@@ -0,0 +1,419 @@
+// 2A03 APU emulator.
+//
+// Clocked one CPU cycle at a time: the pulse timers tick every other cycle,
+// the triangle, noise and DMC timers every cycle, and the frame counter
+// sequences envelopes, the triangle's linear counter, length counters and
+// sweeps. Output is mixed with the APU's non-linear DAC formulas, averaged
+// over each output sample and high-passed to remove the DC offset.
+
+import { NES_NOISE_PERIODS } from './noise.js';
+
+const LENGTH_TABLE = [
+  10, 254, 20, 2, 40, 4, 80, 6, 160, 8, 60, 10, 14, 12, 26, 14,
+  12, 16, 24, 18, 48, 20, 96, 22, 192, 24, 72, 26, 16, 28, 32, 30,
+];
+
+const DUTY_TABLE = [
+  [0, 1, 0, 0, 0, 0, 0, 0],
+  [0, 1, 1, 0, 0, 0, 0, 0],
+  [0, 1, 1, 1, 1, 0, 0, 0],
+  [1, 0, 0, 1, 1, 1, 1, 1],
+];
+
+const TRIANGLE_TABLE = [
+  15, 14, 13, 12, 11, 10, 9, 8, 7, 6, 5, 4, 3, 2, 1, 0,
+  0, 1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 12, 13, 14, 15,
+];
+
+export const DMC_RATES = {
+  ntsc: [428, 380, 340, 320, 286, 254, 226, 214, 190, 160, 142, 128, 106, 84, 72, 54],
+  pal: [398, 354, 316, 298, 276, 236, 210, 198, 176, 148, 132, 118, 98, 78, 66, 50],
+  dendy: [428, 380, 340, 320, 286, 254, 226, 214, 190, 160, 142, 128, 106, 84, 72, 54],
+};
+
+// Frame counter steps in CPU cycles, 4-step and 5-step sequences
+const FRAME_STEPS = {
+  ntsc: { 4: [7457, 14913, 22371, 29829], 5: [7457, 14913, 22371, 29829, 37281] },
+  pal: { 4: [8313, 16627, 24939, 33253], 5: [8313, 16627, 24939, 33253, 41565] },
+  dendy: { 4: [7457, 14913, 22371, 29829], 5: [7457, 14913, 22371, 29829, 37281] },
+};
+
+const HIGH_PASS_HZ = 90; // the NES output stage's first high-pass filter
+
+const createEnvelope = () => ({ start: false, divider: 0, decay: 0 });
+
+const clockEnvelope = (envelope, period, loop) => {
+  if (envelope.start) {
+    envelope.start = false;
+    envelope.decay = 15;
+    envelope.divider = period;
+  } else if (envelope.divider === 0) {
+    envelope.divider = period;
+    if (envelope.decay > 0) {
+      envelope.decay--;
+    } else if (loop) {
+      envelope.decay = 15;
+    }
+  } else {
+    envelope.divider--;
+  }
+};
+
+const createPulse = (negateOffset) => ({
+  enabled: false,
+  duty: 0,
+  halt: false,
+  constant: false,
+  volume: 0,
+  envelope: createEnvelope(),
+  sweepEnabled: false,
+  sweepPeriod: 0,
+  sweepNegate: false,
+  sweepShift: 0,
+  sweepDivider: 0,
+  sweepReload: false,
+  negateOffset, // pulse 1 negates in ones' complement
+  timer: 0,
+  counter: 0,
+  step: 0,
+  length: 0,
+});
+
+const sweepTarget = (pulse) => {
+  const change = pulse.timer >> pulse.sweepShift;
+  return pulse.sweepNegate ? pulse.timer - change - pulse.negateOffset : pulse.timer + change;
+};
+
+const pulseMuted = (pulse) => pulse.timer < 8 || sweepTarget(pulse) > 0x7FF;
+
+const pulseOutput = (pulse) => {
+  if (pulse.length === 0 || pulseMuted(pulse) || !DUTY_TABLE[pulse.duty][pulse.step]) return 0;
+  return pulse.constant ? pulse.volume : pulse.envelope.decay;
+};
+
+const clockSweep = (pulse) => {
+  if (pulse.sweepDivider === 0 && pulse.sweepEnabled && pulse.sweepShift > 0 && !pulseMuted(pulse)) {
+    pulse.timer = sweepTarget(pulse);
+  }
+  if (pulse.sweepDivider === 0 || pulse.sweepReload) {
+    pulse.sweepDivider = pulse.sweepPeriod;
+    pulse.sweepReload = false;
+  } else {
+    pulse.sweepDivider--;
+  }
+};
+
+/**
+ * Create an APU.
+ * @param {Object} options
+ * @param {number} options.cpuClock - CPU clock in Hz
+ * @param {'ntsc' | 'pal' | 'dendy'} [options.region='ntsc'] - Selects the noise,
+ *   DMC and frame counter tables
+ * @param {(address: number) => number} [options.read] - CPU memory reads for DMC samples
+ * @returns {{ write: (address: number, value: number) => void,
+ *   render: (count: number, sampleRate: number) => Float32Array }}
+ */
+export const createAPU = ({ cpuClock, region = 'ntsc', read = () => 0 }) => {
+  const noisePeriods = NES_NOISE_PERIODS[region];
+  const dmcRates = DMC_RATES[region];
+  const frameSteps = FRAME_STEPS[region];
+
+  const pulses = [createPulse(1), createPulse(0)];
+  const triangle = {
+    enabled: false,
+    control: false,
+    linearReloadValue: 0,
+    linear: 0,
+    linearReload: false,
+    timer: 0,
+    counter: 0,
+    step: 0,
+    length: 0,
+  };
+  const noise = {
+    enabled: false,
+    halt: false,
+    constant: false,
+    volume: 0,
+    envelope: createEnvelope(),
+    shortMode: false,
+    period: noisePeriods[0],
+    counter: 0,
+    shift: 1,
+    length: 0,
+  };
+  const dmc = {
+    irq: false,
+    loop: false,
+    rate: dmcRates[0],
+    counter: 0,
+    level: 0,
+    sampleAddress: 0xC000,
+    sampleLength: 1,
+    address: 0xC000,
+    remaining: 0,
+    buffer: null,
+    shift: 0,
+    bits: 8,
+    silent: true,
+  };
+  const frameCounter = { mode: 4, cycle: 0 };
+  let cycleParity = 0;
+  let cycleDebt = 0;
+  let highPassInput = 0;
+  let highPassOutput = 0;
+
+  const quarterFrame = () => {
+    pulses.forEach((pulse) => clockEnvelope(pulse.envelope, pulse.volume, pulse.halt));
+    clockEnvelope(noise.envelope, noise.volume, noise.halt);
+
+    if (triangle.linearReload) {
+      triangle.linear = triangle.linearReloadValue;
+    } else if (triangle.linear > 0) {
+      triangle.linear--;
+    }
+    if (!triangle.control) triangle.linearReload = false;
+  };
+
+  const halfFrame = () => {
+    pulses.forEach((pulse) => {
+      if (!pulse.halt && pulse.length > 0) pulse.length--;
+      clockSweep(pulse);
+    });
+    if (!triangle.control && triangle.length > 0) triangle.length--;
+    if (!noise.halt && noise.length > 0) noise.length--;
+  };
+
+  const clockFrameCounter = () => {
+    const steps = frameSteps[frameCounter.mode];
+    frameCounter.cycle++;
+    const index = steps.indexOf(frameCounter.cycle);
+    if (index < 0) return;
+
+    // 4-step: Q, QH, Q, QH. 5-step: Q, QH, Q, -, QH.
+    const skip = frameCounter.mode === 5 && index === 3;
+    if (!skip) quarterFrame();
+    if (index === 1 || index === steps.length - 1) halfFrame();
+    if (index === steps.length - 1) frameCounter.cycle = 0;
+  };
+
+  const restartSample = () => {
+    dmc.address = dmc.sampleAddress;
+    dmc.remaining = dmc.sampleLength;
+  };
+
+  const clockDMC = () => {
+    if (dmc.buffer === null && dmc.remaining > 0) {
+      dmc.buffer = read(dmc.address) & 0xFF;
+      dmc.address = dmc.address === 0xFFFF ? 0x8000 : dmc.address + 1;
+      dmc.remaining--;
+      if (dmc.remaining === 0 && dmc.loop) restartSample();
+    }
+
+    if (--dmc.counter > 0) return;
+    dmc.counter = dmc.rate;
+
+    if (!dmc.silent) {
+      if (dmc.shift & 1) {
+        if (dmc.level <= 125) dmc.level += 2;
+      } else if (dmc.level >= 2) {
+        dmc.level -= 2;
+      }
+    }
+    dmc.shift >>= 1;
+
+    if (--dmc.bits === 0) {
+      dmc.bits = 8;
+      if (dmc.buffer === null) {
+        dmc.silent = true;
+      } else {
+        dmc.silent = false;
+        dmc.shift = dmc.buffer;
+        dmc.buffer = null;
+      }
+    }
+  };
+
+  const clockCycle = () => {
+    clockFrameCounter();
+
+    cycleParity ^= 1;
+    if (cycleParity) {
+      pulses.forEach((pulse) => {
+        if (pulse.counter === 0) {
+          pulse.counter = pulse.timer;
+          pulse.step = (pulse.step + 1) & 7;
+        } else {
+          pulse.counter--;
+        }
+      });
+    }
+
+    if (triangle.counter === 0) {
+      triangle.counter = triangle.timer;
+      if (triangle.linear > 0 && triangle.length > 0) triangle.step = (triangle.step + 1) & 31;
+    } else {
+      triangle.counter--;
+    }
+
+    if (noise.counter === 0) {
+      noise.counter = noise.period - 1;
+      const tap = noise.shortMode ? 6 : 1;
+      const feedback = (noise.shift ^ (noise.shift >> tap)) & 1;
+      noise.shift = (noise.shift >> 1) | (feedback << 14);
+    } else {
+      noise.counter--;
+    }
+
+    clockDMC();
+  };
+
+  const mix = () => {
+    const square = pulseOutput(pulses[0]) + pulseOutput(pulses[1]);
+    const noiseLevel = noise.length > 0 && !(noise.shift & 1)
+      ? (noise.constant ? noise.volume : noise.envelope.decay)
+      : 0;
+    const tnd = TRIANGLE_TABLE[triangle.step] / 8227 + noiseLevel / 12241 + dmc.level / 22638;
+
+    const squareOut = square > 0 ? 95.88 / (8128 / square + 100) : 0;
+    const tndOut = tnd > 0 ? 159.79 / (1 / tnd + 100) : 0;
+    return squareOut + tndOut;
+  };
+
+  const write = (address, value) => {
+    switch (address) {
+      case 0x4000:
+      case 0x4004: {
+        const pulse = pulses[(address - 0x4000) >> 2];
+        pulse.duty = value >> 6;
+        pulse.halt = (value & 0x20) !== 0;
+        pulse.constant = (value & 0x10) !== 0;
+        pulse.volume = value & 0x0F;
+        break;
+      }
+      case 0x4001:
+      case 0x4005: {
+        const pulse = pulses[(address - 0x4000) >> 2];
+        pulse.sweepEnabled = (value & 0x80) !== 0;
+        pulse.sweepPeriod = (value >> 4) & 0x07;
+        pulse.sweepNegate = (value & 0x08) !== 0;
+        pulse.sweepShift = value & 0x07;
+        pulse.sweepReload = true;
+        break;
+      }
+      case 0x4002:
+      case 0x4006: {
+        const pulse = pulses[(address - 0x4000) >> 2];
+        pulse.timer = (pulse.timer & 0x700) | value;
+        break;
+      }
+      case 0x4003:
+      case 0x4007: {
+        const pulse = pulses[(address - 0x4000) >> 2];
+        pulse.timer = (pulse.timer & 0xFF) | ((value & 0x07) << 8);
+        if (pulse.enabled) pulse.length = LENGTH_TABLE[value >> 3];
+        pulse.step = 0;
+        pulse.envelope.start = true;
+        break;
+      }
+      case 0x4008:
+        triangle.control = (value & 0x80) !== 0;
+        triangle.linearReloadValue = value & 0x7F;
+        break;
+      case 0x400A:
+        triangle.timer = (triangle.timer & 0x700) | value;
+        break;
+      case 0x400B:
+        triangle.timer = (triangle.timer & 0xFF) | ((value & 0x07) << 8);
+        if (triangle.enabled) triangle.length = LENGTH_TABLE[value >> 3];
+        triangle.linearReload = true;
+        break;
+      case 0x400C:
+        noise.halt = (value & 0x20) !== 0;
+        noise.constant = (value & 0x10) !== 0;
+        noise.volume = value & 0x0F;
+        break;
+      case 0x400E:
+        noise.shortMode = (value & 0x80) !== 0;
+        noise.period = noisePeriods[value & 0x0F];
+        break;
+      case 0x400F:
+        if (noise.enabled) noise.length = LENGTH_TABLE[value >> 3];
+        noise.envelope.start = true;
+        break;
+      case 0x4010:
+        dmc.irq = (value & 0x80) !== 0;
+        dmc.loop = (value & 0x40) !== 0;
+        dmc.rate = dmcRates[value & 0x0F];
+        break;
+      case 0x4011:
+        dmc.level = value & 0x7F;
+        break;
+      case 0x4012:
+        dmc.sampleAddress = 0xC000 + value * 64;
+        break;
+      case 0x4013:
+        dmc.sampleLength = value * 16 + 1;
+        break;
+      case 0x4015:
+        pulses[0].enabled = (value & 0x01) !== 0;
+        pulses[1].enabled = (value & 0x02) !== 0;
+        triangle.enabled = (value & 0x04) !== 0;
+        noise.enabled = (value & 0x08) !== 0;
+        pulses.forEach((pulse) => {
+          if (!pulse.enabled) pulse.length = 0;
+        });
+        if (!triangle.enabled) triangle.length = 0;
+        if (!noise.enabled) noise.length = 0;
+        if (!(value & 0x10)) {
+          dmc.remaining = 0;
+        } else if (dmc.remaining === 0) {
+          restartSample();
+        }
+        break;
+      case 0x4017:
+        frameCounter.mode = value & 0x80 ? 5 : 4;
+        frameCounter.cycle = 0;
+        if (value & 0x80) {
+          quarterFrame();
+          halfFrame();
+        }
+        break;
+      default:
+        break;
+    }
+  };
+
+  /**
+   * Run the APU for `count` output samples.
+   * @param {number} count
+   * @param {number} sampleRate
+   * @returns {Float32Array} Samples in -1..1
+   */
+  const render = (count, sampleRate) => {
+    const output = new Float32Array(count);
+    const cyclesPerSample = cpuClock / sampleRate;
+    const alpha = 1 / (1 + (2 * Math.PI * HIGH_PASS_HZ) / sampleRate);
+
+    for (let i = 0; i < count; i++) {
+      cycleDebt += cyclesPerSample;
+      let total = 0;
+      let cycles = 0;
+      while (cycleDebt >= 1) {
+        clockCycle();
+        total += mix();
+        cycles++;
+        cycleDebt--;
+      }
+
+      const level = cycles > 0 ? total / cycles : highPassInput;
+      highPassOutput = alpha * (highPassOutput + level - highPassInput);
+      highPassInput = level;
+      output[i] = highPassOutput;
+    }
+
+    return output;
+  };
+
+  return { write, render };
+};
@@ -0,0 +1,52 @@
+import { describe, expect, it } from 'vitest';
+import { createAPU } from './apu.js';
+import { NES_CPU_CLOCKS } from './pitch.js';
+
+const SAMPLE_RATE = 48000;
+
+// Render 150 ms of output after a set of register writes
+const render = (writes) => {
+  const apu = createAPU({ cpuClock: NES_CPU_CLOCKS.ntsc });
+  writes.forEach(([address, value]) => apu.write(address, value));
+  return apu.render((SAMPLE_RATE * 3) / 20, SAMPLE_RATE);
+};
+
+const slice = (samples, fromMs, toMs) => samples.subarray((fromMs * SAMPLE_RATE) / 1000, (toMs * SAMPLE_RATE) / 1000);
+const peakToPeak = (samples) => Math.max(...samples) - Math.min(...samples);
+const zeroCrossings = (samples) => samples.filter((value, index) => index > 0 && (value > 0) !== (samples[index - 1] > 0)).length;
+
+// Pulse 1 at timer 0x0FD (440 Hz), constant volume 15, 50% duty
+const pulse = (control, sweep, lengthIndex = 0) => [
+  [0x4015, 0x01],
+  [0x4001, sweep],
+  [0x4000, control],
+  [0x4002, 0xFD],
+  [0x4003, lengthIndex << 3],
+];
+
+describe('createAPU', () => {
+  it('silences a pulse when its length counter runs out', () => {
+    // Length index 0 is 10 half frames, about 83 ms
+    const samples = render(pulse(0x9F, 0x08));
+    expect(peakToPeak(slice(samples, 70, 80))).toBeGreaterThan(0.05);
+    expect(peakToPeak(slice(samples, 100, 150))).toBeLessThan(0.001);
+  });
+
+  it('keeps a halted length counter from counting down', () => {
+    const samples = render(pulse(0xBF, 0x08));
+    expect(peakToPeak(slice(samples, 100, 150))).toBeGreaterThan(0.05);
+  });
+
+  it('lowers the pitch as the sweep raises the period, then mutes', () => {
+    // Shift 1 every half frame: 0x0FD, 0x17B, 0x238, ... until the target passes $7FF
+    const samples = render(pulse(0xBF, 0x81));
+    expect(zeroCrossings(slice(samples, 0, 8))).toBeGreaterThan(zeroCrossings(slice(samples, 17, 25)));
+    expect(peakToPeak(slice(samples, 60, 150))).toBeLessThan(0.001);
+  });
+
+  it('mutes a pulse whose sweep target passes $7FF even with the sweep off', () => {
+    const high = (sweep) => [...pulse(0xBF, sweep), [0x4003, 0x05]]; // timer 0x5FD
+    expect(peakToPeak(slice(render(high(0x00)), 20, 150))).toBeLessThan(0.001); // shift 0: target 0xBFA
+    expect(peakToPeak(slice(render(high(0x08)), 20, 150))).toBeGreaterThan(0.05); // negated
+  });
+});
@@ -0,0 +1,239 @@
+// Minimal two-pass 6502 assembler used to build the NSF playback driver.
+//
+// Supported syntax, one statement per line:
+//   label:              define a label at the current address
+//   LDA #$0F            immediate ($hex, %binary or decimal, or #<label / #>label)
+//   STA $4000,X         absolute / zero page, optionally indexed by X or Y
+//   LDA (PTR),Y         indirect indexed
+//   JMP (VECTOR)        indirect jump
+//   BNE loop            relative branch
+//   .byte 1, $02, <lbl  raw bytes
+//   .word label, $8000  little-endian words
+//   ; comment
+//
+// Symbols passed in `symbols` below $100 select zero page addressing.
+
+const OPCODES = {
+  ADC: { imm: 0x69, zp: 0x65, zpx: 0x75, abs: 0x6D, absx: 0x7D, absy: 0x79, indy: 0x71 },
+  AND: { imm: 0x29, zp: 0x25, zpx: 0x35, abs: 0x2D, absx: 0x3D, absy: 0x39, indy: 0x31 },
+  ASL: { acc: 0x0A, zp: 0x06, zpx: 0x16, abs: 0x0E, absx: 0x1E },
+  BCC: { rel: 0x90 },
+  BCS: { rel: 0xB0 },
+  BEQ: { rel: 0xF0 },
+  BMI: { rel: 0x30 },
+  BNE: { rel: 0xD0 },
+  BPL: { rel: 0x10 },
+  CLC: { imp: 0x18 },
+  CMP: { imm: 0xC9, zp: 0xC5, zpx: 0xD5, abs: 0xCD, absx: 0xDD, absy: 0xD9, indy: 0xD1 },
+  CPX: { imm: 0xE0, zp: 0xE4, abs: 0xEC },
+  CPY: { imm: 0xC0, zp: 0xC4, abs: 0xCC },
+  DEC: { zp: 0xC6, zpx: 0xD6, abs: 0xCE, absx: 0xDE },
+  DEX: { imp: 0xCA },
+  DEY: { imp: 0x88 },
+  EOR: { imm: 0x49, zp: 0x45, zpx: 0x55, abs: 0x4D, absx: 0x5D, absy: 0x59, indy: 0x51 },
+  INC: { zp: 0xE6, zpx: 0xF6, abs: 0xEE, absx: 0xFE },
+  INX: { imp: 0xE8 },
+  INY: { imp: 0xC8 },
+  JMP: { abs: 0x4C, ind: 0x6C },
+  JSR: { abs: 0x20 },
+  LDA: { imm: 0xA9, zp: 0xA5, zpx: 0xB5, abs: 0xAD, absx: 0xBD, absy: 0xB9, indy: 0xB1 },
+  LDX: { imm: 0xA2, zp: 0xA6, zpy: 0xB6, abs: 0xAE, absy: 0xBE },
+  LDY: { imm: 0xA0, zp: 0xA4, zpx: 0xB4, abs: 0xAC, absx: 0xBC },
+  LSR: { acc: 0x4A, zp: 0x46, zpx: 0x56, abs: 0x4E, absx: 0x5E },
+  NOP: { imp: 0xEA },
+  ORA: { imm: 0x09, zp: 0x05, zpx: 0x15, abs: 0x0D, absx: 0x1D, absy: 0x19, indy: 0x11 },
+  PHA: { imp: 0x48 },
+  PLA: { imp: 0x68 },
+  ROL: { acc: 0x2A, zp: 0x26, zpx: 0x36, abs: 0x2E, absx: 0x3E },
+  ROR: { acc: 0x6A, zp: 0x66, zpx: 0x76, abs: 0x6E, absx: 0x7E },
+  RTS: { imp: 0x60 },
+  SBC: { imm: 0xE9, zp: 0xE5, zpx: 0xF5, abs: 0xED, absx: 0xFD, absy: 0xF9, indy: 0xF1 },
+  SEC: { imp: 0x38 },
+  STA: { zp: 0x85, zpx: 0x95, abs: 0x8D, absx: 0x9D, absy: 0x99, indy: 0x91 },
+  STX: { zp: 0x86, zpy: 0x96, abs: 0x8E },
+  STY: { zp: 0x84, zpx: 0x94, abs: 0x8C },
+  TAX: { imp: 0xAA },
+  TAY: { imp: 0xA8 },
+  TXA: { imp: 0x8A },
+  TYA: { imp: 0x98 },
+};
+
+const OPERAND_SIZE = {
+  imp: 0, acc: 0, imm: 1, rel: 1, zp: 1, zpx: 1, zpy: 1, indy: 1,
+  abs: 2, absx: 2, absy: 2, ind: 2,
+};
+
+const parseNumber = (text) => {
+  if (text.startsWith('$')) return parseInt(text.slice(1), 16);
+  if (text.startsWith('%')) return parseInt(text.slice(1), 2);
+  if (/^\d+$/.test(text)) return parseInt(text, 10);
+  return null;
+};
+
+// Evaluate `expr` (number, symbol, <sym, >sym, sym+n) against the symbol table.
+// Returns null while a forward reference is still unresolved.
+const evaluate = (expr, symbols) => {
+  let text = expr.trim();
+  let part = null;
+
+  if (text.startsWith('<') || text.startsWith('>')) {
+    part = text[0];
+    text = text.slice(1).trim();
+  }
+
+  let value = 0;
+  for (const term of text.split('+')) {
+    const trimmed = term.trim();
+    const number = parseNumber(trimmed);
+    if (number !== null) {
+      value += number;
+    } else if (Object.prototype.hasOwnProperty.call(symbols, trimmed)) {
+      value += symbols[trimmed];
+    } else {
+      return null;
+    }
+  }
+
+  if (part === '<') return value & 0xFF;
+  if (part === '>') return (value >> 8) & 0xFF;
+  return value;
+};
+
+const isZeroPage = (expr, symbols) => {
+  const value = evaluate(expr, symbols);
+  return value !== null && value < 0x100;
+};
+
+const parseOperand = (mnemonic, operand, symbols) => {
+  const modes = OPCODES[mnemonic];
+
+  if (!operand) return { mode: modes.acc !== undefined ? 'acc' : 'imp', expr: null };
+  if (operand === 'A' && modes.acc !== undefined) return { mode: 'acc', expr: null };
+  if (modes.rel !== undefined) return { mode: 'rel', expr: operand };
+  if (operand.startsWith('#')) return { mode: 'imm', expr: operand.slice(1) };
+
+  let match = operand.match(/^\((.+)\)\s*,\s*Y$/i);
+  if (match) return { mode: 'indy', expr: match[1] };
+
+  match = operand.match(/^\((.+)\)$/);
+  if (match) return { mode: 'ind', expr: match[1] };
+
+  match = operand.match(/^(.+?)\s*,\s*([XY])$/i);
+  if (match) {
+    const index = match[2].toLowerCase();
+    const zp = `zp${index}`;
+    const mode = isZeroPage(match[1], symbols) && modes[zp] !== undefined ? zp : `abs${index}`;
+    return { mode, expr: match[1] };
+  }
+
+  const mode = isZeroPage(operand, symbols) && modes.zp !== undefined ? 'zp' : 'abs';
+  return { mode, expr: operand };
+};
+
+const splitList = (text) => text.split(',').map((item) => item.trim()).filter(Boolean);
+
+/**
+ * Assemble 6502 source text.
+ * @param {string} source - Assembly source
+ * @param {{ origin: number, symbols?: Object<string, number> }} options
+ * @returns {{ bytes: Uint8Array, labels: Object<string, number> }}
+ */
+export const assemble = (source, { origin, symbols = {} }) => {
+  const statements = [];
+  const labels = {};
+  let pc = origin;
+
+  // Pass 1: parse statements and assign addresses.
+  source.split('\n').forEach((rawLine, lineIndex) => {
+    let line = rawLine.replace(/;.*$/, '').trim();
+
+    const labelMatch = line.match(/^([A-Za-z_.][\w.]*):/);
+    if (labelMatch) {
+      labels[labelMatch[1]] = pc;
+      line = line.slice(labelMatch[0].length).trim();
+    }
+    if (!line) return;
+
+    const [head, ...rest] = line.split(/\s+/);
+    const operand = rest.join(' ').trim();
+    const lineNumber = lineIndex + 1;
+
+    if (head === '.byte') {
+      const items = splitList(operand);
+      statements.push({ kind: 'byte', items, pc, lineNumber });
+      pc += items.length;
+      return;
+    }
+
+    if (head === '.word') {
+      const items = splitList(operand);
+      statements.push({ kind: 'word', items, pc, lineNumber });
+      pc += items.length * 2;
+      return;
+    }
+
+    const mnemonic = head.toUpperCase();
+    if (!OPCODES[mnemonic]) {
+      throw new Error(`asm6502: unknown mnemonic "${head}" on line ${lineNumber}`);
+    }
+
+    const { mode, expr } = parseOperand(mnemonic, operand, symbols);
+    if (OPCODES[mnemonic][mode] === undefined) {
+      throw new Error(`asm6502: ${mnemonic} does not support ${mode} addressing on line ${lineNumber}`);
+    }
+
+    statements.push({ kind: 'op', mnemonic, mode, expr, pc, lineNumber });
+    pc += 1 + OPERAND_SIZE[mode];
+  });
+
+  // Pass 2: resolve expressions and emit bytes.
+  const allSymbols = { ...symbols, ...labels };
+  const bytes = new Uint8Array(pc - origin);
+
+  const resolve = (expr, lineNumber) => {
+    const value = evaluate(expr, allSymbols);
+    if (value === null) {
+      throw new Error(`asm6502: undefined symbol in "${expr}" on line ${lineNumber}`);
+    }
+    return value;
+  };
+
+  statements.forEach((statement) => {
+    let at = statement.pc - origin;
+
+    if (statement.kind === 'byte') {
+      statement.items.forEach((item) => {
+        bytes[at++] = resolve(item, statement.lineNumber) & 0xFF;
+      });
+      return;
+    }
+
+    if (statement.kind === 'word') {
+      statement.items.forEach((item) => {
+        const value = resolve(item, statement.lineNumber);
+        bytes[at++] = value & 0xFF;
+        bytes[at++] = (value >> 8) & 0xFF;
+      });
+      return;
+    }
+
+    const { mnemonic, mode, expr, lineNumber } = statement;
+    bytes[at++] = OPCODES[mnemonic][mode];
+
+    if (mode === 'rel') {
+      const displacement = resolve(expr, lineNumber) - (statement.pc + 2);
+      if (displacement < -128 || displacement > 127) {
+        throw new Error(`asm6502: branch to "${expr}" out of range on line ${lineNumber}`);
+      }
+      bytes[at] = displacement & 0xFF;
+    } else if (OPERAND_SIZE[mode] === 1) {
+      bytes[at] = resolve(expr, lineNumber) & 0xFF;
+    } else if (OPERAND_SIZE[mode] === 2) {
+      const value = resolve(expr, lineNumber);
+      bytes[at] = value & 0xFF;
+      bytes[at + 1] = (value >> 8) & 0xFF;
+    }
+  });
+
+  return { bytes, labels };
+};
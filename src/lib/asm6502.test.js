@@ -0,0 +1,87 @@
+import { describe, expect, it } from 'vitest';
+import { assemble } from './asm6502.js';
+
+const bytesOf = (source, options = { origin: 0x8000 }) => [...assemble(source, options).bytes];
+
+describe('assemble', () => {
+  it('encodes each addressing mode', () => {
+    expect(bytesOf(`
+      LDA #$0F
+      STA $4015
+      STA $10
+      STA $10,X
+      STA $4000,X
+      LDA $4000,Y
+      LDA (PTR),Y
+      ASL A
+      ASL
+      INX
+      JMP ($FFFC)
+    `, { origin: 0x8000, symbols: { PTR: 0x02 } })).toEqual([
+      0xA9, 0x0F,
+      0x8D, 0x15, 0x40,
+      0x85, 0x10,
+      0x95, 0x10,
+      0x9D, 0x00, 0x40,
+      0xB9, 0x00, 0x40,
+      0xB1, 0x02,
+      0x0A,
+      0x0A,
+      0xE8,
+      0x6C, 0xFC, 0xFF,
+    ]);
+  });
+
+  it('reads hex, binary and decimal numbers', () => {
+    expect(bytesOf('.byte $1F, %101, 42')).toEqual([0x1F, 0x05, 42]);
+  });
+
+  it('resolves labels, forward references and their low and high bytes', () => {
+    const { bytes, labels } = assemble(`
+      start:
+        LDA #<table
+        LDX #>table
+        JMP done
+      table:
+        .word start, table+2
+        .byte <start, >start
+      done:
+        RTS
+    `, { origin: 0xC000 });
+
+    expect(labels).toEqual({ start: 0xC000, table: 0xC007, done: 0xC00D });
+    expect([...bytes]).toEqual([
+      0xA9, 0x07,
+      0xA2, 0xC0,
+      0x4C, 0x0D, 0xC0,
+      0x00, 0xC0, 0x09, 0xC0,
+      0x00, 0xC0,
+      0x60,
+    ]);
+  });
+
+  it('encodes branches relative to the next instruction', () => {
+    expect(bytesOf(`
+      loop:
+        DEX
+        BNE loop
+        BEQ out
+        NOP
+      out:
+    `)).toEqual([0xCA, 0xD0, 0xFD, 0xF0, 0x01, 0xEA]);
+  });
+
+  it('uses zero page for symbols below $100', () => {
+    expect(bytesOf('LDA TEMP\nLDA PORT', { origin: 0x8000, symbols: { TEMP: 0x20, PORT: 0x4011 } })).toEqual([
+      0xA5, 0x20,
+      0xAD, 0x11, 0x40,
+    ]);
+  });
+
+  it('reports bad source with its line number', () => {
+    expect(() => assemble('NOP\nFOO', { origin: 0x8000 })).toThrow(/unknown mnemonic "FOO" on line 2/);
+    expect(() => assemble('LDA missing', { origin: 0x8000 })).toThrow(/undefined symbol in "missing" on line 1/);
+    expect(() => assemble('STA #1', { origin: 0x8000 })).toThrow(/STA does not support imm addressing/);
+    expect(() => assemble(`target:\n${'NOP\n'.repeat(130)}BNE target`, { origin: 0x8000 })).toThrow(/out of range/);
+  });
+});
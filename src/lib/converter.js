@@ -0,0 +1,1340 @@
+// VGM to NSF conversion pipeline.
+//
+// Everything between a VGM file and an NSF image, with no UI attached:
+//
+//   parseVGMFile      header, GD3 tags
+//   parseVGMCommands  SN76489 / YM2413 / PCM timeline
+//   commandsToNSF     NES channel tracks: voice allocation, pitch, volume,
+//                     noise, samples, FM, loop point
+//   buildNSFFile      driver, register streams and header for one or more
+//   buildNSFeFile     songs
+//
+// Options are passed explicitly to every step that needs them; anything
+// left out takes its value from DEFAULT_CONVERSION_OPTIONS. convertVGMFile
+// runs the whole chain on a .vgm or .vgz file's contents.
+
+import { EXPANSION_CHIPS, EXPANSION_PULSE_TARGETS, expansionPulseWrites } from './expansion.js';
+import { encodeDMCSample, layoutDMCSamples, layoutSharedDMCSamples, resamplePCM } from './dmc.js';
+import { encodeNSFString, gd3ToNSFText, parseGD3 } from './gd3.js';
+import { decompressVGM } from './gzip.js';
+import { findRepeatingSuffix } from './loopDetection.js';
+import { vgmCommandLength } from './vgmCommands.js';
+import { isPeriodicNoise, noiseShiftPeriod, noiseToNESRegister, PERIODIC_NOISE_LENGTH } from './noise.js';
+import { buildNSFImage, pcmWriteInterval } from './nsfDriver.js';
+import { buildNSFe } from './nsfe.js';
+import { frequencyToNESTimer, NES_CPU_CLOCKS, snPeriodToFrequency, summarizePitchErrors } from './pitch.js';
+import { extractPSGSamples } from './psgSamples.js';
+import { applyStereo, STEREO_CENTER } from './stereo.js';
+import { SN76489_VARIANTS, vgmVariant } from './sn76489.js';
+import { measureQuantization, NES_FRAME_RATES, NSF_REGION_FLAGS, NSFE_REGION_BITS, playSpeed } from './timing.js';
+import { allocateVoices, NES_VOICE_TARGETS } from './voiceAllocator.js';
+import { buildVolumeTable, measureDynamics } from './volume.js';
+import {
+  customInstrumentWrites,
+  decodeFMChannel,
+  fmFrequency,
+  fmVolumeToAttenuation,
+  NSF_EXPANSION_VRC7,
+  sampleFMFrames,
+  VRC7_ADDRESS_PORT,
+  VRC7_CHANNELS,
+  VRC7_DATA_PORT,
+  vrc7ChannelWrites,
+  YM2413_CHANNELS,
+} from './ym2413.js';
+
+export const VGM_SAMPLE_RATE = 44100;
+export const NSFE_LOOP_COUNT = 2; // times a looping track plays its loop section
+export const NSFE_FADE_MS = 8000;
+export const TONE_CHANNELS = ['tone0', 'tone1', 'tone2'];
+const LOOP_MIN_SECONDS = 1; // shortest loop the detector will report
+const PCM_DEFAULT_RATE = 8000; // Hz, for data blocks without DAC stream timing
+const RAW_PCM_BUDGET = 0.85; // share of a play call spent writing raw PCM
+const TRIANGLE_SUSTAIN_SECONDS = 0.1; // auto allocation: shortest note put on the triangle
+const NSFE_REGION_INDEX = { ntsc: 0, pal: 1, dendy: 2 };
+const VRC7_REGISTER = 0x10000; // marks a VRC7 register (not a CPU address) in register snapshots
+const VRC7_TARGETS = Array.from({ length: VRC7_CHANNELS }, (_, channel) => `fm${channel}`);
+
+// Systems a VGM can be read as: the SN76489 variant of their PSG and the
+// other chips they have (Game Gear stereo, the Mark III FM unit's YM2413).
+// With `system: 'auto'` all of these come from the file itself.
+export const SOURCE_SYSTEMS = {
+  sms: { name: 'Sega Master System', psg: 'sega', stereo: false, fm: true },
+  gg: { name: 'Game Gear', psg: 'sega', stereo: true, fm: false },
+  sg1000: { name: 'SG-1000', psg: 'ti', stereo: false, fm: false },
+};
+
+export const DEFAULT_CONVERSION_OPTIONS = {
+  preserveNoise: true,
+  enablePCM: true,
+  detectLoops: true,
+  loopThreshold: 0.85,
+  channelMapping: {
+    tone0: 'square1',
+    tone1: 'square2',
+    tone2: 'triangle',
+  },
+  region: 'ntsc',
+  updatesPerFrame: 1,
+  periodicNoise: 'short',
+  stereoStrategy: 'downmix',
+  volumeCurve: 'perceptual',
+  customVolumeTable: '15, 13, 11, 9, 8, 7, 6, 5, 4, 3, 3, 2, 2, 1, 1, 0',
+  triangleStrategy: 'gate',
+  triangleGateThreshold: 12, // highest attenuation that still opens the triangle gate
+  fmTarget: 'vrc7',
+  expansion: 'none',
+  psgSamples: 'dmc', // volume-register sample playback
+  system: 'auto', // key of SOURCE_SYSTEMS, or 'auto'
+};
+
+// Fill in the options a caller left out
+const resolveOptions = (options = {}) => ({
+  ...DEFAULT_CONVERSION_OPTIONS,
+  ...options,
+  channelMapping: { ...DEFAULT_CONVERSION_OPTIONS.channelMapping, ...options.channelMapping },
+});
+
+/**
+ * Parse a VGM file's header.
+ * @param {ArrayBuffer} buffer - Uncompressed VGM data (see decompressVGM for .vgz)
+ * @returns {Object} Header fields, GD3 tags and the buffer itself
+ */
+export const parseVGMFile = (buffer) => {
+  try {
+    const view = new DataView(buffer);
+    
+    // VGM header validation
+    const signature = String.fromCharCode(
+      view.getUint8(0),
+      view.getUint8(1),
+      view.getUint8(2),
+      view.getUint8(3)
+    );
+
+    if (signature !== 'Vgm ') {
+      throw new Error('Invalid VGM file signature');
+    }
+
+    const vgmVersion = view.getUint32(8, true);
+    const sn76489Clock = view.getUint32(12, true);
+    const ym2413Clock = view.getUint32(16, true);
+    const gd3Offset = view.getUint32(20, true);
+    const totalSamples = view.getUint32(24, true);
+    const loopOffset = view.getUint32(28, true);
+    const loopSamples = view.getUint32(32, true);
+    // Relative data offset (VGM 1.50+); older files start commands at 0x40
+    const relativeDataOffset = vgmVersion >= 0x150 ? view.getUint32(0x34, true) : 0;
+    // SN76489 noise feedback pattern and shift register width (VGM 1.10+)
+    const snFeedback = vgmVersion >= 0x110 ? view.getUint16(0x28, true) : 0;
+    const snShiftWidth = vgmVersion >= 0x110 ? view.getUint8(0x2A) : 0;
+
+    return {
+      version: vgmVersion,
+      sn76489Clock: sn76489Clock || 3579545,
+      ym2413Clock: ym2413Clock || 0,
+      totalSamples,
+      loopOffset,
+      loopByteOffset: loopOffset ? loopOffset + 0x1C : 0, // absolute file offset
+      loopSamples,
+      dataOffset: relativeDataOffset ? relativeDataOffset + 0x34 : 0x40,
+      snFeedback: snFeedback || 0x0009,
+      snShiftWidth: snShiftWidth || 16,
+      gd3: parseGD3(buffer, gd3Offset ? gd3Offset + 0x14 : 0),
+      buffer,
+    };
+  } catch (error) {
+    throw new Error(`VGM parsing error: ${error.message}`);
+  }
+};
+
+const truncatedError = (offset) => new Error(
+  `Truncated VGM data: the command at offset 0x${offset.toString(16)} runs past the end of the file`
+);
+
+// Encode a PCM data block as a DMC sample for the selected region
+const handlePCMConversion = (pcmData, sourceRate, options) => {
+  if (!options.enablePCM) {
+    return null;
+  }
+
+  return encodeDMCSample(pcmData, sourceRate, {
+    cpuClock: NES_CPU_CLOCKS[options.region],
+    region: options.region,
+  });
+};
+
+// Loop discovery for VGMs without a header loop point: look for the
+// longest repeating suffix of the per-frame APU register snapshots.
+const detectLoops = (registerFrames, options) => {
+  if (!options.detectLoops) {
+    return null;
+  }
+
+  const { states, samplesPerFrame } = registerFrames;
+  const candidate = findRepeatingSuffix(states, {
+    minLength: Math.round(LOOP_MIN_SECONDS * (VGM_SAMPLE_RATE / samplesPerFrame)),
+    matchThreshold: options.loopThreshold,
+  });
+
+  if (!candidate) {
+    return null;
+  }
+
+  return { ...candidate, samplesPerFrame, status: 'pending' };
+};
+
+// SN76489 register write decoding. A latch byte (bit 7 set) selects the
+// channel and register type and carries the low 4 bits; a data byte
+// (bit 7 clear) carries the upper 6 bits of the latched tone period, or a
+// fresh value for a latched attenuation/noise register.
+const createPSGState = () => ({
+  latchedChannel: 0,
+  latchedType: 0, // 0 = tone/noise control, 1 = attenuation
+  period: [0, 0, 0],
+  attenuation: [0x0F, 0x0F, 0x0F, 0x0F],
+  noiseControl: 0,
+});
+
+const writePSGRegister = (state, data) => {
+  if (data & 0x80) {
+    state.latchedChannel = (data >> 5) & 0x03;
+    state.latchedType = (data >> 4) & 0x01;
+
+    if (state.latchedType === 1) {
+      state.attenuation[state.latchedChannel] = data & 0x0F;
+    } else if (state.latchedChannel === 3) {
+      state.noiseControl = data & 0x07;
+    } else {
+      const channel = state.latchedChannel;
+      state.period[channel] = (state.period[channel] & 0x3F0) | (data & 0x0F);
+    }
+  } else if (state.latchedType === 1) {
+    state.attenuation[state.latchedChannel] = data & 0x0F;
+  } else if (state.latchedChannel === 3) {
+    state.noiseControl = data & 0x07;
+  } else {
+    const channel = state.latchedChannel;
+    state.period[channel] = (state.period[channel] & 0x00F) | ((data & 0x3F) << 4);
+  }
+
+  return state.latchedChannel;
+};
+
+/**
+ * Parse VGM commands into a per-channel timeline of SN76489 state changes.
+ * Tone entries carry the full 10-bit period and 4-bit attenuation of their
+ * channel; noise entries carry the 3-bit control value and attenuation.
+ * @param {Object} vgmData - From parseVGMFile
+ * @param {Object} [overrides] - Conversion options (see DEFAULT_CONVERSION_OPTIONS)
+ * @returns {Array<Object>} Timeline entries in time order
+ */
+export const parseVGMCommands = (vgmData, overrides) => {
+  const options = resolveOptions(overrides);
+  const buffer = vgmData.buffer;
+  const view = new DataView(buffer);
+  const commands = [];
+  const psg = createPSGState();
+  const lastEvent = [null, null, null, null];
+  const stereoEvents = [];
+  let offset = vgmData.dataOffset;
+  let sampleCounter = 0;
+  let loopMarked = !vgmData.loopByteOffset;
+  // The latest PCM data block and the DAC writes (0x8n) streaming it,
+  // which give its playback start and rate
+  let pcmStream = null;
+
+  const finishPCMStream = () => {
+    if (pcmStream && pcmStream.reads > 1 && pcmStream.last > pcmStream.first) {
+      pcmStream.event.sourceRate = ((pcmStream.reads - 1) * VGM_SAMPLE_RATE) / (pcmStream.last - pcmStream.first);
+    }
+    pcmStream = null;
+  };
+
+  // Record the channel's current state, folding the latch/data halves of a
+  // single register update (same sample position) into one timeline entry.
+  const emitPSGEvent = (channel, force) => {
+    const previous = lastEvent[channel];
+    const event = channel === 3
+      ? {
+        type: 'noise',
+        control: psg.noiseControl,
+        attenuation: psg.attenuation[3],
+        sample: sampleCounter,
+      }
+      : {
+        type: 'tone',
+        channel,
+        period: psg.period[channel],
+        attenuation: psg.attenuation[channel],
+        sample: sampleCounter,
+      };
+
+    if (previous && previous.sample === sampleCounter) {
+      Object.assign(previous, event);
+      return;
+    }
+
+    if (
+      !force &&
+      previous &&
+      previous.attenuation === event.attenuation &&
+      (channel === 3 ? previous.control === event.control : previous.period === event.period)
+    ) {
+      return;
+    }
+
+    if (channel === 3 && !options.preserveNoise) {
+      return;
+    }
+
+    commands.push(event);
+    lastEvent[channel] = event;
+  };
+
+  while (offset < buffer.byteLength) {
+    // Mark where the header's loop offset falls in the command stream
+    if (!loopMarked && offset >= vgmData.loopByteOffset) {
+      commands.push({ type: 'loop', sample: sampleCounter });
+      loopMarked = true;
+    }
+
+    const command = view.getUint8(offset);
+    const length = vgmCommandLength(view, offset, vgmData.version);
+    if (offset + length > buffer.byteLength) {
+      throw truncatedError(offset);
+    }
+
+    switch (command) {
+      case 0x4F: // GG Stereo
+        if (vgmData.stereo !== false) {
+          const mask = view.getUint8(offset + 1);
+          const previous = stereoEvents[stereoEvents.length - 1];
+          if (previous && previous.sample === sampleCounter) {
+            previous.mask = mask;
+          } else if (!previous || previous.mask !== mask) {
+            const event = { type: 'stereo', mask, sample: sampleCounter };
+            stereoEvents.push(event);
+            commands.push(event);
+          }
+        }
+        offset += 2;
+        break;
+
+      case 0x50: // PSG (SN76489) write
+        {
+          const data = view.getUint8(offset + 1);
+          const channel = writePSGRegister(psg, data);
+          // Noise control writes reset the shift register, so they are
+          // significant even when the value does not change.
+          const isNoiseControl = channel === 3 && psg.latchedType === 0;
+          emitPSGEvent(channel, isNoiseControl);
+          offset += 2;
+        }
+        break;
+
+      case 0x51: // YM2413 write
+        if (vgmData.ym2413Clock) {
+          commands.push({
+            type: 'fm',
+            register: view.getUint8(offset + 1),
+            value: view.getUint8(offset + 2),
+            sample: sampleCounter,
+          });
+        }
+        offset += 3;
+        break;
+
+      case 0x61: // Wait
+        {
+          const waitSamples = view.getUint16(offset + 1, true);
+          sampleCounter += waitSamples;
+          offset += 3;
+        }
+        break;
+
+      case 0x62: // Wait 735 samples (NTSC)
+        sampleCounter += 735;
+        offset += 1;
+        break;
+
+      case 0x63: // Wait 882 samples (PAL)
+        sampleCounter += 882;
+        offset += 1;
+        break;
+
+      case 0x70: case 0x71: case 0x72: case 0x73: // Wait n+1 samples
+      case 0x74: case 0x75: case 0x76: case 0x77:
+      case 0x78: case 0x79: case 0x7A: case 0x7B:
+      case 0x7C: case 0x7D: case 0x7E: case 0x7F:
+        sampleCounter += (command & 0x0F) + 1;
+        offset += 1;
+        break;
+
+      case 0x66: // End of sound data
+        commands.push({
+          type: 'end',
+          sample: sampleCounter,
+        });
+        offset = buffer.byteLength;
+        break;
+
+      case 0x67: // Data block: 0x67 0x66 type size32 data
+        {
+          const dataType = view.getUint8(offset + 2);
+          const blockSize = length - 7;
+
+          if (dataType === 0x00 && options.enablePCM) {
+            // PCM data block (8-bit unsigned)
+            const event = {
+              type: 'pcm',
+              data: new Uint8Array(buffer.slice(offset + 7, offset + 7 + blockSize)),
+              sourceRate: PCM_DEFAULT_RATE,
+              sample: sampleCounter,
+            };
+            finishPCMStream();
+            pcmStream = { event, reads: 0, first: 0, last: 0 };
+            commands.push(event);
+          }
+
+          offset += length;
+        }
+        break;
+
+      default:
+        // 0x8n: DAC write from the PCM data bank, then wait n samples.
+        // Commands for other chips are stepped over.
+        if ((command & 0xF0) === 0x80) {
+          if (pcmStream) {
+            if (pcmStream.reads === 0) {
+              pcmStream.event.sample = sampleCounter;
+              pcmStream.first = sampleCounter;
+            }
+            pcmStream.reads++;
+            pcmStream.last = sampleCounter;
+          }
+          sampleCounter += command & 0x0F;
+        }
+        offset += length;
+    }
+  }
+
+  if (!commands.some((cmd) => cmd.type === 'end')) {
+    throw new Error('Truncated VGM data: the file ends before the end of sound data command');
+  }
+
+  finishPCMStream();
+  return commands;
+};
+
+// Frame timing shared by voice allocation and register sampling. A
+// "frame" here is one play call: updatesPerFrame calls per video frame.
+const getFrameTiming = (totalSamples, { region, updatesPerFrame }) => {
+  const frameRate = NES_FRAME_RATES[region] * updatesPerFrame;
+  const samplesPerFrame = VGM_SAMPLE_RATE / frameRate;
+  return {
+    frameRate,
+    samplesPerFrame,
+    // (the epsilon keeps an end computed as frames * samplesPerFrame exact)
+    totalFrames: Math.max(1, Math.ceil(totalSamples / samplesPerFrame - 1e-9)),
+    frameOf: (sample) => Math.round(sample / samplesPerFrame),
+  };
+};
+
+// State of an event track at every frame (null before its first event)
+const sampleEventsPerFrame = (events, { totalFrames, frameOf }) => {
+  const states = new Array(totalFrames);
+  let index = 0;
+  let current = null;
+
+  for (let frame = 0; frame < totalFrames; frame++) {
+    while (index < events.length && frameOf(events[index].sample) <= frame) {
+      current = events[index];
+      index++;
+    }
+    states[frame] = current;
+  }
+
+  return states;
+};
+
+// Describe each SN76489 tone channel, frame by frame, for the voice allocator
+const buildToneVoiceFrames = (toneEvents, timing, sn76489Clock, variant) => {
+  const sustainFrames = Math.round(TRIANGLE_SUSTAIN_SECONDS * timing.frameRate);
+  const perChannel = toneEvents.map((events) => {
+    let note = 0;
+    let previous = null;
+
+    const voices = sampleEventsPerFrame(events, timing).map((state) => {
+      const frequency = state ? snPeriodToFrequency(state.period, sn76489Clock, variant) : 0;
+      const audible = frequency > 0 && state.attenuation < 0x0F;
+      if (audible && (!previous || !previous.audible || previous.period !== state.period)) {
+        note++;
+      }
+
+      const voice = {
+        audible,
+        period: state ? state.period : 0,
+        attenuation: state ? state.attenuation : 0x0F,
+        frequency,
+        note,
+      };
+      previous = voice;
+      return voice;
+    });
+
+    markSustainedNotes(voices, sustainFrames);
+    return voices;
+  });
+
+  return Array.from({ length: timing.totalFrames }, (_, frame) => (
+    perChannel.map((voices) => voices[frame])
+  ));
+};
+
+// Flag the frames of notes long enough to suit the triangle
+const markSustainedNotes = (voices, sustainFrames) => {
+  const noteLengths = new Map();
+  voices.forEach((voice) => {
+    if (voice.audible) noteLengths.set(voice.note, (noteLengths.get(voice.note) || 0) + 1);
+  });
+  voices.forEach((voice) => {
+    voice.sustained = voice.audible && noteLengths.get(voice.note) >= sustainFrames;
+  });
+};
+
+// Describe each melodic YM2413 channel, frame by frame. A note starts at
+// every key on, so re-struck notes are told apart from held ones.
+const buildFMVoiceFrames = (fmFrames, timing, ym2413Clock) => {
+  const sustainFrames = Math.round(TRIANGLE_SUSTAIN_SECONDS * timing.frameRate);
+  const perChannel = Array.from({ length: YM2413_CHANNELS }, (_, channel) => {
+    let note = 0;
+    let previous = null;
+
+    const voices = fmFrames.map(({ registers, keyOns }) => {
+      const fm = decodeFMChannel(registers, channel);
+      const frequency = fm.fnum > 0 ? fmFrequency(fm.fnum, fm.block, ym2413Clock) : 0;
+      const audible = fm.key && !fm.rhythm && frequency > 0 && fm.volume < 0x0F;
+      if (audible && (keyOns[channel] || !previous || !previous.audible || previous.frequency !== frequency)) {
+        note++;
+      }
+
+      const voice = {
+        audible,
+        attenuation: fmVolumeToAttenuation(fm.volume),
+        frequency,
+        note,
+        fm,
+      };
+      previous = voice;
+      return voice;
+    });
+
+    markSustainedNotes(voices, sustainFrames);
+    return voices;
+  });
+
+  return Array.from({ length: timing.totalFrames }, (_, frame) => (
+    perChannel.map((voices) => voices[frame])
+  ));
+};
+
+/**
+ * Convert parsed commands to NES channel tracks.
+ * @param {Array<Object>} commands - From parseVGMCommands
+ * @param {Object} vgmData - From parseVGMFile
+ * @param {Object} [overrides] - Conversion options (see DEFAULT_CONVERSION_OPTIONS)
+ * @returns {Object} Channel tracks, samples, loop point and conversion reports
+ */
+export const commandsToNSF = (commands, vgmData, overrides) => {
+  const options = resolveOptions(overrides);
+  const nsfTracks = {
+    square1: [],
+    square2: [],
+    triangle: [],
+    noise: [],
+    pulse1: [],
+    pulse2: [],
+    dpcm: [],
+    // Expansion chip whose pulses take extra voices ('none' = stock 2A03)
+    expansion: options.expansion,
+    // Play call timing, kept with the tracks so later rebuilds match
+    frameTiming: {
+      region: options.region,
+      updatesPerFrame: options.updatesPerFrame,
+    },
+  };
+
+  const volumeTable = buildVolumeTable(options.volumeCurve, options.customVolumeTable);
+
+  // The VGM header's loop point is exact; detection (below) only offers a
+  // candidate for the user to accept when there is none
+  let loopPoint = null;
+  const loopCommand = commands.find((cmd) => cmd.type === 'loop');
+  if (loopCommand) {
+    loopPoint = { sample: loopCommand.sample, source: 'header' };
+  }
+
+  const toneEvents = [[], [], []];
+  const noiseEvents = [];
+  const stereoEvents = [];
+  const fmEvents = [];
+  const pcmBlocks = [];
+
+  commands.forEach((cmd) => {
+    switch (cmd.type) {
+      case 'stereo':
+        stereoEvents.push(cmd);
+        break;
+
+      case 'tone':
+        toneEvents[cmd.channel].push(cmd);
+        break;
+
+      case 'fm':
+        fmEvents.push(cmd);
+        break;
+
+      case 'noise':
+        {
+          if (options.preserveNoise) {
+            noiseEvents.push(cmd);
+          }
+        }
+        break;
+
+      case 'pcm':
+        {
+          if (options.enablePCM && cmd.data) {
+            pcmBlocks.push(cmd);
+          }
+        }
+        break;
+
+      case 'end':
+        {
+          nsfTracks.loopPoint = loopPoint;
+          nsfTracks.totalSamples = cmd.sample;
+        }
+        break;
+
+      default:
+        break;
+    }
+  });
+
+  const timing = getFrameTiming(nsfTracks.totalSamples || 0, nsfTracks.frameTiming);
+  const cpuClock = NES_CPU_CLOCKS[options.region];
+
+  // Samples played through the SN76489 volume registers come out of the
+  // tone timeline, to be played as DMC samples or raw $4011 writes
+  const psgClips = [];
+  if (options.enablePCM && options.psgSamples !== 'keep') {
+    const extracted = extractPSGSamples(toneEvents, VGM_SAMPLE_RATE);
+    extracted.toneEvents.forEach((events, channel) => {
+      toneEvents[channel] = events;
+    });
+    psgClips.push(...extracted.clips);
+  }
+  nsfTracks.rawPCM = options.psgSamples === 'raw'
+    ? psgClips.map(({ start, pcm, sampleRate }) => ({ sample: start, pcm, sampleRate }))
+    : [];
+  nsfTracks.psgSamples = psgClips.length > 0
+    ? { clips: psgClips.length, output: options.psgSamples }
+    : null;
+
+  // PCM data blocks (and volume-register clips) become DMC samples in the
+  // $C000 region, each triggered where it starts playing
+  const dmcSources = [
+    ...pcmBlocks.map(({ data, sourceRate, sample }) => ({ data, sourceRate, sample })),
+    ...(options.psgSamples === 'dmc' ? psgClips : [])
+      .map(({ pcm, sampleRate, start }) => ({ data: pcm, sourceRate: sampleRate, sample: start })),
+  ].sort((a, b) => a.sample - b.sample);
+
+  nsfTracks.dmc = null;
+  if (dmcSources.length > 0) {
+    const encoded = dmcSources.map((source) => handlePCMConversion(source.data, source.sourceRate, options));
+    const layout = layoutDMCSamples(encoded.map((sample) => sample.bytes));
+
+    nsfTracks.dmc = {
+      data: layout.data,
+      samples: encoded.map(({ bytes, rateIndex, initialLevel }, index) => (
+        layout.placements[index] && { ...layout.placements[index], bytes, rateIndex, initialLevel }
+      )),
+      dropped: layout.dropped,
+      truncated: encoded.filter((sample) => sample.truncated).length,
+    };
+    dmcSources.forEach((source, index) => {
+      if (nsfTracks.dmc.samples[index]) {
+        nsfTracks.dpcm.push({ sampleIndex: index, sample: source.sample });
+      }
+    });
+  }
+
+  // Resolve the noise channel frame by frame, since at rate 3 it follows
+  // tone 2's period. Periodic noise is a tone at 1/16 of the shift rate:
+  // it either stays on the noise channel in short mode or becomes a
+  // pitched voice (an equivalent tone period) for the voice allocator.
+  const pitchedNoise = options.periodicNoise !== 'short';
+  const tone2States = sampleEventsPerFrame(toneEvents[2], timing);
+  const stereoStates = sampleEventsPerFrame(stereoEvents, timing);
+  const stereoAt = (frame) => (stereoStates[frame] ? stereoStates[frame].mask : STEREO_CENTER);
+  const { stereoStrategy } = options;
+  const noiseVoiceEvents = [];
+  // Periodic noise repeats once through the shift register: 16 bits on
+  // Sega's PSG, 15 on the TI chip
+  const periodicNoiseLength = vgmData.snShiftWidth || PERIODIC_NOISE_LENGTH;
+  let lastNoise = null;
+
+  sampleEventsPerFrame(noiseEvents, timing).forEach((state, frame) => {
+    if (!state) return;
+    const tone2Period = tone2States[frame] ? tone2States[frame].period : 0;
+    const periodic = isPeriodicNoise(state.control);
+    const sample = frame * timing.samplesPerFrame;
+
+    if (pitchedNoise) {
+      noiseVoiceEvents.push({
+        period: noiseShiftPeriod(state.control, tone2Period) * periodicNoiseLength,
+        attenuation: periodic ? state.attenuation : 0x0F,
+        sample,
+      });
+    }
+
+    const register = noiseToNESRegister(
+      state.control,
+      tone2Period,
+      vgmData.sn76489Clock,
+      cpuClock,
+      options.region,
+      periodicNoiseLength
+    );
+    const { attenuation } = applyStereo(state.attenuation, stereoAt(frame), 3, stereoStrategy);
+    const volume = periodic && pitchedNoise ? 0 : volumeTable[attenuation];
+
+    if (!lastNoise || lastNoise.register !== register || lastNoise.volume !== volume) {
+      lastNoise = { register, volume, sample };
+      nsfTracks.noise.push(lastNoise);
+    }
+  });
+
+  // YM2413 parts go to the VRC7's FM channels, or with the '2a03' target
+  // join the SN76489 parts as auto-allocated voices on the stock channels
+  const fmFrames = fmEvents.length > 0 ? sampleFMFrames(fmEvents, timing) : null;
+  const fmVoiceFrames = fmFrames ? buildFMVoiceFrames(fmFrames, timing, vgmData.ym2413Clock) : null;
+  const fmOnNES = fmFrames !== null && options.fmTarget === '2a03';
+  const fmSources = Array.from({ length: YM2413_CHANNELS }, (_, channel) => `fm${channel}`);
+
+  // Route the tone channels (and pitched periodic noise) onto the NES
+  // voices frame by frame
+  const snVoiceSources = pitchedNoise ? [...TONE_CHANNELS, 'noise'] : TONE_CHANNELS;
+  const voiceSources = fmOnNES ? [...snVoiceSources, ...fmSources] : snVoiceSources;
+  const voiceFrames = buildToneVoiceFrames(
+    pitchedNoise ? [...toneEvents, noiseVoiceEvents] : toneEvents,
+    timing,
+    vgmData.sn76489Clock,
+    vgmVariant(vgmData)
+  );
+
+  // Fold Game Gear panning into each voice's level and priority (voice
+  // index = SN76489 channel, the pitched noise voice being channel 3)
+  let oneSidedFrames = 0;
+  if (stereoEvents.length > 0) {
+    voiceFrames.forEach((voices, frame) => voices.forEach((voice, channel) => {
+      const stereo = applyStereo(voice.attenuation, stereoAt(frame), channel, stereoStrategy);
+      if (voice.audible && stereo.oneSided) oneSidedFrames++;
+      voice.attenuation = stereo.attenuation;
+      voice.priority = stereo.priority;
+      voice.audible = voice.audible && stereo.attenuation < 0x0F;
+    }));
+  }
+
+  // Voices pinned to the expansion pulses fall back to auto without a chip
+  const targets = nsfTracks.expansion !== 'none'
+    ? [...NES_VOICE_TARGETS, ...EXPANSION_PULSE_TARGETS]
+    : NES_VOICE_TARGETS;
+  const assignments = TONE_CHANNELS
+    .map((channel) => options.channelMapping[channel])
+    .map((target) => (EXPANSION_PULSE_TARGETS.includes(target) && !targets.includes(target) ? 'auto' : target));
+  if (pitchedNoise) {
+    assignments.push(options.periodicNoise);
+  }
+  if (fmOnNES) {
+    voiceFrames.forEach((voices, frame) => voices.push(...fmVoiceFrames[frame]));
+    assignments.push(...fmSources.map(() => 'auto'));
+  }
+  const dynamics = voiceSources.map((_, index) => (
+    measureDynamics(voiceFrames.map((voices) => voices[index]))
+  ));
+  let triangleFallback = null;
+
+  // The triangle can only gate notes on and off. With the 'dynamics'
+  // strategy a part that relies on volume changes is kept off it: a part
+  // pinned to the triangle swaps places with the steadiest square part,
+  // and auto-allocated dynamic parts only ever use the squares.
+  if (options.triangleStrategy === 'dynamics') {
+    const triangleVoice = assignments.indexOf('triangle');
+    if (triangleVoice >= 0 && dynamics[triangleVoice].dynamic) {
+      const steadiest = assignments
+        .map((target, index) => ({ target, index }))
+        .filter(({ target, index }) => (
+          index < TONE_CHANNELS.length &&
+          (target.startsWith('square') || EXPANSION_PULSE_TARGETS.includes(target)) &&
+          !dynamics[index].dynamic
+        ))
+        .sort((a, b) => dynamics[a.index].score - dynamics[b.index].score)[0];
+
+      if (steadiest) {
+        assignments[triangleVoice] = steadiest.target;
+        assignments[steadiest.index] = 'triangle';
+        triangleFallback = { moved: voiceSources[triangleVoice], to: steadiest.target };
+      }
+    }
+
+    voiceFrames.forEach((voices) => voices.forEach((voice, index) => {
+      voice.noTriangle = assignments[index] === 'auto' && dynamics[index].dynamic;
+    }));
+  }
+
+  const allocation = allocateVoices(voiceFrames, assignments, targets);
+
+  // Convert each voice's frequency to the target channel's timer for the
+  // selected region, and record the pitch error of every note played
+  const pitchNotes = {};
+
+  targets.forEach((target) => {
+    let channelType = target === 'triangle' ? 'triangle' : 'square';
+    if (EXPANSION_PULSE_TARGETS.includes(target)) channelType = EXPANSION_CHIPS[nsfTracks.expansion].timer;
+    const notes = [];
+    let last = null;
+    let lastNote = null;
+
+    allocation.frames.forEach((owner, frame) => {
+      const voiceIndex = owner[target];
+      const voice = voiceIndex !== null ? voiceFrames[frame][voiceIndex] : null;
+      const pitch = voice ? frequencyToNESTimer(voice.frequency, cpuClock, channelType) : null;
+      // A silenced voice keeps its last timer so muting writes one register
+      const timer = pitch ? pitch.timer : (last ? last.timer : 0x7FF);
+      let volume = voice ? volumeTable[voice.attenuation] : 0;
+      if (voice && channelType === 'triangle') {
+        volume = voice.attenuation <= options.triangleGateThreshold ? 0x0F : 0;
+      }
+
+      if (voice && (voiceIndex !== lastNote?.voiceIndex || voice.note !== lastNote?.note)) {
+        notes.push(pitch);
+        lastNote = { voiceIndex, note: voice.note };
+      }
+
+      if (!last || last.timer !== timer || last.volume !== volume) {
+        last = {
+          timer,
+          volume,
+          source: voice ? voiceSources[voiceIndex] : null,
+          sample: frame * timing.samplesPerFrame,
+        };
+        nsfTracks[target].push(last);
+      }
+    });
+
+    pitchNotes[target] = notes;
+  });
+
+  nsfTracks.pitchReport = Object.fromEntries(
+    Object.entries(pitchNotes).map(([target, notes]) => [target, summarizePitchErrors(notes)])
+  );
+
+  nsfTracks.stereo = stereoEvents.length > 0
+    ? { strategy: stereoStrategy, oneSidedFrames }
+    : null;
+
+  // Six VRC7 channels for nine YM2413 ones: allocate the FM voices like
+  // the tone parts, then write each VRC7 channel's registers. A channel
+  // whose voice ends is keyed off with its last settings so the note
+  // releases naturally, and a new note on a keyed-on channel is keyed off
+  // first in the same frame so it attacks again.
+  if (fmFrames && !fmOnNES) {
+    const fmAllocation = allocateVoices(fmVoiceFrames, fmSources.map(() => 'auto'), VRC7_TARGETS);
+    const held = new Array(VRC7_CHANNELS).fill(null);
+    const heldVoice = new Array(VRC7_CHANNELS).fill(null);
+    let lastWrites = null;
+
+    nsfTracks.vrc7 = [];
+    fmAllocation.frames.forEach((owner, frame) => {
+      const { registers, keyOns } = fmFrames[frame];
+      const writes = customInstrumentWrites(registers);
+
+      VRC7_TARGETS.forEach((target, channel) => {
+        const voiceIndex = owner[target];
+        if (voiceIndex !== null) {
+          const { fm } = fmVoiceFrames[frame][voiceIndex];
+          const newNote = keyOns[voiceIndex] || heldVoice[channel] !== voiceIndex;
+          if (newNote && held[channel] && held[channel].key) {
+            writes.push(vrc7ChannelWrites(channel, { ...fm, key: false }, vgmData.ym2413Clock)[1]);
+          }
+          held[channel] = fm;
+          heldVoice[channel] = voiceIndex;
+        } else if (held[channel]) {
+          held[channel] = { ...held[channel], key: false };
+        }
+
+        if (held[channel]) {
+          writes.push(...vrc7ChannelWrites(channel, held[channel], vgmData.ym2413Clock));
+        }
+      });
+
+      const key = writes.join(';');
+      if (key !== lastWrites) {
+        nsfTracks.vrc7.push({ writes, sample: frame * timing.samplesPerFrame });
+        lastWrites = key;
+      }
+    });
+
+    nsfTracks.fm = { target: 'vrc7', dropped: fmAllocation.dropped };
+  } else if (fmFrames) {
+    nsfTracks.fm = { target: '2a03', dropped: null };
+  }
+
+  if (fmFrames) {
+    // Rhythm mode drums have no VRC7 or 2A03 counterpart
+    nsfTracks.fm.rhythmFrames = fmFrames.filter(({ registers }) => (
+      decodeFMChannel(registers, YM2413_CHANNELS - 1).rhythm
+    )).length;
+    nsfTracks.fm.channels = fmSources.filter((_, channel) => (
+      fmVoiceFrames.some((voices) => voices[channel].audible)
+    )).length;
+  }
+
+  // Source state changes, kept for the channel timeline
+  nsfTracks.sourceEvents = { tones: toneEvents, noise: noiseEvents };
+
+  nsfTracks.voiceAllocation = {
+    dropped: allocation.dropped,
+    reassigned: allocation.reassigned,
+    triangleFallback,
+  };
+
+  // Register changes closer together than a play call collapse into one
+  const quantization = [
+    ...toneEvents.map((events) => measureQuantization(
+      events, timing.frameOf, (event) => `${event.period}:${event.attenuation}`
+    )),
+    measureQuantization(noiseEvents, timing.frameOf, (event) => `${event.control}:${event.attenuation}`),
+  ];
+  nsfTracks.quantization = {
+    frameRate: timing.frameRate,
+    merged: quantization.reduce((total, channel) => total + channel.merged, 0),
+    lost: quantization.reduce((total, channel) => total + channel.lost, 0),
+  };
+
+  if (!nsfTracks.loopPoint) {
+    nsfTracks.loopCandidate = detectLoops(sampleRegisterFrames(nsfTracks), options);
+  }
+
+  return nsfTracks;
+};
+
+/**
+ * Turn a (possibly nudged) detected loop candidate into a loop point: the
+ * song is cut after one pass of the loop and the driver jumps back.
+ * @param {{ startFrame: number, length: number, samplesPerFrame: number }} candidate
+ * @returns {{ sample: number, endSample: number, source: 'detected' }}
+ */
+export const candidateToLoopPoint = (candidate) => ({
+  sample: candidate.startFrame * candidate.samplesPerFrame,
+  endSample: (candidate.startFrame + candidate.length) * candidate.samplesPerFrame,
+  source: 'detected',
+});
+
+// Sample the NES channel tracks once per frame into full APU register
+// snapshots. A loop point with an end (detected loops) cuts the song there.
+const sampleRegisterFrames = (nsfTracks) => {
+  const endSample = (nsfTracks.loopPoint && nsfTracks.loopPoint.endSample) || nsfTracks.totalSamples || 0;
+  const timing = getFrameTiming(endSample, nsfTracks.frameTiming);
+  const { samplesPerFrame, totalFrames, frameOf } = timing;
+  const channels = {
+    square1: sampleEventsPerFrame(nsfTracks.square1, timing),
+    square2: sampleEventsPerFrame(nsfTracks.square2, timing),
+    triangle: sampleEventsPerFrame(nsfTracks.triangle, timing),
+    noise: sampleEventsPerFrame(nsfTracks.noise, timing),
+  };
+  const vrc7 = nsfTracks.vrc7 ? sampleEventsPerFrame(nsfTracks.vrc7, timing) : null;
+  const dmcTriggers = new Map(nsfTracks.dpcm.map((event) => [frameOf(event.sample), event]));
+  let dmcSample = null;
+  const pulses = nsfTracks.expansion && nsfTracks.expansion !== 'none'
+    ? EXPANSION_PULSE_TARGETS.map((target) => sampleEventsPerFrame(nsfTracks[target], timing))
+    : [];
+
+  const states = [];
+
+  for (let frame = 0; frame < totalFrames; frame++) {
+    const desired = [];
+
+    [['square1', 0x4000], ['square2', 0x4004]].forEach(([name, base]) => {
+      const state = channels[name][frame];
+      const volume = state ? state.volume : 0;
+      const timer = state ? state.timer : 0x7FF;
+      desired.push([base, 0xB0 | volume]); // 50% duty, length halt, constant volume
+      desired.push([base + 2, timer & 0xFF]);
+      desired.push([base + 3, 0x08 | (timer >> 8)]);
+    });
+
+    {
+      const state = channels.triangle[frame];
+      const audible = state && state.volume > 0;
+      const timer = state ? state.timer : 0x7FF;
+      desired.push([0x4008, audible ? 0xFF : 0x80]);
+      desired.push([0x400A, timer & 0xFF]);
+      desired.push([0x400B, 0x08 | (timer >> 8)]);
+    }
+
+    {
+      const state = channels.noise[frame];
+      desired.push([0x400C, 0x30 | (state ? state.volume : 0)]);
+      desired.push([0x400E, state ? state.register : 0]);
+      desired.push([0x400F, 0x08]);
+    }
+
+    // A DMC trigger loads the sample's level, restarts the channel (a
+    // $4015 write only starts a sample once the previous one has ended)
+    // and leaves its rate, address and length set until the next one.
+    // Its writes are marked to be sent even when the values repeat: the
+    // output level has moved since the last trigger set it. Samples left
+    // out of the DMC region have no placement and are skipped.
+    const trigger = dmcTriggers.has(frame) ? nsfTracks.dmc.samples[dmcTriggers.get(frame).sampleIndex] : null;
+    if (trigger) {
+      dmcSample = trigger;
+      desired.push([0x4011, dmcSample.initialLevel, true]);
+    }
+    if (dmcSample) {
+      desired.push([0x4010, dmcSample.rateIndex, Boolean(trigger)]);
+      desired.push([0x4012, dmcSample.address, Boolean(trigger)]);
+      desired.push([0x4013, dmcSample.length, Boolean(trigger)]);
+    }
+    if (trigger) {
+      desired.push([0x4015, 0x0F, true]);
+      desired.push([0x4015, 0x1F, true]);
+    }
+
+    pulses.forEach((channel, index) => {
+      const state = channel[frame] || { timer: 0x7FF, volume: 0 };
+      desired.push(...expansionPulseWrites(nsfTracks.expansion, index, state));
+    });
+
+    if (vrc7 && vrc7[frame]) {
+      vrc7[frame].writes.forEach(([register, value]) => desired.push([VRC7_REGISTER | register, value]));
+    }
+
+    states.push(desired);
+  }
+
+  return { states, samplesPerFrame, frameOf };
+};
+
+// Emit the APU register writes needed to move from one frame's snapshot to
+// the next. The first frame writes every register so the driver starts
+// from a known state, and entries flagged as forced (a DMC trigger's
+// writes) are sent regardless. Snapshot entries apply in order, so a register may
+// appear twice in a frame (a VRC7 key off before a key on). VRC7
+// registers become a select/data pair of port writes; the driver's time
+// between writes covers the chip's access delays.
+export const buildFrameStream = (nsfTracks) => {
+  const { states, samplesPerFrame, frameOf } = sampleRegisterFrames(nsfTracks);
+  const loopFrame = nsfTracks.loopPoint
+    ? Math.min(states.length - 1, frameOf(nsfTracks.loopPoint.sample))
+    : null;
+
+  const registers = new Map();
+  const frames = states.map((desired, frame) => {
+    // Only rewrite a timer high byte when it changes: writing it restarts
+    // the pulse sequencer and would click on every frame. The loop frame
+    // restates everything because the driver jumps there from the end.
+    const writes = desired.filter(([address, value, forced]) => {
+      const changed = forced || frame === 0 || frame === loopFrame || registers.get(address) !== value;
+      registers.set(address, value);
+      return changed;
+    });
+    return writes.flatMap(([address, value]) => (
+      address & VRC7_REGISTER
+        ? [[VRC7_ADDRESS_PORT, address & 0xFF], [VRC7_DATA_PORT, value]]
+        : [[address, value]]
+    ));
+  });
+
+  return {
+    frames,
+    samplesPerFrame,
+    loopFrame,
+    dmc: nsfTracks.dmc ? nsfTracks.dmc.data : null,
+    pcm: buildRawPCMChunks(nsfTracks, samplesPerFrame, frames.length),
+  };
+};
+
+// Spread raw PCM clips over the play calls they span. Each call writes
+// its share of the clip to $4011, resampled so the writes fit in
+// RAW_PCM_BUDGET of the call at the driver's write interval.
+const buildRawPCMChunks = (nsfTracks, samplesPerFrame, totalFrames) => {
+  const chunks = new Map();
+  const frameRate = VGM_SAMPLE_RATE / samplesPerFrame;
+  const budget = (RAW_PCM_BUDGET * NES_CPU_CLOCKS[nsfTracks.frameTiming.region]) / frameRate;
+
+  (nsfTracks.rawPCM || []).forEach(({ sample, pcm, sampleRate }) => {
+    const perCall = Math.min(
+      Math.max(1, Math.round(sampleRate / frameRate)),
+      Math.floor(budget / pcmWriteInterval(1))
+    );
+    const delay = Math.min(0xFF, Math.max(1, Math.floor((budget / perCall - pcmWriteInterval(0)) / 5)));
+    const levels = resamplePCM(pcm, sampleRate, perCall * frameRate);
+    const firstFrame = Math.round(sample / samplesPerFrame);
+
+    for (let start = 0; start < levels.length && firstFrame + start / perCall < totalFrames; start += perCall) {
+      chunks.set(firstFrame + start / perCall, {
+        values: Array.from(levels.subarray(start, start + perCall), (value) => Math.min(0x7F, Math.round(value / 2))),
+        delay,
+      });
+    }
+  });
+
+  return chunks;
+};
+
+const writeHeaderString = (header, offset, text) => {
+  header.set(encodeNSFString(text), offset);
+};
+
+// Expansion chips used by any of the songs, as NSF header flags
+const expansionFlags = (songs) => songs.reduce((flags, { nsfTracks }) => (
+  flags |
+  (nsfTracks.vrc7 ? NSF_EXPANSION_VRC7 : 0) |
+  (nsfTracks.expansion && nsfTracks.expansion !== 'none' ? EXPANSION_CHIPS[nsfTracks.expansion].flag : 0)
+), 0);
+
+// Place every song's DMC samples in one region, storing samples that
+// several songs use once, and point each song's triggers at it
+const shareDMCSamples = (songs) => {
+  const layout = layoutSharedDMCSamples(songs.map(({ nsfTracks }) => (
+    nsfTracks.dmc ? nsfTracks.dmc.samples.map((sample) => sample && sample.bytes) : []
+  )));
+
+  return {
+    data: layout.data,
+    songTracks: songs.map(({ nsfTracks }, song) => (nsfTracks.dmc
+      ? {
+        ...nsfTracks,
+        dmc: {
+          ...nsfTracks.dmc,
+          data: layout.data,
+          samples: nsfTracks.dmc.samples.map((sample, index) => (
+            sample && layout.placements[song][index] && { ...sample, ...layout.placements[song][index] }
+          )),
+        },
+      }
+      : nsfTracks)),
+  };
+};
+
+// Driver and streams for a set of songs ({ nsfTracks } each, in song order)
+const buildDriverImage = (songs) => {
+  const [{ nsfTracks: first }] = songs;
+  const mismatch = songs.find(({ nsfTracks }) => (
+    nsfTracks.frameTiming.region !== first.frameTiming.region ||
+    nsfTracks.frameTiming.updatesPerFrame !== first.frameTiming.updatesPerFrame ||
+    nsfTracks.expansion !== first.expansion
+  ));
+  if (mismatch) {
+    throw new Error('All songs in an NSF must be converted with the same region, update rate and expansion audio');
+  }
+
+  const { data, songTracks } = shareDMCSamples(songs);
+  return buildNSFImage(songTracks.map(buildFrameStream), {
+    expansion: first.expansion && first.expansion !== 'none' ? first.expansion : null,
+    dmc: data,
+  });
+};
+
+// NSF header text: a single song is named after its track, a set of songs
+// after the game
+const songSetText = (songs) => {
+  const headerText = gd3ToNSFText(songs[0].vgm.gd3);
+  if (songs.length === 1) return headerText;
+
+  const gd3 = songs[0].vgm.gd3 || {};
+  return { ...headerText, name: gd3.gameNameEn || gd3.gameNameJp || headerText.name };
+};
+
+/**
+ * Build an NSF file: 128-byte header followed by the driver and register
+ * streams of the songs.
+ * @param {Array<{ vgm: Object, nsfTracks: Object }>} songs - In song order
+ * @returns {Uint8Array}
+ */
+export const buildNSFFile = (songs) => {
+  const image = buildDriverImage(songs);
+
+  const nsfFile = new Uint8Array(128 + image.data.length);
+  const nsfHeader = nsfFile.subarray(0, 128);
+  const view = new DataView(nsfFile.buffer);
+
+  // NSF header
+  nsfHeader.set(new TextEncoder().encode('NESM\x1A'), 0); // Signature
+  view.setUint8(5, 0x01); // Version
+  view.setUint8(6, songs.length); // Number of songs
+  view.setUint8(7, 1); // Starting song (1-based)
+
+  view.setUint16(8, image.loadAddress, true);
+  view.setUint16(10, image.initAddress, true);
+  view.setUint16(12, image.playAddress, true);
+
+  // Song name, artist, copyright (32 bytes each)
+  const headerText = songSetText(songs);
+  writeHeaderString(nsfHeader, 14, headerText.name);
+  writeHeaderString(nsfHeader, 46, headerText.artist);
+  writeHeaderString(nsfHeader, 78, headerText.copyright);
+
+  // Play speeds (microseconds per play call)
+  const { region, updatesPerFrame } = songs[0].nsfTracks.frameTiming;
+  view.setUint16(0x6E, playSpeed(NES_FRAME_RATES.ntsc * updatesPerFrame), true);
+  view.setUint16(0x78, playSpeed(NES_FRAME_RATES.pal * updatesPerFrame), true);
+
+  // Bankswitch init values (all zero = no bankswitching)
+  if (image.bankswitch) {
+    nsfHeader.set(image.bankswitch, 0x70);
+  }
+
+  // PAL/NTSC flags
+  view.setUint8(0x7A, NSF_REGION_FLAGS[region]);
+
+  // Extra sound chips
+  view.setUint8(0x7B, expansionFlags(songs));
+
+  nsfFile.set(image.data, 128);
+  return nsfFile;
+};
+
+// Track length and fade for players, from the VGM header: looping tracks
+// play the intro plus NSFE_LOOP_COUNT passes of the loop and then fade.
+const getTrackDuration = (vgmData, loopPoint) => {
+  const toMs = (samples) => (samples * 1000) / VGM_SAMPLE_RATE;
+
+  if (loopPoint && loopPoint.endSample) {
+    const loopLength = loopPoint.endSample - loopPoint.sample;
+    return {
+      time: toMs(loopPoint.sample + loopLength * NSFE_LOOP_COUNT),
+      fade: NSFE_FADE_MS,
+    };
+  }
+
+  if (vgmData.loopSamples > 0) {
+    const introSamples = vgmData.totalSamples - vgmData.loopSamples;
+    return {
+      time: toMs(introSamples + vgmData.loopSamples * NSFE_LOOP_COUNT),
+      fade: NSFE_FADE_MS,
+    };
+  }
+
+  return { time: toMs(vgmData.totalSamples), fade: 0 };
+};
+
+/**
+ * Build an NSFe file: the same program image as the NSF, with length, fade
+ * and title chunks for each song.
+ * @param {Array<{ vgm: Object, nsfTracks: Object, name?: string }>} songs - In
+ *   song order; names label the songs of a set
+ * @returns {Uint8Array}
+ */
+export const buildNSFeFile = (songs) => {
+  const image = buildDriverImage(songs);
+  const headerText = songSetText(songs);
+  const durations = songs.map(({ vgm, nsfTracks }) => getTrackDuration(vgm, nsfTracks.loopPoint));
+  const gd3 = songs[0].vgm.gd3 || {};
+  const { region, updatesPerFrame } = songs[0].nsfTracks.frameTiming;
+
+  return buildNSFe({
+    image,
+    regionFlags: NSF_REGION_FLAGS[region],
+    expansion: expansionFlags(songs),
+    songCount: songs.length,
+    startingSong: 0,
+    playSpeeds: updatesPerFrame > 1
+      ? ['ntsc', 'pal', 'dendy'].map((name) => playSpeed(NES_FRAME_RATES[name] * updatesPerFrame))
+      : undefined,
+    region: { supported: NSFE_REGION_BITS[region], preferred: NSFE_REGION_INDEX[region] },
+    times: durations.map(({ time }) => time),
+    fades: durations.map(({ fade }) => fade),
+    labels: songs.length > 1 ? songs.map(({ name }) => name) : [headerText.name],
+    author: {
+      game: gd3.gameNameEn || gd3.gameNameJp || headerText.name,
+      artist: headerText.artist,
+      copyright: headerText.copyright,
+      ripper: gd3.ripper || '',
+    },
+  });
+};
+
+
+// Read a parsed file as coming from a system: its PSG variant replaces the
+// header's, and chips the system lacks are ignored
+const applySourceSystem = (parsed, system) => {
+  if (!system || system === 'auto') return parsed;
+
+  const source = SOURCE_SYSTEMS[system];
+  if (!source) {
+    throw new Error(`Unknown source system "${system}" (expected ${Object.keys(SOURCE_SYSTEMS).join(', ')} or auto)`);
+  }
+
+  const { feedback, width } = SN76489_VARIANTS[source.psg];
+  return {
+    ...parsed,
+    system,
+    snFeedback: feedback,
+    snShiftWidth: width,
+    ym2413Clock: source.fm ? parsed.ym2413Clock : 0,
+    stereo: source.stereo,
+  };
+};
+
+/**
+ * Run the conversion pipeline on a parsed file.
+ * @param {Object} parsed - From parseVGMFile
+ * @param {Object} [options] - Conversion options (see DEFAULT_CONVERSION_OPTIONS)
+ * @returns {{ vgm: Object, nsfTracks: Object }} The file, read as the chosen
+ *   source system and flagged as Game Gear when it uses stereo, and its NES
+ *   channel tracks
+ */
+export const convertVGM = (parsed, options) => {
+  const source = applySourceSystem(parsed, resolveOptions(options).system);
+  const commands = parseVGMCommands(source, options);
+  const systemName = source.gd3 ? source.gd3.systemNameEn : '';
+  const vgm = {
+    ...source,
+    gameGear: source.system
+      ? SOURCE_SYSTEMS[source.system].stereo
+      : commands.some((cmd) => cmd.type === 'stereo') || /game gear/i.test(systemName),
+  };
+
+  return { vgm, nsfTracks: commandsToNSF(commands, vgm, options) };
+};
+
+/**
+ * Convert a .vgm or .vgz file to an NSF or NSFe.
+ * @param {ArrayBuffer} buffer - File contents, compressed or not
+ * @param {Object} [options] - Conversion options (see DEFAULT_CONVERSION_OPTIONS), plus:
+ * @param {'nsf' | 'nsfe'} [options.format='nsf'] - Output file format
+ * @param {boolean} [options.acceptDetectedLoop=false] - Loop at a detected loop
+ *   candidate, as if accepted in the review step
+ * @returns {Promise<{ data: Uint8Array, vgm: Object, nsfTracks: Object }>}
+ */
+export const convertVGMFile = async (buffer, { format = 'nsf', acceptDetectedLoop = false, ...options } = {}) => {
+  const { vgm, nsfTracks } = convertVGM(parseVGMFile(await decompressVGM(buffer)), options);
+  const candidate = acceptDetectedLoop && !nsfTracks.loopPoint ? nsfTracks.loopCandidate : null;
+  const song = {
+    vgm,
+    nsfTracks: candidate
+      ? {
+        ...nsfTracks,
+        loopCandidate: { ...candidate, status: 'accepted' },
+        loopPoint: candidateToLoopPoint(candidate),
+      }
+      : nsfTracks,
+  };
+
+  return { ...song, data: format === 'nsfe' ? buildNSFeFile([song]) : buildNSFFile([song]) };
+};
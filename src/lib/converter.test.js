@@ -0,0 +1,227 @@
+import { describe, expect, it } from 'vitest';
+import { buildFrameStream, convertVGM, parseVGMCommands, parseVGMFile } from './converter.js';
+
+// A minimal VGM file around a command stream (the 0x66 end is added).
+// Versions before 1.50 have no data offset field.
+const makeVGM = (commands, { totalSamples = 0, version = 0x150 } = {}) => {
+  const bytes = new Uint8Array(0x40 + commands.length + 1);
+  const view = new DataView(bytes.buffer);
+  bytes.set([0x56, 0x67, 0x6D, 0x20]); // 'Vgm '
+  view.setUint32(0x04, bytes.length - 4, true);
+  view.setUint32(0x08, version, true);
+  view.setUint32(0x0C, 3579545, true);
+  view.setUint32(0x18, totalSamples, true);
+  if (version >= 0x150) view.setUint32(0x34, 0x0C, true);
+  bytes.set(commands, 0x40);
+  bytes[bytes.length - 1] = 0x66;
+  return bytes.buffer;
+};
+
+const wait = (samples) => [0x61, samples & 0xFF, samples >> 8];
+
+describe('parseVGMFile', () => {
+  it('reads the header fields', () => {
+    const bytes = new Uint8Array(makeVGM([0x50, 0x9F, ...wait(100)], { totalSamples: 100 }));
+    const view = new DataView(bytes.buffer);
+    view.setUint32(0x08, 0x151, true);
+    view.setUint32(0x10, 3579545, true); // YM2413
+    view.setUint32(0x1C, 0x40 - 0x1C, true); // loop at the first command
+    view.setUint32(0x20, 100, true);
+    view.setUint16(0x28, 0x0003, true);
+    bytes[0x2A] = 15;
+
+    expect(parseVGMFile(bytes.buffer)).toMatchObject({
+      version: 0x151,
+      sn76489Clock: 3579545,
+      ym2413Clock: 3579545,
+      totalSamples: 100,
+      loopByteOffset: 0x40,
+      loopSamples: 100,
+      dataOffset: 0x40,
+      snFeedback: 0x0003,
+      snShiftWidth: 15,
+      gd3: null,
+    });
+  });
+
+  it('defaults the PSG variant to Sega\'s when the header leaves it unset', () => {
+    expect(parseVGMFile(makeVGM([]))).toMatchObject({ snFeedback: 0x0009, snShiftWidth: 16, loopByteOffset: 0 });
+  });
+
+  it('reads the PSG variant from VGM 1.10 on', () => {
+    const withVariant = (version) => {
+      const bytes = new Uint8Array(makeVGM([], { version }));
+      new DataView(bytes.buffer).setUint16(0x28, 0x0003, true);
+      bytes[0x2A] = 15;
+      return parseVGMFile(bytes.buffer);
+    };
+
+    expect(withVariant(0x110)).toMatchObject({ snFeedback: 0x0003, snShiftWidth: 15 });
+    expect(withVariant(0x101)).toMatchObject({ snFeedback: 0x0009, snShiftWidth: 16 });
+  });
+
+  it('rejects files without the VGM signature', () => {
+    const bytes = new Uint8Array(makeVGM([]));
+    bytes[0] = 0x76;
+    expect(() => parseVGMFile(bytes.buffer)).toThrow(/Invalid VGM file signature/);
+  });
+
+  it('reads commands from 0x34 + the data offset field', () => {
+    const bytes = new Uint8Array(makeVGM([0x50, 0x9F]));
+    new DataView(bytes.buffer).setUint32(0x34, 0x2C, true);
+    expect(parseVGMFile(bytes.buffer).dataOffset).toBe(0x60);
+  });
+
+  it('starts commands at 0x40 before VGM 1.50', () => {
+    const parsed = parseVGMFile(makeVGM([0x50, 0x9F], { version: 0x101 }));
+    expect(parsed.dataOffset).toBe(0x40);
+    expect(parseVGMCommands(parsed)[0]).toMatchObject({ type: 'tone', channel: 0, attenuation: 0x0F, sample: 0 });
+  });
+
+  it('starts commands at 0x40 when the data offset field is 0', () => {
+    const bytes = new Uint8Array(makeVGM([0x50, 0x9F]));
+    new DataView(bytes.buffer).setUint32(0x34, 0, true);
+    expect(parseVGMFile(bytes.buffer).dataOffset).toBe(0x40);
+  });
+});
+
+describe('parseVGMCommands', () => {
+  const parse = (commands, options) => parseVGMCommands(parseVGMFile(makeVGM(commands)), options);
+
+  it('combines a latch byte and a data byte into a tone period', () => {
+    // Latch tone 1 period low bits 0xA, data byte upper bits 0x15: period 0x15A
+    const events = parse([0x50, 0xAA, 0x50, 0x15, 0x50, 0xB3, ...wait(10)]);
+    expect(events[0]).toEqual({ type: 'tone', channel: 1, period: 0x15A, attenuation: 3, sample: 0 });
+  });
+
+  it('applies a data byte to the latched channel\'s volume', () => {
+    const events = parse([0x50, 0xD0, ...wait(10), 0x50, 0x07, ...wait(10)]);
+    expect(events.filter((event) => event.type === 'tone').map((event) => [event.channel, event.attenuation, event.sample]))
+      .toEqual([[2, 0, 0], [2, 7, 10]]);
+  });
+
+  it('decodes noise control and attenuation', () => {
+    const events = parse([0x50, 0xE5, 0x50, 0xF2, ...wait(10)]);
+    expect(events[0]).toEqual({ type: 'noise', control: 5, attenuation: 2, sample: 0 });
+  });
+
+  it('drops the noise channel when asked', () => {
+    expect(parse([0x50, 0xE5, 0x50, 0xF2, ...wait(10)], { preserveNoise: false }).map((event) => event.type)).toEqual(['end']);
+  });
+
+  it('counts every kind of wait', () => {
+    const events = parse([0x62, 0x63, 0x70, 0x7F, ...wait(1000), 0x50, 0x90]);
+    expect(events[0].sample).toBe(735 + 882 + 1 + 16 + 1000);
+  });
+
+  it('records Game Gear stereo changes', () => {
+    const events = parse([0x4F, 0xF0, 0x4F, 0xF0, ...wait(10), 0x4F, 0x0F]);
+    expect(events.filter((event) => event.type === 'stereo')).toEqual([
+      { type: 'stereo', mask: 0xF0, sample: 0 },
+      { type: 'stereo', mask: 0x0F, sample: 10 },
+    ]);
+  });
+
+  it('marks the header loop point in the stream', () => {
+    const bytes = new Uint8Array(makeVGM([...wait(100), 0x50, 0x90, ...wait(100)], { totalSamples: 200 }));
+    new DataView(bytes.buffer).setUint32(0x1C, 0x43 - 0x1C, true);
+    const events = parseVGMCommands(parseVGMFile(bytes.buffer));
+    expect(events.find((event) => event.type === 'loop')).toEqual({ type: 'loop', sample: 100 });
+  });
+
+  it('steps over commands for other chips', () => {
+    // Operands that would read as PSG writes and waits if a command were
+    // stepped over by the wrong length
+    const commands = [
+      0x52, 0x50, 0x9F, // YM2612
+      0x93, 0x00, 0x61, 0x10, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, // DAC stream start
+      0x94, 0x00, // DAC stream stop
+      0xC0, 0x00, 0x50, 0xBF, // Sega PCM
+      0xE0, 0x62, 0x00, 0x00, 0x00, // PCM seek
+      0x50, 0x8E, 0x50, 0x0F, // tone 0 period 0x0FE
+      0x50, 0x90, // tone 0 full volume
+      ...wait(100),
+    ];
+    const events = parseVGMCommands(parseVGMFile(makeVGM(commands)));
+
+    expect(events.filter((event) => event.type === 'tone')).toEqual([
+      { type: 'tone', channel: 0, period: 0x0FE, attenuation: 0, sample: 0 },
+    ]);
+    expect(events[events.length - 1]).toEqual({ type: 'end', sample: 100 });
+  });
+
+  it('steps over 0x40-0x4E by their length in the file\'s version', () => {
+    // One operand before VGM 1.60, two from then on
+    const tones = (version, commands) => parseVGMCommands(parseVGMFile(makeVGM(commands, { version })))
+      .filter((event) => event.type === 'tone');
+
+    expect(tones(0x150, [0x40, 0x00, 0x50, 0x90, ...wait(10)])).toHaveLength(1);
+    expect(tones(0x160, [0x40, 0x00, 0x00, 0x50, 0x90, ...wait(10)])).toHaveLength(1);
+  });
+
+  it('rejects a command cut off by the end of the file', () => {
+    const bytes = new Uint8Array(makeVGM([0x50, 0x90])).slice(0, 0x41);
+    expect(() => parseVGMCommands(parseVGMFile(bytes.buffer))).toThrow(/Truncated VGM data/);
+  });
+});
+
+describe('convertVGM', () => {
+  it('leaves a Sega PSG tone held at period 0 silent', () => {
+    const commands = [0x50, 0x80, 0x50, 0x00, 0x50, 0x90, ...wait(44100)]; // tone 0: period 0, full volume
+    const { nsfTracks } = convertVGM(parseVGMFile(makeVGM(commands, { totalSamples: 44100 })), { detectLoops: false });
+    const { frames } = buildFrameStream(nsfTracks);
+    const volumes = frames.flat().filter(([address]) => address === 0x4000).map(([, value]) => value & 0x0F);
+
+    expect(volumes.length).toBeGreaterThan(0);
+    expect(volumes.every((volume) => volume === 0)).toBe(true);
+  });
+
+  it('names pitched noise when it is moved off the triangle', () => {
+    // Steady tones 0 and 1, and periodic noise whose level changes every frame
+    const tones = [0x50, 0x80, 0x50, 0x10, 0x50, 0x90, 0x50, 0xA0, 0x50, 0x08, 0x50, 0xB0, 0x50, 0xE0];
+    const noise = Array.from({ length: 60 }, (_, frame) => [0x50, 0xF0 | (frame % 8), ...wait(735)]).flat();
+    const parsed = parseVGMFile(makeVGM([...tones, ...noise], { totalSamples: 44100 }));
+
+    const { nsfTracks } = convertVGM(parsed, {
+      detectLoops: false,
+      periodicNoise: 'triangle',
+      triangleStrategy: 'dynamics',
+      channelMapping: { tone2: 'auto' },
+    });
+    expect(nsfTracks.voiceAllocation.triangleFallback).toMatchObject({ moved: 'noise', to: 'square1' });
+  });
+});
+
+describe('buildFrameStream', () => {
+  it('sends every write of a DMC trigger, even when the values repeat', () => {
+    const pcm = Array.from({ length: 256 }, (_, index) => (index % 32 < 16 ? 0xC0 : 0x40));
+    const block = [0x67, 0x66, 0x00, pcm.length, 0, 0, 0, ...pcm];
+    const stream = Array(64).fill(0x85); // DAC writes 5 samples apart
+    const commands = [...block, ...stream, ...wait(20000), ...block, ...stream, ...wait(20000)];
+    const parsed = parseVGMFile(makeVGM(commands, { totalSamples: 40640 }));
+
+    const { nsfTracks } = convertVGM(parsed, { detectLoops: false });
+    const { frames } = buildFrameStream(nsfTracks);
+    const triggers = frames.filter((writes) => writes.some(([address, value]) => address === 0x4015 && value === 0x1F));
+
+    expect(triggers).toHaveLength(2);
+    triggers.forEach((writes) => {
+      const addresses = writes.map(([address]) => address);
+      [0x4010, 0x4011, 0x4012, 0x4013].forEach((address) => expect(addresses).toContain(address));
+    });
+  });
+
+  it('writes full-scale raw PCM as $4011 level 127', () => {
+    // Tone 0 held at period 0 while its volume toggles between full and off
+    // every 5 samples: volume-register sample playback
+    const toggles = Array.from({ length: 200 }, (_, index) => [0x50, index % 2 ? 0x9F : 0x90, 0x75]).flat();
+    const commands = [0x50, 0x80, 0x50, 0x00, ...toggles, ...wait(44100)];
+    const parsed = parseVGMFile(makeVGM(commands, { totalSamples: 45300 }));
+
+    const { nsfTracks } = convertVGM(parsed, { detectLoops: false, psgSamples: 'raw' });
+    const values = [...buildFrameStream(nsfTracks).pcm.values()].flatMap((chunk) => chunk.values);
+
+    expect(values[0]).toBe(0x7F); // the clip starts at full volume
+    expect(Math.max(...values)).toBe(0x7F);
+  });
+});
@@ -0,0 +1,170 @@
+// DMC (delta modulation channel) sample encoding and layout.
+//
+// The DMC plays 1-bit deltas: each bit moves a 7-bit output level up or down
+// by 2 (clamped to 0-127) at one of 16 fixed rates. A sample is fetched
+// from $C000 + 64 * A ($4012 = A) and is 16 * L + 1 bytes long ($4013 = L),
+// so samples start on 64-byte boundaries in the $C000-$FFFF region and are
+// padded to a 16n+1 length. Encoding resamples the PCM to a DMC rate and
+// picks each bit to track the source against the level the DMC will have.
+
+import { DMC_RATES } from './apu.js';
+
+export const DMC_BASE_ADDRESS = 0xC000;
+export const DMC_REGION_SIZE = 0x4000;
+const DMC_ALIGNMENT = 64;
+const MAX_LENGTH_UNITS = 0xFF; // $4013
+const MAX_SAMPLE_BYTES = MAX_LENGTH_UNITS * 16 + 1;
+const PADDING_BYTE = 0x55; // alternating deltas hold the level
+
+/**
+ * Playback rate in Hz of each DMC rate index.
+ * @param {number} cpuClock
+ * @param {'ntsc' | 'pal' | 'dendy'} region
+ * @returns {number[]}
+ */
+export const dmcRateFrequencies = (cpuClock, region) => DMC_RATES[region].map((period) => cpuClock / period);
+
+/**
+ * Resample PCM with linear interpolation.
+ * @param {ArrayLike<number>} samples
+ * @param {number} sourceRate - Hz
+ * @param {number} targetRate - Hz
+ * @returns {Float32Array}
+ */
+export const resamplePCM = (samples, sourceRate, targetRate) => {
+  const length = Math.max(1, Math.round((samples.length * targetRate) / sourceRate));
+  const output = new Float32Array(length);
+
+  for (let i = 0; i < length; i++) {
+    const position = (i * sourceRate) / targetRate;
+    const index = Math.floor(position);
+    const next = Math.min(samples.length - 1, index + 1);
+    const fraction = position - index;
+    output[i] = samples[Math.min(index, samples.length - 1)] * (1 - fraction) + samples[next] * fraction;
+  }
+
+  return output;
+};
+
+/**
+ * Delta-encode levels (0-127) into DMC bytes, bits least significant first.
+ * @param {ArrayLike<number>} levels - Target level for each DMC bit
+ * @param {number} initialLevel - Output level when the sample starts ($4011)
+ * @returns {Uint8Array} Padded to 16n+1 bytes
+ */
+export const encodeDeltas = (levels, initialLevel) => {
+  const byteCount = Math.ceil(levels.length / 8);
+  const length = Math.min(MAX_SAMPLE_BYTES, Math.ceil(Math.max(0, byteCount - 1) / 16) * 16 + 1);
+  const bytes = new Uint8Array(length).fill(PADDING_BYTE);
+  let level = initialLevel;
+
+  for (let byte = 0; byte < Math.min(byteCount, length); byte++) {
+    let value = 0;
+    for (let bit = 0; bit < 8; bit++) {
+      const index = byte * 8 + bit;
+      const target = index < levels.length ? levels[index] : level;
+      if (target > level) {
+        value |= 1 << bit;
+        if (level <= 125) level += 2;
+      } else if (level >= 2) {
+        level -= 2;
+      }
+    }
+    bytes[byte] = value;
+  }
+
+  return bytes;
+};
+
+/**
+ * Encode 8-bit unsigned PCM as a DMC sample. The rate closest to the
+ * source's is used, lowered as far as needed for the sample to fit the
+ * DMC's maximum length; anything longer still is cut.
+ * @param {Uint8Array} pcm - 8-bit unsigned samples
+ * @param {number} sourceRate - Hz
+ * @param {{ cpuClock: number, region: 'ntsc' | 'pal' | 'dendy' }} target
+ * @returns {{ bytes: Uint8Array, rateIndex: number, initialLevel: number, truncated: boolean }}
+ */
+export const encodeDMCSample = (pcm, sourceRate, { cpuClock, region }) => {
+  const rates = dmcRateFrequencies(cpuClock, region);
+  const closest = rates.reduce((best, rate, index) => (
+    Math.abs(Math.log(rate / sourceRate)) < Math.abs(Math.log(rates[best] / sourceRate)) ? index : best
+  ), 0);
+
+  let rateIndex = closest;
+  const bitsAt = (index) => Math.round((pcm.length * rates[index]) / sourceRate);
+  while (rateIndex > 0 && bitsAt(rateIndex) > MAX_SAMPLE_BYTES * 8) {
+    rateIndex--;
+  }
+
+  const levels = resamplePCM(pcm, sourceRate, rates[rateIndex]).map((value) => value / 2);
+  const initialLevel = Math.min(0x7F, Math.round(levels[0]));
+
+  return {
+    bytes: encodeDeltas(levels, initialLevel),
+    rateIndex,
+    initialLevel,
+    truncated: levels.length > MAX_SAMPLE_BYTES * 8,
+  };
+};
+
+/**
+ * Place encoded samples in the DMC region, each on a 64-byte boundary.
+ * Samples that no longer fit are left out.
+ * @param {Uint8Array[]} samples - Encoded DMC bytes (16n+1 long)
+ * @returns {{ data: Uint8Array, placements: Array<{ address: number, length: number } | null>,
+ *   dropped: number }} Region contents from $C000, and per sample the $4012
+ *   and $4013 values (null when dropped)
+ */
+export const layoutDMCSamples = (samples) => {
+  const region = new Uint8Array(DMC_REGION_SIZE);
+  let offset = 0;
+  let dropped = 0;
+
+  const placements = samples.map((bytes) => {
+    if (offset + bytes.length > DMC_REGION_SIZE) {
+      dropped++;
+      return null;
+    }
+
+    region.set(bytes, offset);
+    const placement = { address: offset / DMC_ALIGNMENT, length: (bytes.length - 1) / 16 };
+    offset += Math.ceil(bytes.length / DMC_ALIGNMENT) * DMC_ALIGNMENT;
+    return placement;
+  });
+
+  return { data: region.slice(0, offset), placements, dropped };
+};
+
+/**
+ * Lay out the samples of several songs in one DMC region. Samples with the
+ * same bytes, within a song or across songs, are stored once and share a
+ * placement.
+ * @param {Array<Array<Uint8Array | null>>} sampleSets - Encoded samples per song;
+ *   null entries are kept as null placements
+ * @returns {{ data: Uint8Array, placements: Array<Array<{ address: number, length: number } | null>>,
+ *   dropped: number, shared: number }} Region contents from $C000, placements
+ *   per song, unique samples that did not fit, and duplicates stored once
+ */
+export const layoutSharedDMCSamples = (sampleSets) => {
+  const keyOf = (bytes) => bytes.join(',');
+  const unique = new Map();
+  let total = 0;
+
+  sampleSets.forEach((samples) => samples.forEach((bytes) => {
+    if (!bytes) return;
+    total++;
+    const key = keyOf(bytes);
+    if (!unique.has(key)) unique.set(key, bytes);
+  }));
+
+  const layout = layoutDMCSamples([...unique.values()]);
+  const placementOf = new Map([...unique.keys()].map((key, index) => [key, layout.placements[index]]));
+
+  return {
+    data: layout.data,
+    placements: sampleSets.map((samples) => samples.map((bytes) => (bytes ? placementOf.get(keyOf(bytes)) : null))),
+    dropped: layout.dropped,
+    shared: total - unique.size,
+  };
+};
@@ -0,0 +1,66 @@
+import { describe, expect, it } from 'vitest';
+import { DMC_BASE_ADDRESS, encodeDeltas, encodeDMCSample, layoutDMCSamples, layoutSharedDMCSamples } from './dmc.js';
+import { NES_CPU_CLOCKS } from './pitch.js';
+
+const sample = (length, fill = 0x55) => new Uint8Array(length).fill(fill);
+
+describe('encodeDeltas', () => {
+  it('sets a bit for each step up and clears it for each step down, least significant first', () => {
+    expect([...encodeDeltas([2, 4, 6, 8, 10, 12, 14, 16], 0)]).toEqual([0xFF]);
+    expect([...encodeDeltas([62, 60, 58, 56, 58, 60, 62, 64], 64)]).toEqual([0xF0]);
+  });
+
+  it('pads to a 16n + 1 byte length', () => {
+    const bytes = encodeDeltas(new Array(16).fill(0), 0);
+    expect(bytes).toHaveLength(17);
+    expect(bytes[16]).toBe(0x55);
+  });
+});
+
+describe('encodeDMCSample', () => {
+  it('picks the DMC rate closest to the source rate', () => {
+    const pcm = Uint8Array.from({ length: 1000 }, (_, index) => (index % 20 < 10 ? 0xFF : 0x00));
+    const encoded = encodeDMCSample(pcm, 33144, { cpuClock: NES_CPU_CLOCKS.ntsc, region: 'ntsc' });
+
+    expect(encoded.rateIndex).toBe(15);
+    expect(encoded.initialLevel).toBe(0x7F);
+    expect(encoded.bytes.length % 16).toBe(1);
+    expect(encoded.truncated).toBe(false);
+  });
+});
+
+describe('layoutDMCSamples', () => {
+  it('places samples on 64-byte boundaries with $4012 and $4013 values', () => {
+    const { data, placements, dropped } = layoutDMCSamples([sample(17, 1), sample(1, 2), sample(33, 3)]);
+
+    // $C000 + 64 * A, 16 * L + 1 bytes
+    expect(placements).toEqual([{ address: 0, length: 1 }, { address: 1, length: 0 }, { address: 2, length: 2 }]);
+    placements.forEach(({ address, length }, index) => {
+      expect(data[address * 64]).toBe(index + 1);
+      expect(data[address * 64 + length * 16]).toBe(index + 1);
+    });
+    expect(data).toHaveLength(192);
+    expect(dropped).toBe(0);
+    expect(DMC_BASE_ADDRESS).toBe(0xC000);
+  });
+
+  it('leaves out samples past the end of the region', () => {
+    const { placements, dropped } = layoutDMCSamples(Array.from({ length: 5 }, () => sample(4081)));
+    expect(placements.map((placement) => placement && placement.address)).toEqual([0, 64, 128, 192, null]);
+    expect(dropped).toBe(1);
+  });
+});
+
+describe('layoutSharedDMCSamples', () => {
+  it('stores samples with the same bytes once', () => {
+    const drum = sample(17, 7);
+    const voice = sample(33, 9);
+    const { data, placements, shared } = layoutSharedDMCSamples([[drum, voice], [sample(17, 7), null]]);
+
+    expect(placements[1][0]).toEqual(placements[0][0]);
+    expect(placements[0][1]).toEqual({ address: 1, length: 2 });
+    expect(placements[1][1]).toBeNull();
+    expect(shared).toBe(1);
+    expect(data).toHaveLength(128);
+  });
+});
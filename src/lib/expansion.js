@@ -0,0 +1,57 @@
+// Expansion audio pulse channels.
+//
+// Two cartridge chips add a pair of pulse channels that can take the voices
+// the 2A03's two squares and triangle have no room for:
+//
+//   vrc6  Konami VRC6 pulses at $9000-$9002 and $A000-$A002: 4-bit volume,
+//         eight duty settings, 12-bit period (same pitch formula as the
+//         2A03 squares, f = CPU / (16 * (period + 1)))
+//   mmc5  Nintendo MMC5 pulses at $5000-$5003 and $5004-$5007, laid out
+//         like the 2A03 squares minus the sweep unit
+//
+// Each chip also lists the writes the driver makes to set it up at init and
+// to silence it at the end of the song, its NSF header flag, and the
+// frequencyToNESTimer channel type its periods follow.
+
+export const EXPANSION_PULSE_TARGETS = ['pulse1', 'pulse2'];
+
+export const EXPANSION_CHIPS = {
+  vrc6: {
+    flag: 0x01,
+    init: [[0x9003, 0x00]], // normal frequency scaling, oscillators running
+    silence: [[0x9002, 0x00], [0xA002, 0x00]],
+    timer: 'vrc6',
+  },
+  mmc5: {
+    flag: 0x08,
+    init: [[0x5015, 0x03]], // enable both pulses
+    silence: [[0x5015, 0x00]],
+    timer: 'square',
+  },
+};
+
+/**
+ * Register writes setting an expansion pulse channel to a timer and volume
+ * at 50% duty.
+ * @param {'vrc6' | 'mmc5'} chip
+ * @param {number} index - 0 or 1
+ * @param {{ timer: number, volume: number }} state
+ * @returns {Array<[number, number]>}
+ */
+export const expansionPulseWrites = (chip, index, { timer, volume }) => {
+  if (chip === 'vrc6') {
+    const base = 0x9000 + index * 0x1000;
+    return [
+      [base, 0x70 | volume], // duty 8/16
+      [base + 1, timer & 0xFF],
+      [base + 2, 0x80 | (timer >> 8)], // channel enabled
+    ];
+  }
+
+  const base = 0x5000 + index * 4;
+  return [
+    [base, 0xB0 | volume], // 50% duty, length halt, constant volume
+    [base + 2, timer & 0xFF],
+    [base + 3, 0x08 | (timer >> 8)],
+  ];
+};
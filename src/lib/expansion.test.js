@@ -0,0 +1,35 @@
+import { describe, expect, it } from 'vitest';
+import { EXPANSION_CHIPS, expansionPulseWrites } from './expansion.js';
+
+describe('expansionPulseWrites', () => {
+  it('maps the VRC6 pulses to $9000 and $A000 with 12-bit periods', () => {
+    expect(expansionPulseWrites('vrc6', 0, { timer: 0xABC, volume: 9 })).toEqual([
+      [0x9000, 0x79],
+      [0x9001, 0xBC],
+      [0x9002, 0x8A],
+    ]);
+    expect(expansionPulseWrites('vrc6', 1, { timer: 0x123, volume: 15 })).toEqual([
+      [0xA000, 0x7F],
+      [0xA001, 0x23],
+      [0xA002, 0x81],
+    ]);
+  });
+
+  it('maps the MMC5 pulses to $5000 and $5004 like the 2A03 squares', () => {
+    expect(expansionPulseWrites('mmc5', 0, { timer: 0x2BC, volume: 9 })).toEqual([
+      [0x5000, 0xB9],
+      [0x5002, 0xBC],
+      [0x5003, 0x0A],
+    ]);
+    expect(expansionPulseWrites('mmc5', 1, { timer: 0x123, volume: 0 })).toEqual([
+      [0x5004, 0xB0],
+      [0x5006, 0x23],
+      [0x5007, 0x09],
+    ]);
+  });
+
+  it('silences both pulses of each chip', () => {
+    expect(EXPANSION_CHIPS.vrc6.silence.map(([address]) => address)).toEqual([0x9002, 0xA002]);
+    expect(EXPANSION_CHIPS.mmc5.silence).toEqual([[0x5015, 0x00]]);
+  });
+});
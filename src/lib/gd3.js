@@ -0,0 +1,113 @@
+// GD3 tag parsing and NSF header text encoding.
+//
+// A GD3 block is "Gd3 ", a version word, a length word, then eleven
+// null-terminated UTF-16LE strings in a fixed order.
+
+const GD3_FIELDS = [
+  'trackNameEn',
+  'trackNameJp',
+  'gameNameEn',
+  'gameNameJp',
+  'systemNameEn',
+  'systemNameJp',
+  'authorEn',
+  'authorJp',
+  'releaseDate',
+  'ripper',
+  'notes',
+];
+
+const NSF_STRING_BYTES = 31; // 32-byte field, last byte is the terminator
+
+// Typographic punctuation common in GD3 tags, with ASCII stand-ins
+const PUNCTUATION_FALLBACKS = {
+  '\u2010': '-', '\u2013': '-', '\u2014': '-', '\u2015': '-',
+  '\u2018': "'", '\u2019': "'", '\u201C': '"', '\u201D': '"',
+  '\u301C': '~', '\uFF5E': '~',
+};
+
+/**
+ * Parse the GD3 tag block at an absolute file offset.
+ * @param {ArrayBuffer} buffer - VGM file contents
+ * @param {number} offset - Absolute offset of the "Gd3 " signature, 0 if none
+ * @returns {Object<string, string> | null} Tag fields, or null if absent/invalid
+ */
+export const parseGD3 = (buffer, offset) => {
+  if (!offset || offset + 12 > buffer.byteLength) return null;
+
+  const view = new DataView(buffer);
+  const signature = String.fromCharCode(
+    view.getUint8(offset),
+    view.getUint8(offset + 1),
+    view.getUint8(offset + 2),
+    view.getUint8(offset + 3)
+  );
+  if (signature !== 'Gd3 ') return null;
+
+  const length = view.getUint32(offset + 8, true);
+  const end = Math.min(buffer.byteLength, offset + 12 + length);
+  const tags = {};
+  let position = offset + 12;
+
+  GD3_FIELDS.forEach((field) => {
+    let text = '';
+    while (position + 1 < end) {
+      const code = view.getUint16(position, true);
+      position += 2;
+      if (code === 0) break;
+      text += String.fromCharCode(code);
+    }
+    tags[field] = text.trim();
+  });
+
+  return tags;
+};
+
+/**
+ * Encode text for a 32-byte NSF header field: Latin-1, at most 31 bytes.
+ * Characters outside Latin-1 are first reduced to compatible forms (so
+ * full-width letters, accented characters and typographic dashes/quotes
+ * survive), otherwise replaced with "?".
+ * @param {string} text
+ * @returns {Uint8Array}
+ */
+export const encodeNSFString = (text) => {
+  const bytes = [];
+
+  for (const char of text.normalize('NFC')) {
+    if (bytes.length >= NSF_STRING_BYTES) break;
+
+    let code = char.codePointAt(0);
+    if (PUNCTUATION_FALLBACKS[char]) {
+      code = PUNCTUATION_FALLBACKS[char].charCodeAt(0);
+    } else if (code > 0xFF) {
+      const compatible = char.normalize('NFKD').replace(/[\u0300-\u036f]/g, '');
+      code = compatible.length === 1 && compatible.charCodeAt(0) <= 0xFF
+        ? compatible.charCodeAt(0)
+        : 0x3F; // '?'
+    }
+    bytes.push(code);
+  }
+
+  return new Uint8Array(bytes);
+};
+
+/**
+ * Choose the NSF name/artist/copyright text from GD3 tags, preferring the
+ * English field of each pair and falling back to the Japanese one.
+ * @param {Object<string, string> | null} tags
+ * @returns {{ name: string, artist: string, copyright: string }}
+ */
+export const gd3ToNSFText = (tags) => {
+  const pick = (en, jp) => (tags && (tags[en] || tags[jp])) || '';
+  const trackName = pick('trackNameEn', 'trackNameJp');
+  const gameName = pick('gameNameEn', 'gameNameJp');
+  const author = pick('authorEn', 'authorJp');
+  const releaseDate = (tags && tags.releaseDate) || '';
+
+  return {
+    name: trackName || gameName || 'Converted VGM',
+    artist: author || 'Unknown Artist',
+    copyright: [releaseDate, gameName].filter(Boolean).join(' ') || 'Unknown',
+  };
+};
@@ -0,0 +1,77 @@
+import { describe, expect, it } from 'vitest';
+import { encodeNSFString, gd3ToNSFText, parseGD3 } from './gd3.js';
+
+// A GD3 block at `offset` in an otherwise empty buffer
+const makeGD3 = (fields, offset = 0x40) => {
+  const text = fields.map((field) => `${field}\0`).join('');
+  const bytes = new Uint8Array(offset + 12 + text.length * 2);
+  const view = new DataView(bytes.buffer);
+  bytes.set([0x47, 0x64, 0x33, 0x20], offset); // 'Gd3 '
+  view.setUint32(offset + 4, 0x100, true);
+  view.setUint32(offset + 8, text.length * 2, true);
+  [...text].forEach((char, index) => view.setUint16(offset + 12 + index * 2, char.charCodeAt(0), true));
+  return bytes.buffer;
+};
+
+const FIELDS = ['Green Hill', 'グリーンヒル', 'Sonic', 'ソニック', 'Sega Game Gear', '', ' Yuzo Koshiro ', '', '1991', 'someone', ''];
+
+describe('parseGD3', () => {
+  it('reads the eleven UTF-16LE fields in order, trimmed', () => {
+    expect(parseGD3(makeGD3(FIELDS), 0x40)).toEqual({
+      trackNameEn: 'Green Hill',
+      trackNameJp: 'グリーンヒル',
+      gameNameEn: 'Sonic',
+      gameNameJp: 'ソニック',
+      systemNameEn: 'Sega Game Gear',
+      systemNameJp: '',
+      authorEn: 'Yuzo Koshiro',
+      authorJp: '',
+      releaseDate: '1991',
+      ripper: 'someone',
+      notes: '',
+    });
+  });
+
+  it('returns null without a tag block', () => {
+    const buffer = makeGD3(FIELDS);
+    expect(parseGD3(buffer, 0)).toBeNull();
+    expect(parseGD3(buffer, 0x20)).toBeNull();
+    expect(parseGD3(buffer, buffer.byteLength - 4)).toBeNull();
+  });
+});
+
+describe('encodeNSFString', () => {
+  const decode = (bytes) => String.fromCharCode(...bytes);
+
+  it('keeps Latin-1 text', () => {
+    expect([...encodeNSFString('Café')]).toEqual([0x43, 0x61, 0x66, 0xE9]);
+  });
+
+  it('reduces full-width letters and typographic punctuation', () => {
+    expect(decode(encodeNSFString('Ｓｏｎｉｃ “2” – Act 1'))).toBe('Sonic "2" - Act 1');
+  });
+
+  it('replaces characters with no Latin-1 form', () => {
+    expect(decode(encodeNSFString('ソニック'))).toBe('????');
+  });
+
+  it('stops at 31 bytes', () => {
+    expect(encodeNSFString('x'.repeat(40))).toHaveLength(31);
+  });
+});
+
+describe('gd3ToNSFText', () => {
+  it('uses the track, author and date plus game', () => {
+    expect(gd3ToNSFText(parseGD3(makeGD3(FIELDS), 0x40))).toEqual({
+      name: 'Green Hill',
+      artist: 'Yuzo Koshiro',
+      copyright: '1991 Sonic',
+    });
+  });
+
+  it('falls back to the Japanese fields, then to placeholders', () => {
+    const tags = parseGD3(makeGD3(['', 'グリーンヒル', '', '', '', '', '', '', '', '', '']), 0x40);
+    expect(gd3ToNSFText(tags)).toEqual({ name: 'グリーンヒル', artist: 'Unknown Artist', copyright: 'Unknown' });
+    expect(gd3ToNSFText(null)).toEqual({ name: 'Converted VGM', artist: 'Unknown Artist', copyright: 'Unknown' });
+  });
+});
@@ -0,0 +1,42 @@
+// Gzip support for compressed VGM (.vgz) files.
+//
+// Inflation uses the platform's DecompressionStream, which is built into
+// current browsers and Node 18+, so nothing is fetched or bundled.
+
+const GZIP_MAGIC = [0x1F, 0x8B];
+
+/**
+ * Check whether a buffer starts with the gzip magic bytes.
+ * @param {ArrayBuffer} buffer
+ * @returns {boolean}
+ */
+export const isGzip = (buffer) => {
+  if (buffer.byteLength < 2) return false;
+  const bytes = new Uint8Array(buffer, 0, 2);
+  return bytes[0] === GZIP_MAGIC[0] && bytes[1] === GZIP_MAGIC[1];
+};
+
+/**
+ * Inflate a gzip buffer.
+ * @param {ArrayBuffer} buffer - Gzip-compressed data
+ * @returns {Promise<ArrayBuffer>}
+ */
+export const gunzip = async (buffer) => {
+  if (typeof DecompressionStream === 'undefined') {
+    throw new Error('This environment cannot decompress .vgz files (DecompressionStream unavailable)');
+  }
+
+  try {
+    const stream = new Blob([buffer]).stream().pipeThrough(new DecompressionStream('gzip'));
+    return await new Response(stream).arrayBuffer();
+  } catch (error) {
+    throw new Error(`Invalid gzip data: ${error.message}`);
+  }
+};
+
+/**
+ * Return the raw VGM bytes for a .vgm or .vgz file's contents.
+ * @param {ArrayBuffer} buffer - File contents, compressed or not
+ * @returns {Promise<ArrayBuffer>}
+ */
+export const decompressVGM = async (buffer) => (isGzip(buffer) ? gunzip(buffer) : buffer);
@@ -0,0 +1,48 @@
+import { gzipSync } from 'node:zlib';
+import { describe, expect, it } from 'vitest';
+import { parseVGMFile } from './converter.js';
+import { decompressVGM, gunzip, isGzip } from './gzip.js';
+
+// A header-only VGM 1.50 file
+const makeVGM = () => {
+  const bytes = new Uint8Array(0x41);
+  const view = new DataView(bytes.buffer);
+  bytes.set([0x56, 0x67, 0x6D, 0x20]); // 'Vgm '
+  view.setUint32(0x04, bytes.length - 4, true);
+  view.setUint32(0x08, 0x150, true);
+  view.setUint32(0x0C, 3579545, true);
+  view.setUint32(0x34, 0x0C, true);
+  bytes[0x40] = 0x66;
+  return bytes;
+};
+
+const toArrayBuffer = (bytes) => bytes.buffer.slice(bytes.byteOffset, bytes.byteOffset + bytes.byteLength);
+
+describe('isGzip', () => {
+  it('checks for the gzip magic bytes', () => {
+    expect(isGzip(toArrayBuffer(gzipSync(makeVGM())))).toBe(true);
+    expect(isGzip(makeVGM().buffer)).toBe(false);
+    expect(isGzip(new ArrayBuffer(1))).toBe(false);
+  });
+});
+
+describe('decompressVGM', () => {
+  it('inflates a .vgz into a VGM the parser reads', async () => {
+    const vgm = makeVGM();
+    const inflated = await decompressVGM(toArrayBuffer(gzipSync(vgm)));
+
+    expect(new Uint8Array(inflated)).toEqual(vgm);
+    expect(parseVGMFile(inflated)).toMatchObject({ version: 0x150, dataOffset: 0x40 });
+  });
+
+  it('passes an uncompressed VGM through unchanged', async () => {
+    const { buffer } = makeVGM();
+    expect(await decompressVGM(buffer)).toBe(buffer);
+  });
+
+  it('rejects corrupt gzip data', async () => {
+    const corrupt = gzipSync(makeVGM());
+    corrupt.fill(0xFF, 10, 20);
+    await expect(gunzip(toArrayBuffer(corrupt))).rejects.toThrow(/Invalid gzip data/);
+  });
+});
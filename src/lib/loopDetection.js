@@ -0,0 +1,150 @@
+// Loop discovery on per-frame register snapshots.
+//
+// A song that loops without declaring it ends with a repeating suffix: for
+// some loop length L, frame i equals frame i - L for every i from the second
+// pass onwards. For each candidate L we walk backwards from the last frame
+// comparing frame i with frame i - L, tolerating a share of mismatching
+// frames, and stop at the first run of consecutive mismatches.
+//
+// Source songs rarely run at exactly the NES frame rate, so one loop pass is
+// usually a fractional number of NES frames and the rounded copies can land
+// a frame early or late; `jitter` lets frame i match i - L ± jitter.
+//
+// Candidates are ranked by their share of matching frames, so a shorter
+// length that only resembles the music (a verse echoing the chorus) loses to
+// one that really repeats. Among candidates within QUALITY_MARGIN of the best,
+// the one that explains the most of the song's tail (smallest start + length)
+// wins: a loop's multiples start where it does but end later. Jitter lets the
+// lengths next to the true one explain the same tail, and only between those
+// does the share of exact matches decide; ranking on it outright would pick
+// the multiple of a fractional loop that lands on a whole number of frames.
+//
+// Held notes and rests are runs of identical frames. Where both frames of a
+// comparison sit in such runs the whole overlap matches exactly, so the scan
+// steps over it at once and costs one step per state change rather than one
+// per frame.
+
+const MAX_MISMATCH_RUN = 8; // consecutive mismatches that end the repeat
+const QUALITY_MARGIN = 0.02; // match ratios this close count as equal
+
+const hashFrame = (state) => {
+  let hash = 0x811C9DC5;
+  state.forEach(([address, value]) => {
+    hash = Math.imul(hash ^ (address & 0xFF), 0x01000193);
+    hash = Math.imul(hash ^ value, 0x01000193);
+  });
+  return hash >>> 0;
+};
+
+/**
+ * Find the best repeating suffix in a sequence of register snapshots.
+ * @param {Array<Array<[number, number]>>} states - Full register state per frame
+ * @param {Object} options
+ * @param {number} options.minLength - Shortest loop to consider, in frames
+ * @param {number} [options.matchThreshold=1] - Minimum share of matching frames (0-1)
+ * @param {number} [options.minChanges=4] - Minimum state changes inside the loop body
+ * @param {number} [options.jitter=1] - Frames of timing slack when comparing
+ * @returns {{ startFrame: number, length: number, confidence: number,
+ *   matchRatio: number, coverage: number } | null}
+ */
+export const findRepeatingSuffix = (states, {
+  minLength,
+  matchThreshold = 1,
+  minChanges = 4,
+  jitter = 1,
+}) => {
+  const hashes = states.map(hashFrame);
+  const total = hashes.length;
+  const allowedMismatch = 1 - matchThreshold;
+  const candidates = [];
+
+  // First frame of the run of identical frames each frame belongs to, and the
+  // number of frames up to each one that differ from the previous frame
+  const runStart = new Int32Array(total);
+  const changesTo = new Int32Array(total);
+  for (let i = 1; i < total; i++) {
+    const changed = hashes[i] !== hashes[i - 1];
+    runStart[i] = changed ? i : runStart[i - 1];
+    changesTo[i] = changesTo[i - 1] + (changed ? 1 : 0);
+  }
+
+  const matches = (i, j) => {
+    for (let offset = -jitter; offset <= jitter; offset++) {
+      const k = j + offset;
+      if (k >= 0 && k < i && hashes[i] === hashes[k]) return true;
+    }
+    return false;
+  };
+
+  for (let length = Math.max(1, minLength); length * 2 <= total; length++) {
+    let compared = 0;
+    let mismatches = 0;
+    let run = 0;
+    let earliestMatch = -1;
+    let mismatchesAtEarliest = 0;
+    let comparedAtEarliest = 0;
+    let exact = 0;
+    let exactAtEarliest = 0;
+
+    for (let i = total - 1; i - length >= 0; i--) {
+      if (hashes[i] === hashes[i - length]) {
+        // Frames i - span + 1 .. i all equal their counterparts
+        const span = Math.min(i - runStart[i], i - length - runStart[i - length]) + 1;
+        i -= span - 1;
+        compared += span;
+        exact += span;
+        run = 0;
+        earliestMatch = i;
+        mismatchesAtEarliest = mismatches;
+        comparedAtEarliest = compared;
+        exactAtEarliest = exact;
+        continue;
+      }
+      compared++;
+      if (matches(i, i - length)) {
+        run = 0;
+        earliestMatch = i;
+        mismatchesAtEarliest = mismatches;
+        comparedAtEarliest = compared;
+        exactAtEarliest = exact;
+      } else {
+        mismatches++;
+        run++;
+        if (run >= MAX_MISMATCH_RUN || mismatches > allowedMismatch * compared + MAX_MISMATCH_RUN) {
+          break;
+        }
+      }
+    }
+
+    if (earliestMatch < 0) continue;
+
+    const startFrame = earliestMatch - length;
+    const repeated = total - earliestMatch;
+    const matchRatio = 1 - mismatchesAtEarliest / comparedAtEarliest;
+
+    if (matchRatio < matchThreshold || repeated < Math.min(length, minLength)) continue;
+    // State changes inside [startFrame, startFrame + length)
+    if (changesTo[startFrame + length - 1] - changesTo[startFrame] < minChanges) continue;
+
+    const coverage = Math.min(1, repeated / length);
+    const candidate = {
+      startFrame,
+      length,
+      confidence: matchRatio * coverage,
+      matchRatio,
+      coverage,
+    };
+    candidates.push({ candidate, exactRatio: exactAtEarliest / comparedAtEarliest });
+  }
+
+  if (candidates.length === 0) return null;
+
+  const bestRatio = candidates.reduce((ratio, { candidate }) => Math.max(ratio, candidate.matchRatio), 0);
+  const good = candidates.filter(({ candidate }) => candidate.matchRatio >= bestRatio - QUALITY_MARGIN);
+  const end = ({ candidate }) => candidate.startFrame + candidate.length;
+  const earliestEnd = good.reduce((least, next) => Math.min(least, end(next)), Infinity);
+  return good
+    .filter((next) => end(next) <= earliestEnd + 2 * jitter)
+    .reduce((best, next) => (next.exactRatio > best.exactRatio ? next : best))
+    .candidate;
+};
@@ -0,0 +1,66 @@
+import { describe, expect, it } from 'vitest';
+import { findRepeatingSuffix } from './loopDetection.js';
+
+// One register snapshot per frame from a function of the frame number
+const frames = (count, value) => Array.from({ length: count }, (_, frame) => [[0x4002, value(frame)], [0x4000, 0x30]]);
+
+describe('findRepeatingSuffix', () => {
+  it('prefers an exact loop over a shorter one that only roughly matches', () => {
+    // 120-frame loop whose second half replays the first with every 7th frame changed
+    const states = frames(600, (frame) => {
+      const position = frame % 120;
+      return position < 60 ? position : (position - 60) + (position % 7 === 0 ? 100 : 0);
+    });
+
+    const loop = findRepeatingSuffix(states, { minLength: 32, matchThreshold: 0.85 });
+    expect(loop).toMatchObject({ startFrame: 0, length: 120, matchRatio: 1 });
+  });
+
+  it('finds a loop after an intro', () => {
+    const states = frames(500, (frame) => (frame < 37 ? 200 + frame : (frame - 37) % 90));
+    expect(findRepeatingSuffix(states, { minLength: 32 })).toMatchObject({ startFrame: 37, length: 90, coverage: 1 });
+  });
+
+  it('prefers the loop itself over its multiples', () => {
+    const states = frames(800, (frame) => frame % 50);
+    expect(findRepeatingSuffix(states, { minLength: 32 })).toMatchObject({ startFrame: 0, length: 50 });
+  });
+
+  it('tolerates copies landing a frame early or late', () => {
+    // A 60.5-frame source loop rounded to whole frames
+    const states = frames(700, (frame) => Math.floor((frame % 60.5) / 3));
+    const loop = findRepeatingSuffix(states, { minLength: 32, matchThreshold: 0.95 });
+    expect(loop.startFrame).toBe(0);
+    expect([60, 61]).toContain(loop.length);
+  });
+
+  it('prefers a fractional loop over the multiple that lands on a whole frame', () => {
+    // A 200.33-frame loop of 12-frame notes: three passes are exactly 601 frames
+    const notes = [3, 9, 1, 14, 6, 11, 2, 8, 13, 5, 0, 10, 7, 12, 4, 15, 3];
+    const states = frames(4000, (frame) => notes[Math.floor(Math.round(frame % (601 / 3)) / 12)]);
+    const loop = findRepeatingSuffix(states, { minLength: 60, matchThreshold: 0.85 });
+    expect(loop.startFrame).toBeLessThan(2);
+    expect([200, 201]).toContain(loop.length);
+  });
+
+  it('steps over held notes instead of comparing every frame', () => {
+    // Four minutes at four updates a frame: a short phrase, then one long note
+    const states = frames(57600, (frame) => {
+      if (frame < 300) return 100 + frame;
+      const position = (frame - 300) % 14400;
+      return position < 480 ? Math.floor(position / 48) : 20;
+    });
+    const started = performance.now();
+    const loop = findRepeatingSuffix(states, { minLength: 240, matchThreshold: 0.85 });
+    expect(performance.now() - started).toBeLessThan(1000);
+    expect(loop).toMatchObject({ startFrame: 300, length: 14400 });
+  });
+
+  it('finds nothing in a song that does not repeat', () => {
+    expect(findRepeatingSuffix(frames(300, (frame) => frame), { minLength: 32 })).toBeNull();
+  });
+
+  it('ignores repeats with too few changes to be music', () => {
+    expect(findRepeatingSuffix(frames(300, () => 7), { minLength: 32 })).toBeNull();
+  });
+});
@@ -0,0 +1,65 @@
+// SN76489 noise → NES noise conversion.
+//
+// The SN76489 noise shift register is clocked at clock/512, /1024 or /2048
+// (control bits 0-1 = 0-2) or by tone channel 2's output (3), which runs at
+// clock / (32 * period). Bit 2 selects white noise; otherwise the register
+// is a periodic pulse repeating every 16 shifts, heard as a tone at 1/16 of
+// the shift rate. The NES noise channel shifts at cpu / period, with the
+// period picked from a 16-entry table, and its short mode (bit 7 of $400E)
+// repeats every 93 shifts for metallic, pitched noise.
+
+export const NES_NOISE_PERIODS = {
+  ntsc: [4, 8, 16, 32, 64, 96, 128, 160, 202, 254, 380, 508, 762, 1016, 2034, 4068],
+  pal: [4, 8, 14, 30, 60, 88, 118, 148, 188, 236, 354, 472, 708, 944, 1890, 3778],
+  dendy: [4, 8, 16, 32, 64, 96, 128, 160, 202, 254, 380, 508, 762, 1016, 2034, 4068],
+};
+
+export const PERIODIC_NOISE_LENGTH = 16; // shifts per cycle of periodic noise on Sega's PSG (15 on the TI chip)
+const SHORT_MODE_LENGTH = 93; // shifts per cycle of NES short-mode noise
+
+/**
+ * Whether a noise control value selects periodic (tonal) noise.
+ * @param {number} control - 3-bit noise control value
+ * @returns {boolean}
+ */
+export const isPeriodicNoise = (control) => (control & 0x04) === 0;
+
+/**
+ * Shift rate of the noise register expressed as a tone period, so that the
+ * register shifts at clock / (32 * period).
+ * @param {number} control - 3-bit noise control value
+ * @param {number} tone2Period - Current period of tone channel 2 (used by rate 3)
+ * @returns {number}
+ */
+export const noiseShiftPeriod = (control, tone2Period) => (
+  (control & 0x03) === 0x03 ? tone2Period || 0x400 : 0x10 << (control & 0x03)
+);
+
+/**
+ * NES $400E value closest to an SN76489 noise setting. White noise matches
+ * the shift rate; periodic noise uses short mode and matches its pitch.
+ * @param {number} control - 3-bit noise control value
+ * @param {number} tone2Period - Current period of tone channel 2
+ * @param {number} clock - SN76489 clock in Hz
+ * @param {number} cpuClock - NES CPU clock in Hz
+ * @param {'ntsc' | 'pal' | 'dendy'} region
+ * @param {number} [periodicLength] - Shifts per cycle of the source's periodic noise
+ * @returns {number}
+ */
+export const noiseToNESRegister = (control, tone2Period, clock, cpuClock, region, periodicLength = PERIODIC_NOISE_LENGTH) => {
+  const shiftRate = clock / (32 * noiseShiftPeriod(control, tone2Period));
+  const periodic = isPeriodicNoise(control);
+  const target = periodic ? (shiftRate / periodicLength) * SHORT_MODE_LENGTH : shiftRate;
+  let best = 0;
+  let bestError = Infinity;
+
+  NES_NOISE_PERIODS[region].forEach((period, index) => {
+    const error = Math.abs(Math.log2(cpuClock / period / target));
+    if (error < bestError) {
+      best = index;
+      bestError = error;
+    }
+  });
+
+  return (periodic ? 0x80 : 0) | best;
+};
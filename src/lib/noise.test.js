@@ -0,0 +1,47 @@
+import { describe, expect, it } from 'vitest';
+import { isPeriodicNoise, noiseShiftPeriod, noiseToNESRegister } from './noise.js';
+import { NES_CPU_CLOCKS } from './pitch.js';
+
+const SN_CLOCK = 3579545;
+const toNES = (control, tone2Period, periodicLength) => (
+  noiseToNESRegister(control, tone2Period, SN_CLOCK, NES_CPU_CLOCKS.ntsc, 'ntsc', periodicLength)
+);
+
+describe('isPeriodicNoise', () => {
+  it('reads bit 2 of the control value', () => {
+    expect(isPeriodicNoise(0x00)).toBe(true);
+    expect(isPeriodicNoise(0x03)).toBe(true);
+    expect(isPeriodicNoise(0x04)).toBe(false);
+  });
+});
+
+describe('noiseShiftPeriod', () => {
+  it('gives the fixed rates as tone periods', () => {
+    expect([0, 1, 2].map((rate) => noiseShiftPeriod(rate, 100))).toEqual([16, 32, 64]);
+  });
+
+  it('follows tone 2 at rate 3, period 0 counting as 0x400', () => {
+    expect(noiseShiftPeriod(0x07, 100)).toBe(100);
+    expect(noiseShiftPeriod(0x03, 0)).toBe(0x400);
+  });
+});
+
+describe('noiseToNESRegister', () => {
+  it('matches white noise to the shift rate', () => {
+    // 3579545 / 512 = 6991 Hz shifts; 1789773 / 254 is the closest NES rate
+    expect(toNES(0x04, 0)).toBe(9);
+    // 1119 Hz from tone 2 at period 100; 1789773 / 2034 is closest
+    expect(toNES(0x07, 100)).toBe(14);
+  });
+
+  it('plays periodic noise in short mode at its pitch', () => {
+    // 6991 / 16 * 93 = 40636 Hz shifts, closest to 1789773 / 32
+    expect(toNES(0x00, 0)).toBe(0x83);
+  });
+
+  it('uses the source\'s periodic noise length', () => {
+    const pitches = Array.from({ length: 1023 }, (_, period) => [toNES(0x03, period + 1, 16), toNES(0x03, period + 1, 15)]);
+    expect(pitches.some(([sega, ti]) => sega !== ti)).toBe(true);
+    expect(pitches.every(([sega, ti]) => ti <= sega)).toBe(true); // higher pitch, lower period index
+  });
+});
@@ -0,0 +1,413 @@
+// NSF playback driver and ROM image layout.
+//
+// The converter does not emit note data for a music engine; it emits the
+// register writes each frame needs, and a tiny 6502 driver replays them from
+// the play routine. Stream format:
+//
+//   $00-$7F nn   write nn to register table entry (index = opcode)
+//   $80          end of song: silence the APU and stop
+//   $81 bb ll hh jump to bank bb, address hhll (loop back to the loop point)
+//   $82 nn dd .. write the nn bytes that follow to $4011 (raw PCM), with a
+//                delay loop of dd iterations between writes
+//   $C0-$FF      end of frame, then idle for (opcode & $3F) more frames
+//
+// An NSF can hold several songs: their streams follow one another and init
+// starts the one selected in the accumulator from a table of stream starts.
+//
+// Songs that fit in 32 KB are laid out linearly from $8000. Larger songs use
+// NSF bankswitching: the driver lives in the fixed bank at $8000 and the
+// stream is paged through a 4 KB window at $9000 via $5FF9.
+//
+// DMC samples (./dmc.js) live at $C000 and up, where the DMC fetches them:
+// a linear song then has to end below $C000, and a banked one maps the
+// sample banks into $C000-$FFFF.
+//
+// With an expansion chip (./expansion.js) the driver also sets the chip up
+// at init and silences it at the end of the song; its registers are written
+// through the register table like the APU's.
+
+import { assemble } from './asm6502.js';
+import { DMC_BASE_ADDRESS } from './dmc.js';
+import { EXPANSION_CHIPS } from './expansion.js';
+
+export const STREAM_END_OF_SONG = 0x80;
+export const STREAM_JUMP = 0x81;
+export const STREAM_PCM = 0x82;
+export const STREAM_END_OF_FRAME = 0xC0;
+export const STREAM_MAX_WAIT = 0x3F;
+export const STREAM_MAX_PCM = 0xFF; // values per $82 record
+
+// APU writes made by the driver's init routine, in order, for playing the
+// frame stream back without running the 6502 code
+export const DRIVER_INIT_WRITES = [
+  ...Array.from({ length: 0x14 }, (_, index) => [0x4000 + index, 0x00]),
+  [0x4015, 0x0F],
+  [0x4017, 0x40],
+  [0x4001, 0x08],
+  [0x4005, 0x08],
+];
+
+// CPU cycles between raw PCM writes for a given delay loop length: read,
+// store and loop overhead plus 5 cycles per iteration
+export const pcmWriteInterval = (delay) => 41 + 5 * delay;
+
+const LOAD_ADDRESS = 0x8000;
+const BANK_SIZE = 0x1000;
+const MAX_BANKS = 256;
+const WINDOW = 0x9000;
+const MAX_REGISTERS = 0x80;
+
+const ZERO_PAGE = {
+  PTR: 0x00, // 2 bytes: stream read pointer
+  WAIT: 0x02, // frames left to idle
+  BANK: 0x03, // bank currently mapped into the stream window
+  PLAYING: 0x04, // non-zero while the song is running
+  REG: 0x05, // 2 bytes: target register address
+  TEMP: 0x07,
+  PCM_COUNT: 0x08, // raw PCM values left in the record
+  PCM_DELAY: 0x09,
+};
+
+const toByteList = (values) => values.map((value) => `$${value.toString(16).padStart(2, '0')}`).join(', ');
+
+const storeWrites = (writes) => writes
+  .map(([address, value]) => `  LDA #$${value.toString(16).padStart(2, '0')}\n  STA $${address.toString(16)}\n`)
+  .join('');
+
+const driverSource = ({ banked, registers, chip, songs }) => `
+init:
+  STA TEMP          ; song number
+  LDA #$00
+  LDX #$00
+init_clear:
+  STA $4000,X
+  INX
+  CPX #$14
+  BNE init_clear
+  LDA #$0F
+  STA $4015
+  LDA #$40
+  STA $4017
+  LDA #$08          ; sweep negate with shift 0 never mutes low notes
+  STA $4001
+  STA $4005
+${chip ? storeWrites(chip.init) : ''}  LDX TEMP
+  LDA song_lo,X
+  STA PTR
+  LDA song_hi,X
+  STA PTR+1
+${banked ? `  LDA song_bank,X
+  STA BANK
+  STA $5FF9
+` : ''}  LDA #$00
+  STA WAIT
+  LDA #$01
+  STA PLAYING
+  RTS
+
+play:
+  LDA PLAYING
+  BEQ play_done
+  LDA WAIT
+  BEQ play_next
+  DEC WAIT
+play_done:
+  RTS
+play_next:
+  JSR read_byte
+  CMP #$80
+  BCC play_write
+  CMP #$C0
+  BCS play_end_frame
+  CMP #$81
+  BEQ play_jump
+  CMP #$82
+  BEQ play_pcm
+  LDA #$00          ; end of song
+  STA PLAYING
+  STA $4015
+${chip ? storeWrites(chip.silence) : ''}  RTS
+play_end_frame:
+  AND #$3F
+  STA WAIT
+  RTS
+play_jump:
+  JSR read_byte     ; bank
+  STA TEMP
+  JSR read_byte     ; address low
+  PHA
+  JSR read_byte     ; address high
+  STA PTR+1
+  PLA
+  STA PTR
+${banked ? `  LDA TEMP
+  STA BANK
+  STA $5FF9
+` : ''}  JMP play_next
+play_write:
+  TAX
+  LDA reg_lo,X
+  STA REG
+  LDA reg_hi,X
+  STA REG+1
+  JSR read_byte
+  LDY #$00
+  STA (REG),Y
+  JMP play_next
+play_pcm:
+  JSR read_byte     ; value count
+  STA PCM_COUNT
+  JSR read_byte     ; delay loop length
+  STA PCM_DELAY
+play_pcm_next:
+  JSR read_byte
+  STA $4011
+  LDX PCM_DELAY
+play_pcm_wait:
+  DEX
+  BNE play_pcm_wait
+  DEC PCM_COUNT
+  BNE play_pcm_next
+  JMP play_next
+
+read_byte:
+  LDY #$00
+  LDA (PTR),Y
+  INC PTR
+  BNE read_done
+  INC PTR+1
+${banked ? `  PHA
+  LDA PTR+1
+  CMP #>WINDOW_END
+  BNE read_same_bank
+  LDA #>WINDOW
+  STA PTR+1
+  INC BANK
+  LDA BANK
+  STA $5FF9
+read_same_bank:
+  PLA
+` : ''}read_done:
+  RTS
+
+reg_lo:
+  .byte ${toByteList(registers.map((address) => address & 0xFF))}
+reg_hi:
+  .byte ${toByteList(registers.map((address) => address >> 8))}
+song_lo:
+  .byte ${toByteList(songs.map(({ address }) => address & 0xFF))}
+song_hi:
+  .byte ${toByteList(songs.map(({ address }) => address >> 8))}
+song_bank:
+  .byte ${toByteList(songs.map(({ bank }) => bank))}
+stream_start:
+`;
+
+/**
+ * Collect the register addresses written by a frame stream, in a stable
+ * order (ascending address), for the driver's register table.
+ * @param {Array<Array<[number, number]>>} frames
+ * @returns {number[]}
+ */
+export const collectRegisters = (frames) => {
+  const used = new Set();
+  frames.forEach((writes) => writes.forEach(([address]) => used.add(address)));
+  const registers = [...used].sort((a, b) => a - b);
+
+  if (registers.length > MAX_REGISTERS) {
+    throw new Error(`Too many distinct registers for the NSF driver (${registers.length})`);
+  }
+
+  return registers;
+};
+
+/**
+ * Encode per-frame register writes into the driver's byte stream.
+ * The loop frame must contain at least one write so it starts its own
+ * record; the song then ends with a jump whose 3 operand bytes (bank,
+ * address) are left for the caller to fill in once the layout is known.
+ * @param {Array<Array<[number, number]>>} frames - Writes for each frame
+ * @param {number[]} registers - Register table from collectRegisters
+ * @param {number | null} [loopFrame] - Frame to jump back to at the end
+ * @param {Map<number, { values: number[], delay: number }>} [pcm] - Raw PCM
+ *   to play after a frame's writes
+ * @returns {{ bytes: number[], loopOffset: number | null, jumpOperand: number | null }}
+ */
+export const encodeFrameStream = (frames, registers, loopFrame = null, pcm = new Map()) => {
+  const registerIndex = new Map(registers.map((address, index) => [address, index]));
+  const bytes = [];
+  let loopOffset = null;
+  let frame = 0;
+
+  while (frame < frames.length) {
+    if (frame === loopFrame) {
+      loopOffset = bytes.length;
+    }
+
+    frames[frame].forEach(([address, value]) => {
+      bytes.push(registerIndex.get(address), value & 0xFF);
+    });
+
+    if (pcm.has(frame)) {
+      const { values, delay } = pcm.get(frame);
+      for (let start = 0; start < values.length; start += STREAM_MAX_PCM) {
+        const record = values.slice(start, start + STREAM_MAX_PCM);
+        bytes.push(STREAM_PCM, record.length, delay, ...record);
+      }
+    }
+
+    let wait = 0;
+    while (
+      wait < STREAM_MAX_WAIT &&
+      frame + 1 + wait < frames.length &&
+      frames[frame + 1 + wait].length === 0 &&
+      !pcm.has(frame + 1 + wait)
+    ) {
+      wait++;
+    }
+
+    bytes.push(STREAM_END_OF_FRAME | wait);
+    frame += 1 + wait;
+  }
+
+  if (loopOffset === null) {
+    bytes.push(STREAM_END_OF_SONG);
+    return { bytes, loopOffset, jumpOperand: null };
+  }
+
+  bytes.push(STREAM_JUMP, 0, 0, 0);
+  return { bytes, loopOffset, jumpOperand: bytes.length - 3 };
+};
+
+const patchJump = (data, streamOffset, encoded, bank, address) => {
+  if (encoded.jumpOperand === null) return;
+  const at = streamOffset + encoded.jumpOperand;
+  data[at] = bank;
+  data[at + 1] = address & 0xFF;
+  data[at + 2] = address >> 8;
+};
+
+/**
+ * Build the NSF program image (driver + streams) for one or more songs.
+ * @param {Array<{ frames: Array<Array<[number, number]>>, loopFrame?: number | null,
+ *   pcm?: Map<number, Object> }>} frameStreams - One per song, in song order;
+ *   `pcm` is raw PCM per frame (see encodeFrameStream)
+ * @param {Object} [options]
+ * @param {string | null} [options.expansion] - Key of EXPANSION_CHIPS the streams write to
+ * @param {Uint8Array | null} [options.dmc] - DMC sample region contents from $C000
+ * @returns {{
+ *   data: Uint8Array,
+ *   loadAddress: number,
+ *   initAddress: number,
+ *   playAddress: number,
+ *   bankswitch: number[] | null,
+ * }}
+ */
+export const buildNSFImage = (frameStreams, { expansion = null, dmc: dmcRegion = null } = {}) => {
+  const chip = expansion ? EXPANSION_CHIPS[expansion] : null;
+  const registers = collectRegisters(frameStreams.flatMap((frameStream) => frameStream.frames));
+  const encodedSongs = frameStreams.map((frameStream) => encodeFrameStream(
+    frameStream.frames,
+    registers,
+    frameStream.loopFrame ?? null,
+    frameStream.pcm
+  ));
+  const offsets = [];
+  const stream = encodedSongs.flatMap((encoded, index) => {
+    offsets.push(index === 0 ? 0 : offsets[index - 1] + encodedSongs[index - 1].bytes.length);
+    return encoded.bytes;
+  });
+  const dmc = dmcRegion && dmcRegion.length > 0 ? dmcRegion : null;
+  const linearEnd = dmc ? DMC_BASE_ADDRESS : 0x10000;
+
+  // Linear layout: driver immediately followed by the streams.
+  const linear = assemble(driverSource({
+    banked: false,
+    registers,
+    chip,
+    songs: offsets.map(() => ({ bank: 0, address: 0 })),
+  }), {
+    origin: LOAD_ADDRESS,
+    symbols: ZERO_PAGE,
+  });
+  const streamStart = linear.labels.stream_start;
+
+  if (streamStart + stream.length <= linearEnd) {
+    const driver = assemble(driverSource({
+      banked: false,
+      registers,
+      chip,
+      songs: offsets.map((offset) => ({ bank: 0, address: streamStart + offset })),
+    }), {
+      origin: LOAD_ADDRESS,
+      symbols: ZERO_PAGE,
+    });
+    const data = new Uint8Array(dmc
+      ? DMC_BASE_ADDRESS - LOAD_ADDRESS + dmc.length
+      : driver.bytes.length + stream.length);
+    data.set(driver.bytes, 0);
+    data.set(stream, driver.bytes.length);
+    if (dmc) data.set(dmc, DMC_BASE_ADDRESS - LOAD_ADDRESS);
+    encodedSongs.forEach((encoded, index) => {
+      const songStart = streamStart + offsets[index];
+      patchJump(data, driver.bytes.length + offsets[index], encoded, 0, songStart + encoded.loopOffset);
+    });
+
+    return {
+      data,
+      loadAddress: LOAD_ADDRESS,
+      initAddress: driver.labels.init,
+      playAddress: driver.labels.play,
+      bankswitch: null,
+    };
+  }
+
+  // Banked layout: bank 0 holds the driver, banks 1..n hold the streams and
+  // any DMC samples follow, mapped from $C000.
+  const windowAddress = (offset) => ({
+    bank: 1 + Math.floor(offset / BANK_SIZE),
+    address: WINDOW + (offset % BANK_SIZE),
+  });
+  const driver = assemble(driverSource({
+    banked: true,
+    registers,
+    chip,
+    songs: offsets.map(windowAddress),
+  }), {
+    origin: LOAD_ADDRESS,
+    symbols: {
+      ...ZERO_PAGE,
+      WINDOW,
+      WINDOW_END: WINDOW + BANK_SIZE,
+    },
+  });
+
+  const streamBanks = Math.ceil(stream.length / BANK_SIZE);
+  const dmcBanks = dmc ? Math.ceil(dmc.length / BANK_SIZE) : 0;
+  const dmcSlot = (DMC_BASE_ADDRESS - LOAD_ADDRESS) / BANK_SIZE;
+  const totalBanks = 1 + streamBanks + dmcBanks;
+  if (totalBanks > MAX_BANKS) {
+    throw new Error(`Converted songs are too large for an NSF (${totalBanks} banks, max ${MAX_BANKS})`);
+  }
+
+  const data = new Uint8Array(totalBanks * BANK_SIZE);
+  data.set(driver.bytes, 0);
+  data.set(stream, BANK_SIZE);
+  if (dmc) data.set(dmc, (1 + streamBanks) * BANK_SIZE);
+  encodedSongs.forEach((encoded, index) => {
+    if (encoded.loopOffset === null) return;
+    const { bank, address } = windowAddress(offsets[index] + encoded.loopOffset);
+    patchJump(data, BANK_SIZE + offsets[index], encoded, bank, address);
+  });
+
+  return {
+    data,
+    loadAddress: LOAD_ADDRESS,
+    initAddress: driver.labels.init,
+    playAddress: driver.labels.play,
+    bankswitch: Array.from({ length: 8 }, (_, slot) => {
+      if (slot >= dmcSlot && slot - dmcSlot < dmcBanks) return 1 + streamBanks + slot - dmcSlot;
+      return slot < totalBanks ? slot : 0;
+    }),
+  };
+};
@@ -0,0 +1,114 @@
+import { describe, expect, it } from 'vitest';
+import {
+  buildNSFImage,
+  collectRegisters,
+  encodeFrameStream,
+  STREAM_END_OF_FRAME,
+  STREAM_END_OF_SONG,
+  STREAM_JUMP,
+  STREAM_PCM,
+} from './nsfDriver.js';
+
+const REGISTERS = [0x4000, 0x4002, 0x4015];
+
+describe('collectRegisters', () => {
+  it('lists the written addresses once, in ascending order', () => {
+    expect(collectRegisters([[[0x4015, 0x0F], [0x4000, 0x30]], [], [[0x4002, 1], [0x4000, 0x31]]])).toEqual(REGISTERS);
+  });
+});
+
+describe('encodeFrameStream', () => {
+  it('writes register indexes and values, and folds empty frames into waits', () => {
+    const frames = [[[0x4000, 0x30], [0x4015, 0x0F]], [], [], [[0x4002, 0x1FD]]];
+    const { bytes, loopOffset, jumpOperand } = encodeFrameStream(frames, REGISTERS);
+
+    expect(bytes).toEqual([
+      0, 0x30, 2, 0x0F, STREAM_END_OF_FRAME | 2,
+      1, 0xFD, STREAM_END_OF_FRAME,
+      STREAM_END_OF_SONG,
+    ]);
+    expect(loopOffset).toBeNull();
+    expect(jumpOperand).toBeNull();
+  });
+
+  it('caps a wait at 63 frames', () => {
+    const frames = [[[0x4000, 0x30]], ...Array(100).fill([])];
+    const { bytes } = encodeFrameStream(frames, REGISTERS);
+    expect(bytes).toEqual([0, 0x30, 0xFF, 0xC0 | 36, STREAM_END_OF_SONG]);
+  });
+
+  it('ends a looping song with a jump left for the layout to fill in', () => {
+    const frames = [[[0x4000, 0x30]], [[0x4002, 0x10]], [[0x4002, 0x20]]];
+    const { bytes, loopOffset, jumpOperand } = encodeFrameStream(frames, REGISTERS, 1);
+
+    expect(loopOffset).toBe(3);
+    expect(bytes.slice(loopOffset, loopOffset + 2)).toEqual([1, 0x10]);
+    expect(bytes.slice(-4)).toEqual([STREAM_JUMP, 0, 0, 0]);
+    expect(jumpOperand).toBe(bytes.length - 3);
+  });
+
+  it('splits raw PCM into records of at most 255 values', () => {
+    const values = Array.from({ length: 300 }, (_, index) => index & 0x7F);
+    const { bytes } = encodeFrameStream([[[0x4000, 0x30]], []], REGISTERS, null, new Map([[0, { values, delay: 9 }]]));
+
+    expect(bytes.slice(0, 5)).toEqual([0, 0x30, STREAM_PCM, 255, 9]);
+    expect(bytes.slice(260, 263)).toEqual([STREAM_PCM, 45, 9]);
+    expect(bytes.slice(-2)).toEqual([STREAM_END_OF_FRAME | 1, STREAM_END_OF_SONG]);
+  });
+});
+
+describe('buildNSFImage', () => {
+  const song = (frameCount, loopFrame = null) => ({
+    frames: Array.from({ length: frameCount }, (_, frame) => [[0x4002, frame & 0xFF], [0x4000, 0x30 | (frame & 0x0F)]]),
+    loopFrame,
+  });
+
+  it('places a small song after the driver from $8000 and patches its loop jump', () => {
+    const frameStream = song(10, 4);
+    const image = buildNSFImage([frameStream]);
+    const encoded = encodeFrameStream(frameStream.frames, collectRegisters(frameStream.frames), 4);
+    const streamStart = image.data.length - encoded.bytes.length;
+
+    expect(image.loadAddress).toBe(0x8000);
+    expect(image.bankswitch).toBeNull();
+    expect(image.initAddress).toBeGreaterThanOrEqual(0x8000);
+    expect(image.playAddress).toBeGreaterThanOrEqual(0x8000);
+    expect([...image.data.subarray(streamStart, streamStart + encoded.loopOffset)]).toEqual(encoded.bytes.slice(0, encoded.loopOffset));
+
+    const loopAddress = 0x8000 + streamStart + encoded.loopOffset;
+    expect([...image.data.subarray(-4)]).toEqual([STREAM_JUMP, 0, loopAddress & 0xFF, loopAddress >> 8]);
+  });
+
+  it('puts DMC samples at $C000', () => {
+    const dmc = Uint8Array.from({ length: 65 }, (_, index) => index + 1);
+    const image = buildNSFImage([song(10)], { dmc });
+
+    expect(image.data).toHaveLength(0xC000 - 0x8000 + 65);
+    expect([...image.data.subarray(0x4000)]).toEqual([...dmc]);
+  });
+
+  it('banks songs that do not fit in 32 KB through the $9000 window', () => {
+    const image = buildNSFImage([song(9000, 0)]);
+
+    expect(image.data.length % 0x1000).toBe(0);
+    expect(image.bankswitch).toEqual([0, 1, 2, 3, 4, 5, 6, 7]);
+    // Loop back to the start of the stream: bank 1, $9000
+    const stream = encodeFrameStream(song(9000, 0).frames, [0x4000, 0x4002], 0).bytes;
+    const jump = 0x1000 + stream.length - 4;
+    expect([...image.data.subarray(jump, jump + 4)]).toEqual([STREAM_JUMP, 1, 0x00, 0x90]);
+  });
+
+  it('maps banked DMC samples into $C000', () => {
+    const image = buildNSFImage([song(9000)], { dmc: new Uint8Array(0x1001).fill(0x55) });
+    const streamBanks = image.data.length / 0x1000 - 1 - 2;
+
+    expect(image.bankswitch.slice(4, 6)).toEqual([1 + streamBanks, 2 + streamBanks]);
+    expect(image.data[(1 + streamBanks) * 0x1000]).toBe(0x55);
+  });
+
+  it('lays several songs out one after another', () => {
+    const single = buildNSFImage([song(10)]);
+    const pair = buildNSFImage([song(10), song(20)]);
+    expect(pair.data.length).toBeGreaterThan(single.data.length);
+  });
+});
@@ -0,0 +1,128 @@
+// NSFe file writer.
+//
+// An NSFe file is "NSFE" followed by chunks of (length: u32 LE, id: 4 chars,
+// data). INFO must precede DATA and NEND ends the file; the optional chunks
+// written here carry play rates, region, per-track playback time, fade and
+// labels.
+
+const textEncoder = new TextEncoder();
+
+const encodeStrings = (strings) => {
+  const parts = strings.map((text) => textEncoder.encode(`${text || ''}\0`));
+  const bytes = new Uint8Array(parts.reduce((total, part) => total + part.length, 0));
+  let offset = 0;
+  parts.forEach((part) => {
+    bytes.set(part, offset);
+    offset += part.length;
+  });
+  return bytes;
+};
+
+const encodeUint16List = (values) => {
+  const bytes = new Uint8Array(values.length * 2);
+  const view = new DataView(bytes.buffer);
+  values.forEach((value, index) => view.setUint16(index * 2, value, true));
+  return bytes;
+};
+
+const encodeInt32List = (values) => {
+  const bytes = new Uint8Array(values.length * 4);
+  const view = new DataView(bytes.buffer);
+  values.forEach((value, index) => view.setInt32(index * 4, Math.round(value), true));
+  return bytes;
+};
+
+const chunk = (id, data) => {
+  const bytes = new Uint8Array(8 + data.length);
+  const view = new DataView(bytes.buffer);
+  view.setUint32(0, data.length, true);
+  bytes.set(textEncoder.encode(id), 4);
+  bytes.set(data, 8);
+  return bytes;
+};
+
+/**
+ * Build an NSFe file.
+ * @param {Object} options
+ * @param {{ data: Uint8Array, loadAddress: number, initAddress: number,
+ *   playAddress: number, bankswitch: number[] | null }} options.image - Program image
+ * @param {number} [options.regionFlags=0] - Bit 0 PAL, bit 1 dual NTSC/PAL
+ * @param {number} [options.expansion=0] - Expansion chip flags
+ * @param {number} [options.songCount=1]
+ * @param {number} [options.startingSong=0] - Zero-based
+ * @param {number[]} [options.playSpeeds] - NTSC, PAL and Dendy microseconds per
+ *   play call, when not the standard frame rate
+ * @param {{ supported: number, preferred: number }} [options.region] - 'regn'
+ *   chunk: bit 0 NTSC, bit 1 PAL, bit 2 Dendy; preferred 0-2 in the same order
+ * @param {number[]} [options.times] - Track lengths in milliseconds (-1 = unknown)
+ * @param {number[]} [options.fades] - Fade lengths in milliseconds (-1 = default)
+ * @param {string[]} [options.labels] - Track titles
+ * @param {{ game?: string, artist?: string, copyright?: string, ripper?: string }} [options.author]
+ * @returns {Uint8Array}
+ */
+export const buildNSFe = ({
+  image,
+  regionFlags = 0,
+  expansion = 0,
+  songCount = 1,
+  startingSong = 0,
+  playSpeeds,
+  region,
+  times,
+  fades,
+  labels,
+  author,
+}) => {
+  const info = new Uint8Array(10);
+  const infoView = new DataView(info.buffer);
+  infoView.setUint16(0, image.loadAddress, true);
+  infoView.setUint16(2, image.initAddress, true);
+  infoView.setUint16(4, image.playAddress, true);
+  info[6] = regionFlags;
+  info[7] = expansion;
+  info[8] = songCount;
+  info[9] = startingSong;
+
+  const chunks = [chunk('INFO', info)];
+
+  if (image.bankswitch) {
+    chunks.push(chunk('BANK', new Uint8Array(image.bankswitch)));
+  }
+  if (playSpeeds) {
+    chunks.push(chunk('RATE', encodeUint16List(playSpeeds)));
+  }
+  if (region) {
+    chunks.push(chunk('regn', new Uint8Array([region.supported, region.preferred])));
+  }
+  if (times) {
+    chunks.push(chunk('time', encodeInt32List(times)));
+  }
+  if (fades) {
+    chunks.push(chunk('fade', encodeInt32List(fades)));
+  }
+  if (labels) {
+    chunks.push(chunk('tlbl', encodeStrings(labels)));
+  }
+  if (author) {
+    chunks.push(chunk('auth', encodeStrings([
+      author.game,
+      author.artist,
+      author.copyright,
+      author.ripper,
+    ])));
+  }
+
+  chunks.push(chunk('DATA', image.data));
+  chunks.push(chunk('NEND', new Uint8Array(0)));
+
+  const size = 4 + chunks.reduce((total, part) => total + part.length, 0);
+  const file = new Uint8Array(size);
+  file.set(textEncoder.encode('NSFE'), 0);
+  let offset = 4;
+  chunks.forEach((part) => {
+    file.set(part, offset);
+    offset += part.length;
+  });
+
+  return file;
+};
@@ -0,0 +1,62 @@
+import { describe, expect, it } from 'vitest';
+import { buildNSFe } from './nsfe.js';
+
+const image = {
+  data: Uint8Array.from([0xA9, 0x00, 0x60]),
+  loadAddress: 0x8000,
+  initAddress: 0x8001,
+  playAddress: 0x8002,
+  bankswitch: null,
+};
+
+// Split a file into [id, data] chunks after the "NSFE" signature
+const readChunks = (file) => {
+  const view = new DataView(file.buffer);
+  const chunks = [];
+  let offset = 4;
+  while (offset < file.length) {
+    const length = view.getUint32(offset, true);
+    const id = String.fromCharCode(...file.subarray(offset + 4, offset + 8));
+    chunks.push([id, file.subarray(offset + 8, offset + 8 + length)]);
+    offset += 8 + length;
+  }
+  return chunks;
+};
+
+describe('buildNSFe', () => {
+  it('writes INFO first, DATA after the metadata and NEND last', () => {
+    const file = buildNSFe({ image, songCount: 2, startingSong: 1, expansion: 0x01 });
+    const chunks = readChunks(file);
+
+    expect(String.fromCharCode(...file.subarray(0, 4))).toBe('NSFE');
+    expect(chunks.map(([id]) => id)).toEqual(['INFO', 'DATA', 'NEND']);
+    expect([...chunks[0][1]]).toEqual([0x00, 0x80, 0x01, 0x80, 0x02, 0x80, 0x00, 0x01, 2, 1]);
+    expect(chunks[1][1]).toEqual(image.data);
+    expect(chunks[2][1]).toHaveLength(0);
+  });
+
+  it('writes the optional chunks between INFO and DATA', () => {
+    const file = buildNSFe({
+      image: { ...image, bankswitch: [0, 1, 2, 3, 4, 5, 6, 7] },
+      playSpeeds: [16639, 19997, 19997],
+      region: { supported: 0x07, preferred: 0 },
+      times: [90000, -1],
+      fades: [8000, -1],
+      labels: ['Title', ''],
+      author: { game: 'Game', artist: 'Composer' },
+    });
+    const chunks = Object.fromEntries(readChunks(file));
+    const view = (bytes) => new DataView(bytes.buffer, bytes.byteOffset, bytes.length);
+
+    expect(readChunks(file).map(([id]) => id)).toEqual(
+      ['INFO', 'BANK', 'RATE', 'regn', 'time', 'fade', 'tlbl', 'auth', 'DATA', 'NEND']
+    );
+    expect([...chunks.BANK]).toEqual([0, 1, 2, 3, 4, 5, 6, 7]);
+    expect(view(chunks.RATE).getUint16(0, true)).toBe(16639);
+    expect([...chunks.regn]).toEqual([0x07, 0]);
+    expect([view(chunks.time).getInt32(0, true), view(chunks.time).getInt32(4, true)]).toEqual([90000, -1]);
+    expect(view(chunks.fade).getInt32(0, true)).toBe(8000);
+    expect(new TextDecoder().decode(chunks.tlbl)).toBe('Title\0\0');
+    expect(new TextDecoder().decode(chunks.auth)).toBe('Game\0Composer\0\0\0');
+  });
+});
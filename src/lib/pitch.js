@@ -0,0 +1,92 @@
+// SN76489 → NES pitch conversion.
+//
+// SN76489 tone: f = clock / (32 * period), period 0 behaving as 0x400 on TI
+//               chips; Sega's PSG holds periods 0 and 1 at a constant level.
+// NES square:   f = cpu / (16 * (timer + 1)), timer 8..$7FF
+// NES triangle: f = cpu / (32 * (timer + 1)), timer 2..$7FF
+// Notes outside a channel's range are folded by octaves until they fit.
+
+export const NES_CPU_CLOCKS = {
+  ntsc: 1789773,
+  pal: 1662607,
+  dendy: 1773448,
+};
+
+const TIMER_LIMITS = {
+  square: { divider: 16, min: 8, max: 0x7FF },
+  triangle: { divider: 32, min: 2, max: 0x7FF },
+  vrc6: { divider: 16, min: 8, max: 0xFFF }, // VRC6 pulses: 12-bit periods
+};
+
+const MAX_AUDIBLE_FREQUENCY = 20000; // SN76489 periods above this act as DC
+
+/**
+ * Frequency of an SN76489 tone period, or 0 if it is above hearing or, on
+ * chips that hold low periods, not a tone at all.
+ * @param {number} period - 10-bit tone period
+ * @param {number} clock - Chip clock in Hz
+ * @param {{ holdLowPeriods: boolean }} [variant] - One of SN76489_VARIANTS (default Sega)
+ * @returns {number}
+ */
+export const snPeriodToFrequency = (period, clock, { holdLowPeriods = true } = {}) => {
+  if (holdLowPeriods && period <= 1) return 0;
+  const frequency = clock / (32 * (period || 0x400));
+  return frequency > MAX_AUDIBLE_FREQUENCY ? 0 : frequency;
+};
+
+/**
+ * Nearest NES timer value for a frequency, folding by octaves into range.
+ * @param {number} frequency - Target frequency in Hz (> 0)
+ * @param {number} cpuClock - NES CPU clock in Hz
+ * @param {'square' | 'triangle' | 'vrc6'} channel
+ * @returns {{ timer: number, frequency: number, octaves: number, cents: number }}
+ *   The timer, the frequency it produces, the octave shift applied (positive
+ *   = raised) and the remaining error in cents against the folded target
+ */
+export const frequencyToNESTimer = (frequency, cpuClock, channel) => {
+  const { divider, min, max } = TIMER_LIMITS[channel];
+  const timerFor = (target) => Math.round(cpuClock / (divider * target)) - 1;
+  let target = frequency;
+  let octaves = 0;
+
+  while (timerFor(target) > max) {
+    target *= 2;
+    octaves++;
+  }
+  while (timerFor(target) < min) {
+    target /= 2;
+    octaves--;
+  }
+
+  const timer = timerFor(target);
+  const actual = cpuClock / (divider * (timer + 1));
+
+  return {
+    timer,
+    frequency: actual,
+    octaves,
+    cents: 1200 * Math.log2(actual / target),
+  };
+};
+
+/**
+ * Summarise per-note pitch errors.
+ * @param {Array<{ cents: number, octaves: number }>} notes
+ * @returns {{ notes: number, meanAbsCents: number, maxAbsCents: number, folded: number }}
+ */
+export const summarizePitchErrors = (notes) => {
+  const summary = { notes: notes.length, meanAbsCents: 0, maxAbsCents: 0, folded: 0 };
+
+  notes.forEach(({ cents, octaves }) => {
+    const error = Math.abs(cents);
+    summary.meanAbsCents += error;
+    summary.maxAbsCents = Math.max(summary.maxAbsCents, error);
+    if (octaves !== 0) summary.folded++;
+  });
+
+  if (notes.length > 0) {
+    summary.meanAbsCents /= notes.length;
+  }
+
+  return summary;
+};
@@ -0,0 +1,68 @@
+import { describe, expect, it } from 'vitest';
+import { frequencyToNESTimer, NES_CPU_CLOCKS, snPeriodToFrequency, summarizePitchErrors } from './pitch.js';
+import { SN76489_VARIANTS } from './sn76489.js';
+
+const SN_CLOCK = 3579545;
+
+describe('snPeriodToFrequency', () => {
+  it('divides the clock by 32 times the period', () => {
+    expect(snPeriodToFrequency(254, SN_CLOCK)).toBeCloseTo(440.4, 1);
+  });
+
+  it('holds periods 0 and 1 on Sega chips', () => {
+    expect(snPeriodToFrequency(0, SN_CLOCK, SN76489_VARIANTS.sega)).toBe(0);
+    expect(snPeriodToFrequency(1, SN_CLOCK, SN76489_VARIANTS.sega)).toBe(0);
+    expect(snPeriodToFrequency(0, SN_CLOCK)).toBe(0);
+  });
+
+  it('treats period 0 as 0x400 on TI chips', () => {
+    expect(snPeriodToFrequency(0, SN_CLOCK, SN76489_VARIANTS.ti)).toBeCloseTo(SN_CLOCK / (32 * 0x400), 6);
+  });
+
+  it('returns 0 above hearing', () => {
+    expect(snPeriodToFrequency(2, SN_CLOCK, SN76489_VARIANTS.ti)).toBe(0);
+  });
+});
+
+describe('frequencyToNESTimer', () => {
+  it('finds the nearest square timer', () => {
+    const { timer, octaves, cents } = frequencyToNESTimer(440, NES_CPU_CLOCKS.ntsc, 'square');
+    expect(timer).toBe(253);
+    expect(octaves).toBe(0);
+    expect(Math.abs(cents)).toBeLessThan(5);
+  });
+
+  it('uses the triangle\'s halved rate', () => {
+    expect(frequencyToNESTimer(440, NES_CPU_CLOCKS.ntsc, 'triangle').timer).toBe(126);
+  });
+
+  it('folds notes below the timer range up by octaves', () => {
+    const { timer, octaves } = frequencyToNESTimer(20, NES_CPU_CLOCKS.ntsc, 'square');
+    expect(octaves).toBe(2);
+    expect(timer).toBeLessThanOrEqual(0x7FF);
+  });
+
+  it('uses the VRC6 pulses\' 12-bit periods before folding', () => {
+    const vrc6 = frequencyToNESTimer(40, NES_CPU_CLOCKS.ntsc, 'vrc6');
+    expect(vrc6.octaves).toBe(0);
+    expect(vrc6.timer).toBe(2796);
+    expect(frequencyToNESTimer(40, NES_CPU_CLOCKS.ntsc, 'square').octaves).toBe(1);
+  });
+
+  it('folds notes above the timer range down by octaves', () => {
+    const { timer, octaves } = frequencyToNESTimer(16000, NES_CPU_CLOCKS.ntsc, 'square');
+    expect(octaves).toBeLessThan(0);
+    expect(timer).toBeGreaterThanOrEqual(8);
+  });
+});
+
+describe('summarizePitchErrors', () => {
+  it('averages absolute errors and counts folded notes', () => {
+    expect(summarizePitchErrors([{ cents: 4, octaves: 0 }, { cents: -2, octaves: 1 }])).toEqual({
+      notes: 2,
+      meanAbsCents: 3,
+      maxAbsCents: 4,
+      folded: 1,
+    });
+  });
+});
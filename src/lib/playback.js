@@ -0,0 +1,244 @@
+// Local audio preview.
+//
+// A renderer produces audio on demand from some position in a song:
+//
+//   seek(seconds)      restart from a position
+//   render(count)      the next `count` samples, one Float32Array per channel
+//   position           seconds into the song of the next sample
+//   ended              nothing more will play
+//   setLoop(enabled)   whether the end jumps back to the loop point
+//
+// createFrameStreamRenderer plays the converter's frame register stream on
+// the APU emulator, applying one play call's writes at a time just as the
+// NSF driver does, with raw PCM spread through the call at the driver's
+// write interval. createPreviewPlayer feeds any renderer to Web Audio in
+// short scheduled buffers, so play, pause and seek respond immediately
+// without rendering the whole song up front.
+
+import { createAPU } from './apu.js';
+import { DRIVER_INIT_WRITES, pcmWriteInterval } from './nsfDriver.js';
+
+const CHUNK_SECONDS = 0.25;
+const LOOKAHEAD_SECONDS = 0.5;
+
+/**
+ * Renderer for a frame register stream.
+ * @param {{ frames: Array<Array<[number, number]>>, loopFrame: number | null,
+ *   pcm?: Map<number, { values: number[], delay: number }> }} frameStream
+ * @param {Object} options
+ * @param {number} options.cpuClock - NES CPU clock in Hz
+ * @param {'ntsc' | 'pal' | 'dendy'} options.region
+ * @param {number} options.frameRate - Play calls per second
+ * @param {number} options.sampleRate - Output sample rate
+ * @param {(address: number) => number} [options.read] - CPU memory, for DMC samples
+ * @returns {Object} Renderer
+ */
+export const createFrameStreamRenderer = (frameStream, {
+  cpuClock,
+  region,
+  frameRate,
+  sampleRate,
+  read,
+}) => {
+  const { frames, loopFrame, pcm = new Map() } = frameStream;
+  const samplesPerCall = sampleRate / frameRate;
+  let loop = true;
+  let apu = null;
+  let frame = 0;
+  let untilNextCall = 0;
+  let samplesIntoCall = 0;
+  let ended = false;
+  let pcmQueue = []; // [output samples into the call, value] of the call's $4011 writes
+
+  const applyFrame = () => {
+    frames[frame].forEach(([address, value]) => apu.write(address, value));
+    const chunk = pcm.get(frame);
+    const interval = chunk ? (pcmWriteInterval(chunk.delay) * sampleRate) / cpuClock : 0;
+    pcmQueue = chunk ? chunk.values.map((value, index) => [index * interval, value]) : [];
+    frame++;
+  };
+
+  // Register writes carry all the state there is, so seeking replays the
+  // writes up to the target without rendering anything
+  const seek = (seconds) => {
+    apu = createAPU({ cpuClock, region, read });
+    DRIVER_INIT_WRITES.forEach(([address, value]) => apu.write(address, value));
+    frame = 0;
+    untilNextCall = 0;
+    samplesIntoCall = 0;
+    ended = false;
+
+    const target = Math.min(frames.length, Math.max(0, Math.floor(seconds * frameRate)));
+    while (frame < target) applyFrame();
+    pcmQueue = [];
+  };
+
+  const render = (count) => {
+    const output = new Float32Array(count);
+    let offset = 0;
+
+    while (offset < count) {
+      if (untilNextCall <= 0) {
+        if (frame >= frames.length && !ended) {
+          if (loop && loopFrame !== null) {
+            frame = loopFrame;
+          } else {
+            ended = true;
+            apu.write(0x4015, 0x00); // the driver's end of song
+          }
+        }
+        if (!ended) applyFrame();
+        untilNextCall += samplesPerCall;
+        samplesIntoCall = 0;
+      }
+
+      while (pcmQueue.length > 0 && pcmQueue[0][0] <= samplesIntoCall) {
+        apu.write(0x4011, pcmQueue.shift()[1]);
+      }
+
+      const untilPCM = pcmQueue.length > 0 ? Math.ceil(pcmQueue[0][0] - samplesIntoCall) : Infinity;
+      const length = Math.min(count - offset, Math.ceil(untilNextCall), untilPCM);
+      output.set(apu.render(length, sampleRate), offset);
+      offset += length;
+      untilNextCall -= length;
+      samplesIntoCall += length;
+    }
+
+    return [output];
+  };
+
+  seek(0);
+
+  return {
+    seek,
+    render,
+    setLoop: (enabled) => {
+      loop = enabled;
+    },
+    get position() {
+      return Math.max(0, frame - 1) / frameRate + samplesIntoCall / sampleRate;
+    },
+    get ended() {
+      return ended;
+    },
+  };
+};
+
+/**
+ * Web Audio player for a renderer.
+ * @param {(sampleRate: number) => Object} initialRenderer - Renderer factory,
+ *   called once the audio context (and so the sample rate) exists
+ * @param {Object} [options]
+ * @param {() => void} [options.onEnded] - Called when playback runs out
+ * @returns {{ play: () => void, pause: () => void, seek: (seconds: number) => void,
+ *   setLoop: (enabled: boolean) => void, setRenderer: (createRenderer: Function) => void,
+ *   getPosition: () => number, isPlaying: () => boolean, close: () => void }}
+ */
+export const createPreviewPlayer = (initialRenderer, { onEnded } = {}) => {
+  let createRenderer = initialRenderer;
+  let context = null;
+  let renderer = null;
+  let timer = null;
+  let loop = true;
+  let position = 0;
+  let nextTime = 0;
+  let scheduled = []; // { source, startTime, duration, position }
+
+  const stopSources = () => {
+    scheduled.forEach(({ source }) => source.stop());
+    scheduled = [];
+  };
+
+  const currentPosition = () => {
+    if (!timer) return position;
+    const now = context.currentTime;
+    const playing = scheduled.filter((chunk) => chunk.startTime <= now).pop();
+    return playing ? playing.position + (now - playing.startTime) : position;
+  };
+
+  const pause = () => {
+    position = currentPosition();
+    clearInterval(timer);
+    timer = null;
+    stopSources();
+  };
+
+  const schedule = () => {
+    const now = context.currentTime;
+    scheduled = scheduled.filter(({ startTime, duration }) => startTime + duration > now);
+
+    if (renderer.ended) {
+      if (scheduled.length === 0) {
+        pause();
+        position = 0;
+        if (onEnded) onEnded();
+      }
+      return;
+    }
+
+    while (nextTime < now + LOOKAHEAD_SECONDS && !renderer.ended) {
+      const chunkPosition = renderer.position;
+      const channels = renderer.render(Math.round(CHUNK_SECONDS * context.sampleRate));
+      const buffer = context.createBuffer(channels.length, channels[0].length, context.sampleRate);
+      channels.forEach((samples, channel) => buffer.copyToChannel(samples, channel));
+
+      const source = context.createBufferSource();
+      source.buffer = buffer;
+      source.connect(context.destination);
+      source.start(nextTime);
+      scheduled.push({ source, startTime: nextTime, duration: buffer.duration, position: chunkPosition });
+      nextTime += buffer.duration;
+    }
+  };
+
+  const play = () => {
+    if (timer) return;
+    if (!context) {
+      context = new AudioContext();
+      renderer = createRenderer(context.sampleRate);
+      renderer.setLoop(loop);
+    }
+    context.resume();
+    renderer.seek(position);
+    nextTime = context.currentTime + 0.05;
+    schedule();
+    timer = setInterval(schedule, (CHUNK_SECONDS * 1000) / 2);
+  };
+
+  const seek = (seconds) => {
+    const wasPlaying = timer !== null;
+    if (wasPlaying) pause();
+    position = seconds;
+    if (wasPlaying) play();
+  };
+
+  // Switch to another renderer (e.g. source vs converted) at the same position
+  const setRenderer = (nextRenderer) => {
+    const wasPlaying = timer !== null;
+    if (wasPlaying) pause();
+    createRenderer = nextRenderer;
+    if (context) {
+      renderer = createRenderer(context.sampleRate);
+      renderer.setLoop(loop);
+    }
+    if (wasPlaying) play();
+  };
+
+  return {
+    play,
+    pause,
+    seek,
+    setRenderer,
+    setLoop: (enabled) => {
+      loop = enabled;
+      if (renderer) renderer.setLoop(enabled);
+    },
+    getPosition: currentPosition,
+    isPlaying: () => timer !== null,
+    close: () => {
+      if (timer) pause();
+      if (context) context.close();
+      context = null;
+    },
+  };
+};
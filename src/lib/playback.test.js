@@ -0,0 +1,52 @@
+import { describe, expect, it } from 'vitest';
+import { createFrameStreamRenderer } from './playback.js';
+import { NES_CPU_CLOCKS } from './pitch.js';
+
+const SAMPLE_RATE = 6000; // 100 samples per play call
+
+// Ten play calls holding square 1 at 440 Hz
+const frameStream = (loopFrame) => ({
+  frames: Array.from({ length: 10 }, (_, frame) => (
+    frame === 0 ? [[0x4015, 0x0F], [0x4000, 0xBF], [0x4002, 0xFD], [0x4003, 0x08]] : []
+  )),
+  loopFrame,
+});
+
+const renderer = (loopFrame) => createFrameStreamRenderer(frameStream(loopFrame), {
+  cpuClock: NES_CPU_CLOCKS.ntsc,
+  region: 'ntsc',
+  frameRate: 60,
+  sampleRate: SAMPLE_RATE,
+});
+
+describe('createFrameStreamRenderer', () => {
+  it('plays the frames and ends after the last one without a loop point', () => {
+    const player = renderer(null);
+    const [output] = player.render(1100);
+
+    expect(Math.max(...output.subarray(0, 900))).toBeGreaterThan(0.05);
+    expect(player.ended).toBe(true);
+  });
+
+  it('jumps back to the loop frame', () => {
+    const player = renderer(5);
+    player.render(5050); // ten calls, then eight passes of frames 5-9, then frame 5
+
+    expect(player.ended).toBe(false);
+    expect(player.position).toBeCloseTo(5 / 60 + 50 / SAMPLE_RATE, 6);
+  });
+
+  it('plays through once when looping is off', () => {
+    const player = renderer(5);
+    player.setLoop(false);
+    player.render(1100);
+    expect(player.ended).toBe(true);
+  });
+
+  it('seeks to a play call', () => {
+    const player = renderer(null);
+    player.seek(0.1);
+    player.render(50);
+    expect(player.position).toBeCloseTo(0.1 + 50 / SAMPLE_RATE, 6);
+  });
+});
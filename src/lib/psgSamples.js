@@ -0,0 +1,135 @@
+// Sample playback through SN76489 volume registers.
+//
+// SMS and Game Gear games play speech and drums by rewriting a channel's
+// attenuation thousands of times a second, usually with the tone period set
+// so short that the channel outputs a level the volume then shapes. In a
+// VGM this shows up as long runs of attenuation changes a few samples
+// apart. Such bursts are found per channel; bursts overlapping in time on
+// different channels are mixed into one clip, and each clip's waveform is
+// rebuilt from the attenuation steps.
+
+const MAX_GAP = 64; // VGM samples between changes inside a burst (music updates are ~735 apart)
+const MIN_WRITES = 64; // shortest burst, in writes
+
+/**
+ * Linear amplitude of an SN76489 attenuation (2 dB steps, 15 = off).
+ * @param {number} attenuation
+ * @returns {number} 0-1
+ */
+export const attenuationToAmplitude = (attenuation) => (attenuation >= 0x0F ? 0 : 10 ** (-attenuation / 10));
+
+/**
+ * Runs of closely spaced volume changes at one tone period in a channel's
+ * events.
+ * @param {Array<{ period: number, sample: number }>} events - In time order
+ * @param {Object} [options]
+ * @param {number} [options.maxGap] - Largest gap inside a burst, in VGM samples
+ * @param {number} [options.minWrites] - Fewest writes in a burst
+ * @returns {Array<{ first: number, last: number }>} Event index ranges (inclusive)
+ */
+export const findBursts = (events, { maxGap = MAX_GAP, minWrites = MIN_WRITES } = {}) => {
+  const bursts = [];
+  let first = 0;
+
+  for (let index = 1; index <= events.length; index++) {
+    const closes = index === events.length ||
+      events[index].sample - events[index - 1].sample > maxGap ||
+      events[index].period !== events[index - 1].period;
+    if (!closes) continue;
+
+    if (index - first >= minWrites) bursts.push({ first, last: index - 1 });
+    first = index;
+  }
+
+  return bursts;
+};
+
+// Most common gap between consecutive events, which for deduplicated
+// writes is the rate the game wrote at
+const writeInterval = (events) => {
+  const counts = new Map();
+  for (let index = 1; index < events.length; index++) {
+    const gap = events[index].sample - events[index - 1].sample;
+    if (gap > 0) counts.set(gap, (counts.get(gap) || 0) + 1);
+  }
+  return [...counts.entries()].reduce((best, entry) => (entry[1] > best[1] ? entry : best), [1, 0])[0];
+};
+
+/**
+ * Take volume-register sample playback out of the tone channels.
+ * @param {Array<Array<{ period: number, attenuation: number, sample: number }>>} toneEvents - Per tone channel
+ * @param {number} vgmSampleRate - Hz
+ * @returns {{
+ *   clips: Array<{ start: number, end: number, sampleRate: number, pcm: Uint8Array, channels: number[] }>,
+ *   toneEvents: Array<Array<Object>>,
+ * }} Clips as 8-bit unsigned PCM (start/end in VGM samples), and the tone
+ *   events with each burst replaced by silence
+ */
+export const extractPSGSamples = (toneEvents, vgmSampleRate) => {
+  const bursts = toneEvents.flatMap((events, channel) => findBursts(events).map(({ first, last }) => {
+    const run = events.slice(first, last + 1);
+    const interval = writeInterval(run);
+    return {
+      channel,
+      first,
+      last,
+      run,
+      interval,
+      start: run[0].sample,
+      end: run[run.length - 1].sample + interval,
+    };
+  }));
+
+  // Mix bursts that overlap in time into one clip
+  const clips = [];
+  [...bursts].sort((a, b) => a.start - b.start).forEach((burst) => {
+    const clip = clips[clips.length - 1];
+    if (clip && burst.start < clip.end) {
+      clip.bursts.push(burst);
+      clip.end = Math.max(clip.end, burst.end);
+    } else {
+      clips.push({ start: burst.start, end: burst.end, bursts: [burst] });
+    }
+  });
+
+  const rebuilt = clips.map(({ start, end, bursts: parts }) => {
+    const interval = Math.min(...parts.map((burst) => burst.interval));
+    const length = Math.max(1, Math.ceil((end - start) / interval));
+    const mix = new Float32Array(length);
+
+    parts.forEach(({ run, end: burstEnd }) => {
+      let index = 0;
+      for (let i = 0; i < length; i++) {
+        const time = start + i * interval;
+        if (time < run[0].sample || time >= burstEnd) continue;
+        while (index + 1 < run.length && run[index + 1].sample <= time) index++;
+        mix[i] += attenuationToAmplitude(run[index].attenuation) / parts.length;
+      }
+    });
+
+    return {
+      start,
+      end,
+      sampleRate: vgmSampleRate / interval,
+      pcm: Uint8Array.from(mix, (amplitude) => Math.round(amplitude * 0xFF)),
+      channels: [...new Set(parts.map((burst) => burst.channel))],
+    };
+  });
+
+  const cleaned = toneEvents.map((events, channel) => {
+    const channelBursts = bursts.filter((burst) => burst.channel === channel);
+    if (channelBursts.length === 0) return events;
+
+    const kept = [];
+    let next = 0;
+    channelBursts.forEach(({ first, last }) => {
+      kept.push(...events.slice(next, first));
+      kept.push({ ...events[first], attenuation: 0x0F });
+      next = last + 1;
+    });
+    kept.push(...events.slice(next));
+    return kept;
+  });
+
+  return { clips: rebuilt, toneEvents: cleaned };
+};
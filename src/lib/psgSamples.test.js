@@ -0,0 +1,54 @@
+import { describe, expect, it } from 'vitest';
+import { attenuationToAmplitude, extractPSGSamples, findBursts } from './psgSamples.js';
+
+// `count` volume writes `gap` samples apart on a held period, from `start`
+const burst = (count, { start = 0, gap = 5, period = 0, attenuation = (index) => (index % 2 ? 0x0F : 0) } = {}) => (
+  Array.from({ length: count }, (_, index) => ({ period, attenuation: attenuation(index), sample: start + index * gap }))
+);
+
+describe('attenuationToAmplitude', () => {
+  it('drops 2 dB per step and is silent at 15', () => {
+    expect(attenuationToAmplitude(0)).toBe(1);
+    expect(attenuationToAmplitude(5)).toBeCloseTo(10 ** -0.5, 6);
+    expect(attenuationToAmplitude(0x0F)).toBe(0);
+  });
+});
+
+describe('findBursts', () => {
+  it('finds runs of closely spaced writes', () => {
+    expect(findBursts(burst(100))).toEqual([{ first: 0, last: 99 }]);
+  });
+
+  it('splits runs at long gaps and period changes, and ignores short runs', () => {
+    const events = [
+      ...burst(80),
+      ...burst(80, { start: 2000 }), // a gap of ~1600 samples
+      ...burst(80, { start: 2400, period: 1 }),
+      ...burst(20, { start: 5000 }),
+    ];
+    expect(findBursts(events)).toEqual([{ first: 0, last: 79 }, { first: 80, last: 159 }, { first: 160, last: 239 }]);
+  });
+});
+
+describe('extractPSGSamples', () => {
+  const music = [{ period: 0x100, attenuation: 2, sample: 10000 }];
+
+  it('rebuilds a burst as 8-bit PCM at the write rate and silences the tone channel', () => {
+    const { clips, toneEvents } = extractPSGSamples([[...burst(100), ...music], [], []], 44100);
+
+    expect(clips).toHaveLength(1);
+    expect(clips[0]).toMatchObject({ start: 0, end: 500, sampleRate: 8820, channels: [0] });
+    expect([...clips[0].pcm.subarray(0, 4)]).toEqual([0xFF, 0, 0xFF, 0]);
+    expect(toneEvents[0]).toEqual([{ period: 0, attenuation: 0x0F, sample: 0 }, ...music]);
+  });
+
+  it('mixes bursts overlapping on different channels into one clip', () => {
+    const loud = { attenuation: () => 0 };
+    const { clips } = extractPSGSamples([burst(100, loud), burst(100, { ...loud, start: 200 }), []], 44100);
+
+    expect(clips).toHaveLength(1);
+    expect(clips[0]).toMatchObject({ start: 0, end: 700, channels: [0, 1] });
+    expect(clips[0].pcm[0]).toBe(Math.round(0xFF / 2)); // channel 0 alone
+    expect(clips[0].pcm[60]).toBe(0xFF); // both channels
+  });
+});
@@ -0,0 +1,286 @@
+// SN76489 emulator and VGM source playback.
+//
+// The chip divides its clock by 16; each tone counter counts down at that
+// rate and flips its output when it reloads. The noise channel shifts its
+// LFSR on every rising edge of its own counter (or of tone 2's, at rate 3).
+// Chip variants differ in the LFSR: Sega's VDP PSG uses 16 bits with taps
+// 0 and 3, the TI SN76489 15 bits with taps 0 and 1. Sega chips also hold
+// tone periods 0 and 1 at a constant high level (used for sample playback),
+// where TI chips treat period 0 as 0x400. Game Gear stereo (VGM 0x4F) gates
+// each channel to the left and right outputs.
+
+import { noiseShiftPeriod } from './noise.js';
+import { vgmCommandLength } from './vgmCommands.js';
+
+export const SN76489_VARIANTS = {
+  sega: { feedback: 0x0009, width: 16, holdLowPeriods: true },
+  ti: { feedback: 0x0003, width: 15, holdLowPeriods: false },
+};
+
+const VGM_SAMPLE_RATE = 44100;
+
+/**
+ * The chip variant a parsed VGM declares: its noise feedback taps and shift
+ * register width, holding low periods when the taps are Sega's.
+ * @param {Object} vgmData - From parseVGMFile
+ * @returns {{ feedback: number, width: number, holdLowPeriods: boolean }}
+ */
+export const vgmVariant = ({ snFeedback, snShiftWidth }) => ({
+  feedback: snFeedback,
+  width: snShiftWidth,
+  holdLowPeriods: snFeedback === SN76489_VARIANTS.sega.feedback,
+});
+
+// Output level per attenuation step (2 dB each), 15 = off
+const VOLUME_TABLE = Array.from({ length: 16 }, (_, attenuation) => (
+  attenuation === 0x0F ? 0 : 10 ** (-attenuation / 10)
+));
+
+const parity = (value) => {
+  let bits = value;
+  bits ^= bits >> 8;
+  bits ^= bits >> 4;
+  bits ^= bits >> 2;
+  bits ^= bits >> 1;
+  return bits & 1;
+};
+
+/**
+ * Create an SN76489.
+ * @param {Object} options
+ * @param {number} options.clock - Chip clock in Hz
+ * @param {{ feedback: number, width: number, holdLowPeriods: boolean }} options.variant
+ * @returns {{ write: (data: number) => void, writeStereo: (mask: number) => void,
+ *   render: (count: number, sampleRate: number) => [Float32Array, Float32Array] }}
+ */
+export const createSN76489 = ({ clock, variant }) => {
+  const { feedback, width, holdLowPeriods } = variant;
+  const period = [0, 0, 0, 0];
+  const attenuation = [0x0F, 0x0F, 0x0F, 0x0F];
+  const counter = [0, 0, 0, 0];
+  const output = [1, 1, 1, 1];
+  let noiseControl = 0;
+  let shift = 1 << (width - 1);
+  let latchedChannel = 0;
+  let latchedVolume = false;
+  let stereo = 0xFF; // bits 4-7 left, 0-3 right, one per channel
+  let tickDebt = 0;
+
+  const noisePeriod = () => noiseShiftPeriod(noiseControl, period[2]);
+
+  const write = (data) => {
+    if (data & 0x80) {
+      latchedChannel = (data >> 5) & 0x03;
+      latchedVolume = (data & 0x10) !== 0;
+      if (latchedVolume) {
+        attenuation[latchedChannel] = data & 0x0F;
+      } else if (latchedChannel === 3) {
+        noiseControl = data & 0x07;
+        shift = 1 << (width - 1);
+      } else {
+        period[latchedChannel] = (period[latchedChannel] & 0x3F0) | (data & 0x0F);
+      }
+    } else if (latchedVolume) {
+      attenuation[latchedChannel] = data & 0x0F;
+    } else if (latchedChannel === 3) {
+      noiseControl = data & 0x07;
+      shift = 1 << (width - 1);
+    } else {
+      period[latchedChannel] = (period[latchedChannel] & 0x0F) | ((data & 0x3F) << 4);
+    }
+  };
+
+  const tick = () => {
+    for (let channel = 0; channel < 3; channel++) {
+      if (holdLowPeriods && period[channel] <= 1) {
+        output[channel] = 1;
+      } else if (--counter[channel] <= 0) {
+        counter[channel] = period[channel] || 0x400;
+        output[channel] = -output[channel];
+      }
+    }
+
+    if (--counter[3] <= 0) {
+      counter[3] = noisePeriod();
+      output[3] = -output[3];
+      if (output[3] > 0) {
+        const bit = noiseControl & 0x04 ? parity(shift & feedback) : shift & 1;
+        shift = (shift >> 1) | (bit << (width - 1));
+      }
+    }
+  };
+
+  const render = (count, sampleRate) => {
+    const left = new Float32Array(count);
+    const right = new Float32Array(count);
+    const ticksPerSample = clock / 16 / sampleRate;
+
+    for (let i = 0; i < count; i++) {
+      tickDebt += ticksPerSample;
+      let leftTotal = 0;
+      let rightTotal = 0;
+      let ticks = 0;
+
+      while (tickDebt >= 1) {
+        tick();
+        for (let channel = 0; channel < 4; channel++) {
+          const level = channel === 3 ? (shift & 1 ? 1 : -1) : output[channel];
+          const value = level * VOLUME_TABLE[attenuation[channel]];
+          if (stereo & (0x10 << channel)) leftTotal += value;
+          if (stereo & (0x01 << channel)) rightTotal += value;
+        }
+        ticks++;
+        tickDebt--;
+      }
+
+      if (ticks > 0) {
+        left[i] = leftTotal / ticks / 4;
+        right[i] = rightTotal / ticks / 4;
+      }
+    }
+
+    return [left, right];
+  };
+
+  return {
+    write,
+    writeStereo: (mask) => {
+      stereo = mask;
+    },
+    render,
+  };
+};
+
+/**
+ * Renderer (see ./playback.js) playing a VGM file's SN76489 stream.
+ * @param {Object} vgmData - From parseVGMFile
+ * @param {Object} options
+ * @param {number} options.sampleRate - Output sample rate
+ * @param {Object} options.variant - One of SN76489_VARIANTS
+ * @returns {Object} Renderer
+ */
+export const createVGMRenderer = (vgmData, { sampleRate, variant }) => {
+  const view = new DataView(vgmData.buffer);
+  const loopStartSample = vgmData.loopByteOffset ? vgmData.totalSamples - vgmData.loopSamples : 0;
+  const vgmSamplesPerOutput = VGM_SAMPLE_RATE / sampleRate;
+  let loop = true;
+  let chip = null;
+  let offset = 0;
+  let sample = 0; // VGM samples into the song
+  let waiting = 0; // VGM samples until the next command
+  let ended = false;
+
+  // Run commands until one waits; returns the wait length in VGM samples
+  const step = () => {
+    while (offset < view.byteLength) {
+      const command = view.getUint8(offset);
+
+      if (command === 0x66) {
+        if (loop && vgmData.loopByteOffset) {
+          offset = vgmData.loopByteOffset;
+          sample = loopStartSample;
+          continue;
+        }
+        break;
+      }
+
+      if (command === 0x50) {
+        chip.write(view.getUint8(offset + 1));
+        offset += 2;
+      } else if (command === 0x4F) {
+        chip.writeStereo(view.getUint8(offset + 1));
+        offset += 2;
+      } else if (command === 0x61) {
+        offset += 3;
+        return view.getUint16(offset - 2, true);
+      } else if (command === 0x62) {
+        offset += 1;
+        return 735;
+      } else if (command === 0x63) {
+        offset += 1;
+        return 882;
+      } else if (command >= 0x70 && command <= 0x7F) {
+        offset += 1;
+        return (command & 0x0F) + 1;
+      } else if (command >= 0x80 && command <= 0x8F) {
+        offset += 1;
+        return command & 0x0F;
+      } else {
+        offset += vgmCommandLength(view, offset, vgmData.version); // other chips, data blocks
+      }
+    }
+
+    ended = true;
+    return Infinity;
+  };
+
+  const advance = (samples) => {
+    let remaining = samples;
+    while (!ended && remaining > 0) {
+      if (waiting <= 0) {
+        waiting += step();
+        continue;
+      }
+      const length = Math.min(remaining, waiting);
+      waiting -= length;
+      remaining -= length;
+      sample += length;
+    }
+  };
+
+  // Replay the commands up to the target without rendering
+  const seek = (seconds) => {
+    chip = createSN76489({ clock: vgmData.sn76489Clock, variant });
+    offset = vgmData.dataOffset;
+    sample = 0;
+    waiting = 0;
+    ended = false;
+
+    const savedLoop = loop;
+    loop = false;
+    advance(Math.min(vgmData.totalSamples, Math.round(seconds * VGM_SAMPLE_RATE)));
+    loop = savedLoop;
+    ended = false;
+  };
+
+  const render = (count) => {
+    const left = new Float32Array(count);
+    const right = new Float32Array(count);
+    let done = 0;
+
+    while (done < count) {
+      if (waiting <= 0 && !ended) {
+        waiting += step();
+        continue;
+      }
+
+      const length = ended
+        ? count - done
+        : Math.max(1, Math.min(count - done, Math.ceil(waiting / vgmSamplesPerOutput)));
+      const [chunkLeft, chunkRight] = chip.render(length, sampleRate);
+      left.set(chunkLeft, done);
+      right.set(chunkRight, done);
+      done += length;
+      waiting -= length * vgmSamplesPerOutput;
+      sample += length * vgmSamplesPerOutput;
+    }
+
+    return [left, right];
+  };
+
+  seek(0);
+
+  return {
+    seek,
+    render,
+    setLoop: (enabled) => {
+      loop = enabled;
+    },
+    get position() {
+      return sample / VGM_SAMPLE_RATE;
+    },
+    get ended() {
+      return ended;
+    },
+  };
+};
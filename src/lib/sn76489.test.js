@@ -0,0 +1,66 @@
+import { describe, expect, it } from 'vitest';
+import { createSN76489, SN76489_VARIANTS, vgmVariant } from './sn76489.js';
+
+// One chip tick per output sample
+const CLOCK = 16 * 1000;
+const SAMPLE_RATE = 1000;
+
+const render = (variant, writes, count) => {
+  const chip = createSN76489({ clock: CLOCK, variant });
+  writes.forEach((data) => chip.write(data));
+  return chip.render(count, SAMPLE_RATE);
+};
+
+// Sample indices where the output goes from low to high
+const risingEdges = (samples) => samples.reduce((edges, value, index) => (
+  index > 0 && value > 0 && samples[index - 1] <= 0 ? [...edges, index] : edges
+), []);
+
+describe('vgmVariant', () => {
+  it('uses the feedback taps and register width from the header', () => {
+    expect(vgmVariant({ snFeedback: 0x0009, snShiftWidth: 16 })).toEqual(SN76489_VARIANTS.sega);
+    expect(vgmVariant({ snFeedback: 0x0003, snShiftWidth: 15 })).toEqual(SN76489_VARIANTS.ti);
+    expect(vgmVariant({ snFeedback: 0x0006, snShiftWidth: 15 })).toEqual({ feedback: 0x0006, width: 15, holdLowPeriods: false });
+  });
+});
+
+describe('createSN76489', () => {
+  // Noise at full volume, shifting every 32 ticks
+  const noise = (control) => [0xF0, 0xE0 | control];
+
+  it('repeats periodic noise once per pass through the shift register', () => {
+    const [sega] = render(SN76489_VARIANTS.sega, noise(0x00), 4000);
+    const [ti] = render(SN76489_VARIANTS.ti, noise(0x00), 4000);
+
+    const spacing = (edges) => new Set(edges.slice(1).map((edge, index) => edge - edges[index]));
+    expect(spacing(risingEdges(sega))).toEqual(new Set([32 * 16]));
+    expect(spacing(risingEdges(ti))).toEqual(new Set([32 * 15]));
+  });
+
+  it('taps the shift register differently for white noise', () => {
+    const [sega] = render(SN76489_VARIANTS.sega, noise(0x04), 8000);
+    const [ti] = render(SN76489_VARIANTS.ti, noise(0x04), 8000);
+    expect(risingEdges(sega)).not.toEqual(risingEdges(ti));
+    expect(risingEdges(sega).length).toBeGreaterThan(20);
+  });
+
+  it('holds low tone periods high on Sega\'s PSG only', () => {
+    // Tone 0 at period 1 and full volume
+    const writes = [0x81, 0x00, 0x90];
+    const [sega] = render(SN76489_VARIANTS.sega, writes, 64);
+    const [ti] = render(SN76489_VARIANTS.ti, writes, 64);
+
+    expect(new Set(sega)).toEqual(new Set([0.25]));
+    expect(new Set(ti)).toEqual(new Set([0.25, -0.25]));
+  });
+
+  it('gates each channel to the left and right outputs', () => {
+    const chip = createSN76489({ clock: CLOCK, variant: SN76489_VARIANTS.sega });
+    [0x80, 0x08, 0x90].forEach((data) => chip.write(data)); // tone 0, period 0x80
+    chip.writeStereo(0x10); // tone 0 left only
+
+    const [left, right] = chip.render(512, SAMPLE_RATE);
+    expect(left.some((value) => value !== 0)).toBe(true);
+    expect(right.every((value) => value === 0)).toBe(true);
+  });
+});
@@ -0,0 +1,57 @@
+// Game Gear stereo handling.
+//
+// The Game Gear's stereo register (VGM command 0x4F) enables each SN76489
+// channel on the left (bits 4-7) and right (bits 0-3) outputs. The NES is
+// mono, so panning has to be folded into levels or voice choices:
+//
+//   downmix     keep every voice, lowering one-sided voices by the 6 dB they
+//               lose when L and R are summed
+//   prioritize  voices heard on both sides win channels over one-sided ones
+//   drop        mute voices panned to one side only
+//
+// A channel enabled on neither side is silent under every strategy.
+
+export const STEREO_STRATEGIES = ['downmix', 'prioritize', 'drop'];
+
+export const STEREO_CENTER = 0xFF; // every channel on both sides (power-on state)
+
+const ONE_SIDE_ATTENUATION = 3; // 2 dB steps: one side of a summed pair is -6 dB
+
+/**
+ * Whether a channel is enabled on each side.
+ * @param {number} mask - Stereo register value
+ * @param {number} channel - 0-3
+ * @returns {{ left: boolean, right: boolean }}
+ */
+export const channelPanning = (mask, channel) => ({
+  left: (mask & (0x10 << channel)) !== 0,
+  right: (mask & (0x01 << channel)) !== 0,
+});
+
+/**
+ * Fold a channel's panning into its level and allocation priority.
+ * @param {number} attenuation - 0 (loudest) to 15 (silent)
+ * @param {number} mask - Stereo register value
+ * @param {number} channel - 0-3
+ * @param {'downmix' | 'prioritize' | 'drop'} strategy
+ * @returns {{ attenuation: number, priority: number, oneSided: boolean }}
+ */
+export const applyStereo = (attenuation, mask, channel, strategy) => {
+  const { left, right } = channelPanning(mask, channel);
+
+  if (!left && !right) {
+    return { attenuation: 0x0F, priority: 0, oneSided: false };
+  }
+  if (left && right) {
+    return { attenuation, priority: strategy === 'prioritize' ? 1 : 0, oneSided: false };
+  }
+
+  switch (strategy) {
+    case 'downmix':
+      return { attenuation: Math.min(0x0F, attenuation + ONE_SIDE_ATTENUATION), priority: 0, oneSided: true };
+    case 'drop':
+      return { attenuation: 0x0F, priority: 0, oneSided: true };
+    default:
+      return { attenuation, priority: 0, oneSided: true };
+  }
+};
@@ -0,0 +1,35 @@
+import { describe, expect, it } from 'vitest';
+import { applyStereo, channelPanning, STEREO_CENTER } from './stereo.js';
+
+describe('channelPanning', () => {
+  it('reads left from bits 4-7 and right from bits 0-3', () => {
+    expect(channelPanning(0x21, 0)).toEqual({ left: false, right: true });
+    expect(channelPanning(0x21, 1)).toEqual({ left: true, right: false });
+    expect(channelPanning(STEREO_CENTER, 3)).toEqual({ left: true, right: true });
+  });
+});
+
+describe('applyStereo', () => {
+  const LEFT_ONLY = 0x10; // channel 0 on the left
+
+  it('leaves centred voices alone and raises their priority when prioritizing', () => {
+    expect(applyStereo(4, STEREO_CENTER, 0, 'downmix')).toEqual({ attenuation: 4, priority: 0, oneSided: false });
+    expect(applyStereo(4, STEREO_CENTER, 0, 'prioritize')).toEqual({ attenuation: 4, priority: 1, oneSided: false });
+  });
+
+  it('lowers one-sided voices by 6 dB when downmixing', () => {
+    expect(applyStereo(4, LEFT_ONLY, 0, 'downmix')).toEqual({ attenuation: 7, priority: 0, oneSided: true });
+    expect(applyStereo(14, LEFT_ONLY, 0, 'downmix').attenuation).toBe(0x0F);
+  });
+
+  it('mutes one-sided voices when dropping and keeps them when prioritizing', () => {
+    expect(applyStereo(4, LEFT_ONLY, 0, 'drop')).toEqual({ attenuation: 0x0F, priority: 0, oneSided: true });
+    expect(applyStereo(4, LEFT_ONLY, 0, 'prioritize')).toEqual({ attenuation: 4, priority: 0, oneSided: true });
+  });
+
+  it('silences a channel enabled on neither side', () => {
+    ['downmix', 'prioritize', 'drop'].forEach((strategy) => {
+      expect(applyStereo(0, 0xEE, 0, strategy)).toEqual({ attenuation: 0x0F, priority: 0, oneSided: false });
+    });
+  });
+});
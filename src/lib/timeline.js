@@ -0,0 +1,55 @@
+// Channel timelines for the visualizer.
+//
+// Every source and NES channel becomes a lane of bars: one bar per stretch
+// of time the channel holds an audible pitch, with its level (0-1) for
+// shading. Times stay in VGM samples so source and NES lanes share an axis.
+
+/**
+ * MIDI note number (fractional) for a frequency.
+ * @param {number} frequency - Hz (> 0)
+ * @returns {number}
+ */
+export const frequencyToMidi = (frequency) => 69 + 12 * Math.log2(frequency / 440);
+
+/**
+ * Turn a channel's state changes into bars.
+ * @param {Array<{ sample: number }>} events - In time order; each holds until the next
+ * @param {Object} options
+ * @param {number} options.endSample - Where the last state ends
+ * @param {(event: Object) => number | null} options.pitchOf - Row of the bar, null when silent
+ * @param {(event: Object) => number} options.levelOf - 0 (silent) to 1
+ * @returns {Array<{ start: number, end: number, pitch: number, level: number }>}
+ */
+export const eventsToBars = (events, { endSample, pitchOf, levelOf }) => {
+  const bars = [];
+
+  events.forEach((event, index) => {
+    const end = index + 1 < events.length ? events[index + 1].sample : endSample;
+    const pitch = pitchOf(event);
+    const level = levelOf(event);
+    if (pitch === null || level <= 0 || end <= event.sample || event.sample >= endSample) return;
+
+    const previous = bars[bars.length - 1];
+    if (previous && previous.end === event.sample && previous.pitch === pitch && previous.level === level) {
+      previous.end = Math.min(end, endSample);
+    } else {
+      bars.push({ start: event.sample, end: Math.min(end, endSample), pitch, level });
+    }
+  });
+
+  return bars;
+};
+
+/**
+ * Lowest and highest pitch among bars, padded so single rows stay visible.
+ * @param {Array<{ pitch: number }>} bars
+ * @returns {[number, number]}
+ */
+export const pitchRange = (bars) => {
+  if (bars.length === 0) return [0, 1];
+  const [low, high] = bars.reduce(
+    ([min, max], bar) => [Math.min(min, bar.pitch), Math.max(max, bar.pitch)],
+    [Infinity, -Infinity]
+  );
+  return [low - 1, high + 1];
+};
@@ -0,0 +1,52 @@
+import { describe, expect, it } from 'vitest';
+import { eventsToBars, frequencyToMidi, pitchRange } from './timeline.js';
+
+describe('frequencyToMidi', () => {
+  it('puts A4 at note 69 and an octave 12 notes apart', () => {
+    expect(frequencyToMidi(440)).toBe(69);
+    expect(frequencyToMidi(880)).toBe(81);
+    expect(frequencyToMidi(261.6256)).toBeCloseTo(60, 4);
+  });
+});
+
+describe('eventsToBars', () => {
+  const bars = (events, endSample = 1000) => eventsToBars(events, {
+    endSample,
+    pitchOf: (event) => event.pitch ?? null,
+    levelOf: (event) => event.level,
+  });
+
+  it('holds each state until the next event', () => {
+    expect(bars([{ sample: 0, pitch: 60, level: 1 }, { sample: 400, pitch: 62, level: 0.5 }])).toEqual([
+      { start: 0, end: 400, pitch: 60, level: 1 },
+      { start: 400, end: 1000, pitch: 62, level: 0.5 },
+    ]);
+  });
+
+  it('joins repeated states and skips silent ones', () => {
+    const events = [
+      { sample: 0, pitch: 60, level: 1 },
+      { sample: 100, pitch: 60, level: 1 },
+      { sample: 200, pitch: 60, level: 0 },
+      { sample: 300, level: 1 }, // no pitch
+      { sample: 400, pitch: 64, level: 1 },
+    ];
+    expect(bars(events)).toEqual([
+      { start: 0, end: 200, pitch: 60, level: 1 },
+      { start: 400, end: 1000, pitch: 64, level: 1 },
+    ]);
+  });
+
+  it('cuts bars off at the end sample', () => {
+    expect(bars([{ sample: 0, pitch: 60, level: 1 }, { sample: 500, pitch: 62, level: 1 }], 300)).toEqual([
+      { start: 0, end: 300, pitch: 60, level: 1 },
+    ]);
+  });
+});
+
+describe('pitchRange', () => {
+  it('pads the lowest and highest pitch by a row', () => {
+    expect(pitchRange([{ pitch: 60 }, { pitch: 72 }, { pitch: 64 }])).toEqual([59, 73]);
+    expect(pitchRange([])).toEqual([0, 1]);
+  });
+});
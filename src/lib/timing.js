@@ -0,0 +1,70 @@
+// NES frame timing and quantization of the sample-timed VGM stream.
+//
+// VGM commands are timed in 44.1 kHz samples; the NSF driver applies
+// register changes once per play call, i.e. once per video frame or a
+// multiple of it. Changes that fall in the same play call collapse into
+// one: earlier ones are merged into the last, and a change that is undone
+// within the same call (a blip shorter than a frame) is lost entirely.
+
+export const NES_FRAME_RATES = {
+  ntsc: 60.0988,
+  pal: 50.007,
+  dendy: 50.007,
+};
+
+// NSF header region byte: bit 0 = PAL. The format has no Dendy flag, and a
+// Dendy plays 50 Hz frames, so it is marked PAL.
+export const NSF_REGION_FLAGS = {
+  ntsc: 0x00,
+  pal: 0x01,
+  dendy: 0x01,
+};
+
+// NSFe 'regn' chunk region bits
+export const NSFE_REGION_BITS = {
+  ntsc: 0x01,
+  pal: 0x02,
+  dendy: 0x04,
+};
+
+/**
+ * NSF play speed word for a play call rate.
+ * @param {number} rate - Play calls per second
+ * @returns {number} Microseconds per play call
+ */
+export const playSpeed = (rate) => Math.round(1000000 / rate);
+
+/**
+ * Count the events that quantization to frames merges or loses.
+ * @param {Array<{ sample: number }>} events - One channel's events in order
+ * @param {(sample: number) => number} frameOf - Frame an event sample lands in
+ * @param {(event: Object) => string} stateKey - Identifies the state an event sets
+ * @returns {{ merged: number, lost: number }} Events overridden by a later one
+ *   in the same frame, and events in frames that end in the state they
+ *   started in, whose changes never reach the output
+ */
+export const measureQuantization = (events, frameOf, stateKey) => {
+  let merged = 0;
+  let lost = 0;
+  let before = null;
+  let index = 0;
+
+  while (index < events.length) {
+    const frame = frameOf(events[index].sample);
+    let end = index;
+    while (end + 1 < events.length && frameOf(events[end + 1].sample) === frame) {
+      end++;
+    }
+
+    const after = stateKey(events[end]);
+    merged += end - index;
+    if (end > index && after === before) {
+      lost += end - index + 1;
+    }
+
+    before = after;
+    index = end + 1;
+  }
+
+  return { merged, lost };
+};
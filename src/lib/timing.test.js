@@ -0,0 +1,32 @@
+import { describe, expect, it } from 'vitest';
+import { measureQuantization, NES_FRAME_RATES, playSpeed } from './timing.js';
+
+describe('playSpeed', () => {
+  it('gives microseconds per play call', () => {
+    expect(playSpeed(NES_FRAME_RATES.ntsc)).toBe(16639);
+    expect(playSpeed(NES_FRAME_RATES.pal)).toBe(19997);
+    expect(playSpeed(NES_FRAME_RATES.ntsc * 4)).toBe(4160);
+  });
+});
+
+describe('measureQuantization', () => {
+  // 100 samples per frame; each event sets a level
+  const frameOf = (sample) => Math.floor(sample / 100);
+  const measure = (events) => measureQuantization(events, frameOf, (event) => String(event.level));
+
+  it('counts events overridden within a frame as merged', () => {
+    const events = [{ sample: 0, level: 1 }, { sample: 150, level: 2 }, { sample: 180, level: 3 }];
+    expect(measure(events)).toEqual({ merged: 1, lost: 0 });
+  });
+
+  it('counts a change undone within a frame as lost', () => {
+    // Level 1, then a blip to 5 and back inside frame 2
+    const events = [{ sample: 0, level: 1 }, { sample: 210, level: 5 }, { sample: 260, level: 1 }];
+    expect(measure(events)).toEqual({ merged: 1, lost: 2 });
+  });
+
+  it('counts nothing when every event has a frame to itself', () => {
+    const events = [{ sample: 0, level: 1 }, { sample: 100, level: 1 }, { sample: 200, level: 2 }];
+    expect(measure(events)).toEqual({ merged: 0, lost: 0 });
+  });
+});
@@ -0,0 +1,52 @@
+// VGM command lengths.
+//
+// Readers only act on the commands for chips they emulate or convert, but
+// must step over every other command to stay in sync with the stream. The
+// table gives each opcode's length in bytes, operands included, from the
+// VGM 1.71 specification; reserved opcodes take the length of their range.
+// Files older than 1.60 reserve 0x40-0x4E with a single operand, since 1.60
+// gave them two. A data block (0x67) is followed by its contents: its length
+// comes from the block header.
+
+const DATA_BLOCK = 0x67;
+const DATA_BLOCK_HEADER = 7; // 0x67 0x66 type size32
+const TWO_OPERAND_40_VERSION = 0x160; // 0x40-0x4E take two operands from here on
+
+const COMMAND_LENGTHS = new Uint8Array(256).fill(1);
+const setLength = (first, last, length) => COMMAND_LENGTHS.fill(length, first, last + 1);
+
+setLength(0x30, 0x3F, 2); // reserved, one operand
+setLength(0x40, 0x4E, 3); // Mikey and reserved, two operands (one before VGM 1.60)
+setLength(0x4F, 0x50, 2); // Game Gear stereo, SN76489
+setLength(0x51, 0x5F, 3); // YM2413 and other FM chips: register, value
+setLength(0x61, 0x61, 3); // wait n samples
+setLength(0x64, 0x64, 4); // override a wait command's length
+setLength(DATA_BLOCK, DATA_BLOCK, DATA_BLOCK_HEADER);
+setLength(0x68, 0x68, 12); // PCM RAM write
+setLength(0x90, 0x90, 5); // DAC stream control: setup
+setLength(0x91, 0x91, 5); // set stream data
+setLength(0x92, 0x92, 6); // set stream frequency
+setLength(0x93, 0x93, 11); // start stream
+setLength(0x94, 0x94, 2); // stop stream
+setLength(0x95, 0x95, 5); // start stream (fast call)
+setLength(0xA0, 0xBF, 3); // AY8910 and other chips: register, value
+setLength(0xC0, 0xDF, 4); // chips with 16-bit addresses
+setLength(0xE0, 0xFF, 5); // PCM seek (0xE0) and reserved, four operands
+
+/**
+ * Length in bytes of the command at an offset, data block contents included.
+ * A data block whose header is cut off reports the header's length, so
+ * `offset + length > byteLength` catches it like any other truncated command.
+ * @param {DataView} view - VGM data
+ * @param {number} offset - Offset of the command byte
+ * @param {number} version - VGM version from the header (e.g. 0x171)
+ * @returns {number}
+ */
+export const vgmCommandLength = (view, offset, version) => {
+  const command = view.getUint8(offset);
+  if (command >= 0x40 && command <= 0x4E && version < TWO_OPERAND_40_VERSION) return 2;
+  if (command !== DATA_BLOCK || offset + DATA_BLOCK_HEADER > view.byteLength) {
+    return COMMAND_LENGTHS[command];
+  }
+  return DATA_BLOCK_HEADER + (view.getUint32(offset + 3, true) & 0x7FFFFFFF);
+};
@@ -0,0 +1,43 @@
+import { describe, expect, it } from 'vitest';
+import { vgmCommandLength } from './vgmCommands.js';
+
+const lengthIn = (version, ...bytes) => vgmCommandLength(new DataView(Uint8Array.from(bytes).buffer), 0, version);
+const lengthOf = (...bytes) => lengthIn(0x171, ...bytes);
+
+describe('vgmCommandLength', () => {
+  it('gives the length of each command range', () => {
+    expect(lengthOf(0x30)).toBe(2);
+    expect(lengthOf(0x40)).toBe(3);
+    expect(lengthOf(0x4F)).toBe(2);
+    expect(lengthOf(0x50)).toBe(2);
+    expect(lengthOf(0x52)).toBe(3);
+    expect(lengthOf(0x61)).toBe(3);
+    expect(lengthOf(0x62)).toBe(1);
+    expect(lengthOf(0x7F)).toBe(1);
+    expect(lengthOf(0x85)).toBe(1);
+    expect(lengthOf(0xA0)).toBe(3);
+    expect(lengthOf(0xC0)).toBe(4);
+    expect(lengthOf(0xE0)).toBe(5);
+    expect(lengthOf(0xFF)).toBe(5);
+  });
+
+  it('gives 0x40-0x4E one operand before VGM 1.60', () => {
+    expect(lengthIn(0x150, 0x40)).toBe(2);
+    expect(lengthIn(0x151, 0x4E)).toBe(2);
+    expect(lengthIn(0x160, 0x40)).toBe(3);
+    expect(lengthIn(0x150, 0x4F)).toBe(2);
+  });
+
+  it('gives the lengths of the DAC stream commands', () => {
+    expect([0x90, 0x91, 0x92, 0x93, 0x94, 0x95].map((command) => lengthOf(command))).toEqual([5, 5, 6, 11, 2, 5]);
+  });
+
+  it('includes a data block\'s contents', () => {
+    expect(lengthOf(0x67, 0x66, 0x00, 0x03, 0x00, 0x00, 0x00, 1, 2, 3)).toBe(10);
+    expect(lengthOf(0x67, 0x66, 0x00, 0x03, 0x00, 0x00, 0x80, 1, 2, 3)).toBe(10); // bit 31 flags a 32-bit size
+  });
+
+  it('reports the header length of a cut-off data block', () => {
+    expect(lengthOf(0x67, 0x66, 0x00)).toBe(7);
+  });
+});
@@ -0,0 +1,125 @@
+// Per-frame allocation of source voices onto NES channels.
+//
+// Each voice is either pinned to a target channel ('square1', 'triangle',
+// ...), switched off, or 'auto'. Pinned voices claim their channel first
+// (the louder voice wins when two collide). Auto voices then fill what is
+// left: a voice keeps its channel for as long as its note lasts, the
+// lowest sustained note goes to the triangle, and the rest go to free
+// squares loudest first; when there are more voices than channels the
+// quietest are dropped. A voice's priority, when set, outranks loudness.
+
+export const NES_VOICE_TARGETS = ['square1', 'square2', 'triangle'];
+
+const TRIANGLE = 'triangle';
+
+/**
+ * @typedef {Object} VoiceFrame
+ * @property {boolean} audible
+ * @property {number} frequency - Hz
+ * @property {number} attenuation - 0 (loudest) to 15 (silent)
+ * @property {number} note - Changes whenever a new note starts
+ * @property {boolean} sustained - The note is long enough to suit the triangle
+ * @property {boolean} [noTriangle] - The voice must not be put on the triangle
+ * @property {number} [priority] - Higher wins a channel before loudness is compared
+ */
+
+/**
+ * Allocate voices to NES channels frame by frame.
+ * @param {VoiceFrame[][]} voiceFrames - Per frame, the state of each voice
+ * @param {string[]} assignments - Per voice: a target name, 'auto' or 'off'
+ * @param {string[]} [targets] - Available NES channels
+ * @returns {{ frames: Array<Object<string, number | null>>, dropped: number, reassigned: number }}
+ *   Per frame, the voice index playing on each target; counts of dropped
+ *   voice-frames and of auto voices moved to a different channel mid-note
+ */
+export const allocateVoices = (voiceFrames, assignments, targets = NES_VOICE_TARGETS) => {
+  const frames = [];
+  let previous = {};
+  let dropped = 0;
+  let reassigned = 0;
+  // Squares before the triangle
+  const ordered = [
+    ...targets.filter((target) => target !== TRIANGLE),
+    ...targets.filter((target) => target === TRIANGLE),
+  ];
+
+  voiceFrames.forEach((voices) => {
+    const owner = Object.fromEntries(targets.map((target) => [target, null]));
+    const audible = voices
+      .map((voice, index) => ({ ...voice, index }))
+      .filter((voice) => voice.audible && assignments[voice.index] !== 'off');
+    const louder = (a, b) => (b.priority || 0) - (a.priority || 0) || a.attenuation - b.attenuation;
+    const canUse = (voice, target) => owner[target] === null && !(target === TRIANGLE && voice.noTriangle);
+    const previousTarget = (voice) => targets.find((target) => previous[target] === voice.index);
+
+    // Pinned voices, loudest first so it wins a shared channel
+    audible
+      .filter((voice) => targets.includes(assignments[voice.index]))
+      .sort(louder)
+      .forEach((voice) => {
+        const target = assignments[voice.index];
+        if (owner[target] === null) {
+          owner[target] = voice.index;
+        } else {
+          dropped++;
+        }
+      });
+
+    const autoVoices = audible.filter((voice) => assignments[voice.index] === 'auto');
+    const pending = [];
+
+    // Keep a running note on the channel it started on
+    autoVoices.forEach((voice) => {
+      const target = previousTarget(voice);
+      const running = previous.notes && previous.notes[voice.index] === voice.note;
+      if (target && running && canUse(voice, target)) {
+        owner[target] = voice.index;
+      } else {
+        pending.push(voice);
+      }
+    });
+
+    // The lowest sustained note goes to the triangle
+    if (owner[TRIANGLE] === null && targets.includes(TRIANGLE)) {
+      const bass = pending
+        .filter((voice) => voice.sustained && !voice.noTriangle)
+        .sort((a, b) => a.frequency - b.frequency)[0];
+      if (bass) {
+        owner[TRIANGLE] = bass.index;
+        pending.splice(pending.indexOf(bass), 1);
+      }
+    }
+
+    // Everything else loudest first
+    pending.sort(louder).forEach((voice) => {
+      let target = ordered.find((candidate) => canUse(voice, candidate));
+
+      if (!target) {
+        // Pre-empt a quieter auto voice if there is one
+        target = ordered.find((candidate) => {
+          const current = owner[candidate];
+          return (
+            current !== null &&
+            assignments[current] === 'auto' &&
+            !(candidate === TRIANGLE && voice.noTriangle) &&
+            louder(voice, voices[current]) < 0
+          );
+        });
+        if (target) dropped++;
+      }
+
+      if (target) {
+        const running = previous.notes && previous.notes[voice.index] === voice.note;
+        if (running && previousTarget(voice) && previousTarget(voice) !== target) reassigned++;
+        owner[target] = voice.index;
+      } else {
+        dropped++;
+      }
+    });
+
+    previous = { ...owner, notes: voices.map((voice) => voice.note) };
+    frames.push(owner);
+  });
+
+  return { frames, dropped, reassigned };
+};
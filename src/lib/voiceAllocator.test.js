@@ -0,0 +1,65 @@
+import { describe, expect, it } from 'vitest';
+import { allocateVoices } from './voiceAllocator.js';
+
+const voice = (frequency, attenuation, { note = 1, sustained = true, ...rest } = {}) => ({
+  audible: true,
+  frequency,
+  attenuation,
+  note,
+  sustained,
+  ...rest,
+});
+const SILENT = { audible: false, frequency: 0, attenuation: 0x0F, note: 0, sustained: false };
+
+describe('allocateVoices', () => {
+  it('gives pinned voices their channels', () => {
+    const { frames } = allocateVoices([[voice(440, 0), voice(220, 4), voice(110, 2)]], ['square1', 'square2', 'triangle']);
+    expect(frames).toEqual([{ square1: 0, square2: 1, triangle: 2 }]);
+  });
+
+  it('lets the louder of two voices pinned to one channel win', () => {
+    const { frames, dropped } = allocateVoices([[voice(440, 6), voice(220, 2)]], ['square1', 'square1']);
+    expect(frames[0].square1).toBe(1);
+    expect(dropped).toBe(1);
+  });
+
+  it('puts the lowest sustained auto voice on the triangle and the rest on squares, loudest first', () => {
+    const { frames } = allocateVoices([[voice(440, 8), voice(880, 2), voice(110, 0)]], ['auto', 'auto', 'auto']);
+    expect(frames).toEqual([{ square1: 1, square2: 0, triangle: 2 }]);
+  });
+
+  it('keeps voices that must not use the triangle off it', () => {
+    const { frames } = allocateVoices([[voice(110, 0, { noTriangle: true }), voice(440, 4)]], ['auto', 'auto']);
+    expect(frames[0]).toEqual({ square1: 0, square2: null, triangle: 1 });
+  });
+
+  it('keeps a running note on its channel', () => {
+    const { frames, reassigned } = allocateVoices([
+      [voice(440, 4), SILENT],
+      [voice(440, 4), voice(660, 0, { sustained: false })],
+    ], ['auto', 'auto'], ['square1', 'square2']);
+
+    expect(frames[1]).toEqual({ square1: 0, square2: 1 });
+    expect(reassigned).toBe(0);
+  });
+
+  it('drops the quietest voices when there are more voices than channels', () => {
+    const voices = [voice(440, 2, { sustained: false }), voice(550, 12, { sustained: false }), voice(660, 6, { sustained: false })];
+    const { frames, dropped } = allocateVoices([voices], ['auto', 'auto', 'auto'], ['square1', 'square2']);
+
+    expect(frames[0]).toEqual({ square1: 0, square2: 2 });
+    expect(dropped).toBe(1);
+  });
+
+  it('lets priority outrank loudness', () => {
+    const voices = [voice(440, 0, { sustained: false }), voice(550, 10, { sustained: false, priority: 1 })];
+    const { frames } = allocateVoices([voices], ['auto', 'auto'], ['square1']);
+    expect(frames[0]).toEqual({ square1: 1 });
+  });
+
+  it('ignores silent and switched-off voices', () => {
+    const { frames, dropped } = allocateVoices([[SILENT, voice(440, 0)]], ['auto', 'off']);
+    expect(frames[0]).toEqual({ square1: null, square2: null, triangle: null });
+    expect(dropped).toBe(0);
+  });
+});
@@ -0,0 +1,72 @@
+// SN76489 attenuation → NES volume mapping.
+//
+// SN76489 attenuation is logarithmic: 2 dB per step, 15 = off. NES square
+// and noise volume is a linear 0-15 DAC level. The triangle has no volume
+// control at all and can only be gated on or off.
+
+export const VOLUME_CURVES = ['perceptual', 'linear', 'custom'];
+
+const DYNAMICS_THRESHOLD = 0.2; // share of note frames with a changed level
+
+/**
+ * Parse a user-supplied table of 16 NES volumes, one per attenuation step.
+ * @param {string} text - Comma or space separated values
+ * @returns {number[]}
+ */
+export const parseVolumeTable = (text) => {
+  const values = text.split(/[\s,]+/).filter(Boolean).map(Number);
+
+  if (values.length !== 16 || values.some((value) => !Number.isInteger(value) || value < 0 || value > 15)) {
+    throw new Error('Custom volume table must list 16 whole numbers from 0 to 15');
+  }
+
+  return values;
+};
+
+/**
+ * Build the attenuation → volume lookup table for a curve.
+ * @param {'perceptual' | 'linear' | 'custom'} curve
+ * @param {string} [customTable] - Used by the custom curve
+ * @returns {number[]} 16 volumes indexed by attenuation
+ */
+export const buildVolumeTable = (curve, customTable) => {
+  if (curve === 'custom') {
+    return parseVolumeTable(customTable || '');
+  }
+
+  return Array.from({ length: 16 }, (_, attenuation) => {
+    if (attenuation === 0x0F) return 0;
+    if (curve === 'linear') return 0x0F - attenuation;
+
+    // Perceptual: match the amplitude ratio (-2 dB per step), keeping every
+    // audible step audible
+    const amplitude = 10 ** ((-2 * attenuation) / 20);
+    return Math.max(1, Math.round(15 * amplitude));
+  });
+};
+
+/**
+ * Measure how much a voice relies on volume changes within its notes.
+ * @param {Array<{ audible: boolean, attenuation: number, note: number }>} frames - One voice's frames
+ * @returns {{ score: number, dynamic: boolean }} Share of audible frames whose
+ *   level differs from the level the note started at
+ */
+export const measureDynamics = (frames) => {
+  let audible = 0;
+  let changed = 0;
+  let note = null;
+  let startLevel = 0;
+
+  frames.forEach((frame) => {
+    if (!frame.audible) return;
+    if (frame.note !== note) {
+      note = frame.note;
+      startLevel = frame.attenuation;
+    }
+    audible++;
+    if (frame.attenuation !== startLevel) changed++;
+  });
+
+  const score = audible > 0 ? changed / audible : 0;
+  return { score, dynamic: score >= DYNAMICS_THRESHOLD };
+};
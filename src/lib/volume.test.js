@@ -0,0 +1,45 @@
+import { describe, expect, it } from 'vitest';
+import { buildVolumeTable, measureDynamics, parseVolumeTable } from './volume.js';
+
+describe('buildVolumeTable', () => {
+  it('follows the 2 dB attenuation steps on the perceptual curve', () => {
+    expect(buildVolumeTable('perceptual')).toEqual([15, 12, 9, 8, 6, 5, 4, 3, 2, 2, 2, 1, 1, 1, 1, 0]);
+  });
+
+  it('steps down one level per attenuation step on the linear curve', () => {
+    expect(buildVolumeTable('linear')).toEqual([15, 14, 13, 12, 11, 10, 9, 8, 7, 6, 5, 4, 3, 2, 1, 0]);
+  });
+
+  it('uses the custom table as given', () => {
+    const table = '15 13 11 9 8 7 6 5 4 3 3 2 2 1 1 0';
+    expect(buildVolumeTable('custom', table)).toEqual(parseVolumeTable(table));
+  });
+});
+
+describe('parseVolumeTable', () => {
+  it('accepts commas and spaces', () => {
+    expect(parseVolumeTable('15, 14,13 12 11 10 9 8 7 6 5 4 3 2 1 0')).toHaveLength(16);
+  });
+
+  it('rejects tables of the wrong length or range', () => {
+    expect(() => parseVolumeTable('15 14 13')).toThrow(/16 whole numbers/);
+    expect(() => parseVolumeTable('16 14 13 12 11 10 9 8 7 6 5 4 3 2 1 0')).toThrow(/16 whole numbers/);
+    expect(() => parseVolumeTable('15 14.5 13 12 11 10 9 8 7 6 5 4 3 2 1 0')).toThrow(/16 whole numbers/);
+  });
+});
+
+describe('measureDynamics', () => {
+  const frame = (note, attenuation, audible = true) => ({ note, attenuation, audible });
+
+  it('scores the share of audible frames that leave the note\'s starting level', () => {
+    // A note that decays over 4 frames, then a steady note
+    const frames = [frame(1, 0), frame(1, 2), frame(1, 4), frame(1, 6), frame(2, 3), frame(2, 3), frame(2, 3), frame(2, 3)];
+    expect(measureDynamics(frames)).toEqual({ score: 3 / 8, dynamic: true });
+  });
+
+  it('ignores silent frames and steady notes', () => {
+    const frames = [frame(1, 0), frame(1, 0), frame(null, 15, false), frame(2, 5), frame(2, 5)];
+    expect(measureDynamics(frames)).toEqual({ score: 0, dynamic: false });
+    expect(measureDynamics([])).toEqual({ score: 0, dynamic: false });
+  });
+});
@@ -0,0 +1,92 @@
+// Offline rendering to 16-bit PCM WAV.
+//
+// Any renderer from ./playback.js can be rendered: the song plays for a
+// fixed length (with the renderer looping as needed) and the last
+// `fadeSeconds` fade out linearly. Rendering yields to the event loop
+// between chunks so a long song does not freeze the page.
+
+const CHUNK_SECONDS = 1;
+
+/**
+ * Encode samples as a 16-bit PCM WAV file.
+ * @param {Float32Array[]} channels - One array per channel, samples in -1..1
+ * @param {number} sampleRate
+ * @returns {Uint8Array}
+ */
+export const encodeWAV = (channels, sampleRate) => {
+  const frames = channels[0].length;
+  const blockAlign = channels.length * 2;
+  const dataSize = frames * blockAlign;
+  const file = new Uint8Array(44 + dataSize);
+  const view = new DataView(file.buffer);
+  const writeTag = (offset, tag) => {
+    for (let i = 0; i < 4; i++) view.setUint8(offset + i, tag.charCodeAt(i));
+  };
+
+  writeTag(0, 'RIFF');
+  view.setUint32(4, 36 + dataSize, true);
+  writeTag(8, 'WAVE');
+  writeTag(12, 'fmt ');
+  view.setUint32(16, 16, true); // fmt chunk size
+  view.setUint16(20, 1, true); // PCM
+  view.setUint16(22, channels.length, true);
+  view.setUint32(24, sampleRate, true);
+  view.setUint32(28, sampleRate * blockAlign, true);
+  view.setUint16(32, blockAlign, true);
+  view.setUint16(34, 16, true); // bits per sample
+  writeTag(36, 'data');
+  view.setUint32(40, dataSize, true);
+
+  let offset = 44;
+  for (let frame = 0; frame < frames; frame++) {
+    channels.forEach((samples) => {
+      const sample = Math.max(-1, Math.min(1, samples[frame]));
+      view.setInt16(offset, Math.round(sample * 0x7FFF), true);
+      offset += 2;
+    });
+  }
+
+  return file;
+};
+
+/**
+ * Render a renderer to a WAV file.
+ * @param {Object} renderer - From ./playback.js or ./sn76489.js
+ * @param {Object} options
+ * @param {number} options.seconds - Total length including the fade
+ * @param {number} [options.fadeSeconds=0]
+ * @param {number} options.sampleRate - Must match the renderer's
+ * @param {(progress: number) => void} [options.onProgress] - 0..1
+ * @returns {Promise<Uint8Array>}
+ */
+export const renderToWAV = async (renderer, {
+  seconds,
+  fadeSeconds = 0,
+  sampleRate,
+  onProgress,
+}) => {
+  const total = Math.max(1, Math.round(seconds * sampleRate));
+  const fadeStart = total - Math.round(fadeSeconds * sampleRate);
+  const chunkSize = Math.round(CHUNK_SECONDS * sampleRate);
+  let channels = null;
+
+  renderer.seek(0);
+
+  for (let start = 0; start < total; start += chunkSize) {
+    const chunk = renderer.render(Math.min(chunkSize, total - start));
+    if (!channels) channels = chunk.map(() => new Float32Array(total));
+
+    chunk.forEach((samples, channel) => {
+      samples.forEach((sample, index) => {
+        const position = start + index;
+        const gain = position < fadeStart ? 1 : (total - position) / (total - fadeStart);
+        channels[channel][position] = sample * gain;
+      });
+    });
+
+    if (onProgress) onProgress(Math.min(1, (start + chunkSize) / total));
+    await new Promise((resolve) => setTimeout(resolve, 0));
+  }
+
+  return encodeWAV(channels, sampleRate);
+};
@@ -0,0 +1,63 @@
+import { describe, expect, it } from 'vitest';
+import { encodeWAV, renderToWAV } from './wav.js';
+
+const tag = (file, offset) => String.fromCharCode(...file.subarray(offset, offset + 4));
+
+// A renderer playing a constant level on one channel
+const constantRenderer = (level) => ({
+  seeks: [],
+  seek(seconds) {
+    this.seeks.push(seconds);
+  },
+  render: (count) => [new Float32Array(count).fill(level)],
+});
+
+const samplesOf = (file) => {
+  const view = new DataView(file.buffer, 44);
+  return Array.from({ length: view.byteLength / 2 }, (_, index) => view.getInt16(index * 2, true));
+};
+
+describe('encodeWAV', () => {
+  it('writes a 16-bit PCM RIFF header', () => {
+    const file = encodeWAV([new Float32Array(10), new Float32Array(10)], 44100);
+    const view = new DataView(file.buffer);
+
+    expect([tag(file, 0), tag(file, 8), tag(file, 12), tag(file, 36)]).toEqual(['RIFF', 'WAVE', 'fmt ', 'data']);
+    expect(view.getUint32(4, true)).toBe(36 + 40);
+    expect(view.getUint16(20, true)).toBe(1); // PCM
+    expect(view.getUint16(22, true)).toBe(2);
+    expect(view.getUint32(24, true)).toBe(44100);
+    expect(view.getUint32(28, true)).toBe(44100 * 4);
+    expect(view.getUint16(32, true)).toBe(4);
+    expect(view.getUint16(34, true)).toBe(16);
+    expect(view.getUint32(40, true)).toBe(40);
+    expect(file).toHaveLength(44 + 40);
+  });
+
+  it('interleaves channels and clips samples to full scale', () => {
+    const file = encodeWAV([Float32Array.from([0.5, 2]), Float32Array.from([-0.5, -2])], 8000);
+    expect(samplesOf(file)).toEqual([16384, -16383, 32767, -32767]);
+  });
+});
+
+describe('renderToWAV', () => {
+  it('renders from the start and fades out linearly over the fade', async () => {
+    const renderer = constantRenderer(1);
+    const progress = [];
+    const file = await renderToWAV(renderer, { seconds: 3, fadeSeconds: 1, sampleRate: 100, onProgress: (value) => progress.push(value) });
+    const samples = samplesOf(file);
+
+    expect(renderer.seeks).toEqual([0]);
+    expect(samples).toHaveLength(300);
+    expect(samples.slice(0, 200).every((sample) => sample === 32767)).toBe(true);
+    expect(samples[200]).toBe(32767);
+    expect(samples[250]).toBe(Math.round(0.5 * 32767));
+    expect(samples[299]).toBe(Math.round(0.01 * 32767));
+    expect(progress[progress.length - 1]).toBe(1);
+  });
+
+  it('plays at full level without a fade', async () => {
+    const samples = samplesOf(await renderToWAV(constantRenderer(0.25), { seconds: 1, sampleRate: 100 }));
+    expect(new Set(samples)).toEqual(new Set([Math.round(0.25 * 32767)]));
+  });
+});
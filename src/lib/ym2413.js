@@ -0,0 +1,169 @@
+// YM2413 (OPLL) register tracking and VRC7 mapping.
+//
+// The VRC7's FM core is a cut-down YM2413 with the same register layout:
+//
+//   $00-$07  custom instrument (patch 0)
+//   $0E      rhythm mode (bit 5) and drum key bits (YM2413 only)
+//   $10+ch   F-number low 8 bits
+//   $20+ch   sustain (bit 5), key on (bit 4), block (bits 1-3), F-number bit 8
+//   $30+ch   instrument (high nibble), volume (low nibble, 3 dB steps)
+//
+// It has six channels instead of nine, no rhythm mode and its own set of 15
+// preset instruments. Both chips normally run from a 3.58 MHz clock, so
+// F-numbers carry over unchanged; presets are mapped to the closest VRC7
+// sound and the custom instrument is copied as is.
+
+export const YM2413_CHANNELS = 9;
+export const VRC7_CHANNELS = 6;
+export const VRC7_CLOCK = 3579545;
+
+// VRC7 register select and data ports. The chip needs 6 CPU cycles after a
+// select and 42 after a data write before it takes the next access.
+export const VRC7_ADDRESS_PORT = 0x9010;
+export const VRC7_DATA_PORT = 0x9030;
+
+export const NSF_EXPANSION_VRC7 = 0x02;
+
+const RHYTHM_REGISTER = 0x0E;
+const RHYTHM_ENABLE = 0x20;
+const FIRST_RHYTHM_CHANNEL = 6; // channels 6-8 play drums in rhythm mode
+const KEY_ON = 0x10;
+const CUSTOM_INSTRUMENT_REGISTERS = 8;
+
+// YM2413 preset instrument -> closest VRC7 preset (0 is the custom patch).
+// The VRC7's presets are 1 buzzy bell, 2 guitar, 3 wurly (electric piano),
+// 4 flute, 5 clarinet, 6 synth, 7 trumpet, 8 organ, 9 bells, 10 vibes,
+// 11 vibraphone, 12 tutti (ensemble), 13 fretless bass, 14 synth bass and
+// 15 sweep.
+//    1 violin -> 12 tutti          9 horn -> 12 tutti
+//    2 guitar -> 2 guitar          10 synthesizer -> 6 synth
+//    3 piano -> 3 wurly            11 harpsichord -> 2 guitar
+//    4 flute -> 4 flute            12 vibraphone -> 11 vibraphone
+//    5 clarinet -> 5 clarinet      13 synth bass -> 14 synth bass
+//    6 oboe -> 5 clarinet          14 acoustic bass -> 13 fretless bass
+//    7 trumpet -> 7 trumpet        15 electric guitar -> 2 guitar
+//    8 organ -> 8 organ
+export const YM2413_TO_VRC7_INSTRUMENT = [0, 12, 2, 3, 4, 5, 5, 7, 8, 12, 6, 2, 11, 14, 13, 2];
+
+/**
+ * Frequency of a channel's F-number and block.
+ * @param {number} fnum - 9-bit F-number
+ * @param {number} block - Octave, 0-7
+ * @param {number} clock - Chip clock in Hz
+ * @returns {number} Hz
+ */
+export const fmFrequency = (fnum, block, clock) => (fnum * clock) / 72 / 2 ** (19 - block);
+
+/**
+ * Re-express an F-number and block for the VRC7's clock, so a YM2413 part
+ * clocked differently keeps its pitch.
+ * @param {number} fnum
+ * @param {number} block
+ * @param {number} clock - Source chip clock in Hz
+ * @returns {{ fnum: number, block: number }}
+ */
+export const rescaleFNumber = (fnum, block, clock) => {
+  if (clock === VRC7_CLOCK) return { fnum, block };
+
+  let scaled = Math.round((fnum * clock) / VRC7_CLOCK);
+  let octave = block;
+
+  while (scaled > 0x1FF && octave < 7) {
+    scaled = Math.round(scaled / 2);
+    octave++;
+  }
+  while (scaled > 0 && scaled < 0x100 && octave > 0) {
+    scaled *= 2;
+    octave--;
+  }
+
+  return { fnum: Math.min(0x1FF, scaled), block: octave };
+};
+
+/**
+ * Decode one channel from a register snapshot.
+ * @param {Uint8Array} registers - 64 YM2413 registers
+ * @param {number} channel - 0-8
+ * @returns {{ fnum: number, block: number, key: boolean, sustain: boolean,
+ *   instrument: number, volume: number, rhythm: boolean }}
+ */
+export const decodeFMChannel = (registers, channel) => {
+  const control = registers[0x20 + channel];
+  return {
+    fnum: registers[0x10 + channel] | ((control & 0x01) << 8),
+    block: (control >> 1) & 0x07,
+    key: (control & KEY_ON) !== 0,
+    sustain: (control & 0x20) !== 0,
+    instrument: registers[0x30 + channel] >> 4,
+    volume: registers[0x30 + channel] & 0x0F,
+    // Drum channels are not melodic while rhythm mode is on
+    rhythm: (registers[RHYTHM_REGISTER] & RHYTHM_ENABLE) !== 0 && channel >= FIRST_RHYTHM_CHANNEL,
+  };
+};
+
+/**
+ * Replay YM2413 register writes into a snapshot per frame. Each frame also
+ * flags the channels keyed on during it, so a note re-struck within one
+ * frame (key off and on again) is not lost.
+ * @param {Array<{ register: number, value: number, sample: number }>} events
+ * @param {{ totalFrames: number, frameOf: (sample: number) => number }} timing
+ * @returns {Array<{ registers: Uint8Array, keyOns: boolean[] }>}
+ */
+export const sampleFMFrames = (events, { totalFrames, frameOf }) => {
+  const registers = new Uint8Array(0x40);
+  const frames = new Array(totalFrames);
+  let index = 0;
+
+  for (let frame = 0; frame < totalFrames; frame++) {
+    const keyOns = new Array(YM2413_CHANNELS).fill(false);
+
+    while (index < events.length && frameOf(events[index].sample) <= frame) {
+      const { register, value } = events[index];
+      const channel = register - 0x20;
+      if (channel >= 0 && channel < YM2413_CHANNELS && (value & KEY_ON) && !(registers[register] & KEY_ON)) {
+        keyOns[channel] = true;
+      }
+      if (register < registers.length) registers[register] = value;
+      index++;
+    }
+
+    frames[frame] = { registers: registers.slice(), keyOns };
+  }
+
+  return frames;
+};
+
+/**
+ * Custom instrument registers as [register, value] pairs.
+ * @param {Uint8Array} registers
+ * @returns {Array<[number, number]>}
+ */
+export const customInstrumentWrites = (registers) => (
+  Array.from({ length: CUSTOM_INSTRUMENT_REGISTERS }, (_, register) => [register, registers[register]])
+);
+
+/**
+ * VRC7 writes for one channel playing a decoded YM2413 channel.
+ * @param {number} channel - VRC7 channel, 0-5
+ * @param {Object} fm - From decodeFMChannel
+ * @param {number} clock - YM2413 clock in Hz
+ * @returns {Array<[number, number]>}
+ */
+export const vrc7ChannelWrites = (channel, fm, clock) => {
+  const { fnum, block } = rescaleFNumber(fm.fnum, fm.block, clock);
+  const control = (fm.sustain ? 0x20 : 0) | (fm.key ? KEY_ON : 0) | (block << 1) | (fnum >> 8);
+
+  return [
+    [0x10 + channel, fnum & 0xFF],
+    [0x20 + channel, control],
+    [0x30 + channel, (YM2413_TO_VRC7_INSTRUMENT[fm.instrument] << 4) | fm.volume],
+  ];
+};
+
+/**
+ * SN76489-style attenuation (2 dB steps, 15 = silent) for a YM2413 volume
+ * (3 dB steps), for approximating FM parts on 2A03 channels.
+ * @param {number} volume - 0 (loudest) to 15
+ * @returns {number}
+ */
+export const fmVolumeToAttenuation = (volume) => Math.min(0x0F, Math.round(volume * 1.5));
@@ -0,0 +1,89 @@
+import { describe, expect, it } from 'vitest';
+import {
+  decodeFMChannel,
+  fmFrequency,
+  fmVolumeToAttenuation,
+  rescaleFNumber,
+  sampleFMFrames,
+  VRC7_CLOCK,
+  vrc7ChannelWrites,
+} from './ym2413.js';
+
+// Registers for one channel: F-number, block, key and instrument/volume
+const channelRegisters = (channel, { fnum, block, key = true, instrument = 0, volume = 0 }) => {
+  const registers = new Uint8Array(0x40);
+  registers[0x10 + channel] = fnum & 0xFF;
+  registers[0x20 + channel] = (key ? 0x10 : 0) | (block << 1) | (fnum >> 8);
+  registers[0x30 + channel] = (instrument << 4) | volume;
+  return registers;
+};
+
+describe('fmFrequency', () => {
+  it('gives A4 for F-number 290 in block 4 at 3.58 MHz', () => {
+    expect(fmFrequency(290, 4, VRC7_CLOCK)).toBeCloseTo(440, 0);
+    expect(fmFrequency(290, 5, VRC7_CLOCK)).toBeCloseTo(2 * fmFrequency(290, 4, VRC7_CLOCK), 6);
+  });
+});
+
+describe('rescaleFNumber', () => {
+  it('keeps F-numbers at the VRC7 clock', () => {
+    expect(rescaleFNumber(290, 4, VRC7_CLOCK)).toEqual({ fnum: 290, block: 4 });
+  });
+
+  it('keeps the pitch of a part clocked differently', () => {
+    const clock = VRC7_CLOCK * 1.5;
+    const { fnum, block } = rescaleFNumber(400, 4, clock);
+    expect(block).toBe(5);
+    expect(fmFrequency(fnum, block, VRC7_CLOCK)).toBeCloseTo(fmFrequency(400, 4, clock), -1);
+  });
+});
+
+describe('decodeFMChannel', () => {
+  it('reads the channel\'s registers', () => {
+    const registers = channelRegisters(2, { fnum: 0x1A5, block: 3, instrument: 7, volume: 4 });
+    registers[0x22] |= 0x20;
+    expect(decodeFMChannel(registers, 2)).toEqual({
+      fnum: 0x1A5, block: 3, key: true, sustain: true, instrument: 7, volume: 4, rhythm: false,
+    });
+  });
+
+  it('marks channels 6-8 as drums in rhythm mode', () => {
+    const registers = channelRegisters(6, { fnum: 0x100, block: 2 });
+    registers[0x0E] = 0x20;
+    expect(decodeFMChannel(registers, 6).rhythm).toBe(true);
+    expect(decodeFMChannel(registers, 5).rhythm).toBe(false);
+  });
+});
+
+describe('sampleFMFrames', () => {
+  it('flags a note re-struck within one frame', () => {
+    // Channel 0 keyed on in frame 0, then off and on again inside frame 2
+    const events = [
+      { register: 0x20, value: 0x18, sample: 0 },
+      { register: 0x20, value: 0x08, sample: 210 },
+      { register: 0x20, value: 0x18, sample: 250 },
+    ];
+    const frames = sampleFMFrames(events, { totalFrames: 3, frameOf: (sample) => Math.floor(sample / 100) });
+
+    expect(frames.map(({ keyOns }) => keyOns[0])).toEqual([true, false, true]);
+    expect(frames[1].registers[0x20]).toBe(0x18);
+  });
+});
+
+describe('vrc7ChannelWrites', () => {
+  it('maps the preset to the closest VRC7 instrument', () => {
+    // YM2413 preset 1 (violin) plays as VRC7 preset 12 (tutti)
+    const fm = decodeFMChannel(channelRegisters(0, { fnum: 290, block: 4, instrument: 1, volume: 3 }), 0);
+    expect(vrc7ChannelWrites(5, fm, VRC7_CLOCK)).toEqual([
+      [0x15, 290 & 0xFF],
+      [0x25, 0x10 | (4 << 1) | 1],
+      [0x35, (12 << 4) | 3],
+    ]);
+  });
+});
+
+describe('fmVolumeToAttenuation', () => {
+  it('converts 3 dB steps to 2 dB steps', () => {
+    expect([0, 2, 4, 10, 15].map(fmVolumeToAttenuation)).toEqual([0, 3, 6, 15, 15]);
+  });
+});
@@ -0,0 +1,107 @@
+// ZIP archive writer for batch downloads.
+//
+// Entries are stored uncompressed: NSFs are small and mostly register data
+// that the browser would spend more time deflating than it saves, and a
+// stored archive can be built synchronously without any library. Names are
+// written as UTF-8 (general purpose flag bit 11).
+
+const LOCAL_HEADER = 0x04034B50;
+const CENTRAL_HEADER = 0x02014B50;
+const END_OF_CENTRAL_DIRECTORY = 0x06054B50;
+const ZIP_VERSION = 20; // 2.0: folders and stored entries
+const UTF8_NAMES = 0x0800;
+const METHOD_STORE = 0;
+
+const CRC_TABLE = Array.from({ length: 256 }, (_, index) => {
+  let crc = index;
+  for (let bit = 0; bit < 8; bit++) {
+    crc = crc & 1 ? 0xEDB88320 ^ (crc >>> 1) : crc >>> 1;
+  }
+  return crc >>> 0;
+});
+
+/**
+ * CRC-32 (IEEE) of a byte array, as used by ZIP and gzip.
+ * @param {Uint8Array} bytes
+ * @returns {number}
+ */
+export const crc32 = (bytes) => {
+  let crc = 0xFFFFFFFF;
+  for (let i = 0; i < bytes.length; i++) {
+    crc = CRC_TABLE[(crc ^ bytes[i]) & 0xFF] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xFFFFFFFF) >>> 0;
+};
+
+// MS-DOS time and date fields (2-second resolution, years from 1980)
+const dosDateTime = (date) => ({
+  time: (date.getHours() << 11) | (date.getMinutes() << 5) | (date.getSeconds() >> 1),
+  date: ((Math.max(1980, date.getFullYear()) - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate(),
+});
+
+/**
+ * Build a ZIP archive.
+ * @param {Array<{ name: string, data: Uint8Array | string }>} entries - Paths use
+ *   forward slashes; string data is stored as UTF-8
+ * @param {Object} [options]
+ * @param {Date} [options.date] - Modification time of every entry
+ * @returns {Uint8Array}
+ */
+export const buildZip = (entries, { date = new Date() } = {}) => {
+  const encoder = new TextEncoder();
+  const stamp = dosDateTime(date);
+  const files = entries.map(({ name, data }) => {
+    const bytes = typeof data === 'string' ? encoder.encode(data) : data;
+    return { name: encoder.encode(name), bytes, crc: crc32(bytes) };
+  });
+
+  const localSize = files.reduce((size, file) => size + 30 + file.name.length + file.bytes.length, 0);
+  const centralSize = files.reduce((size, file) => size + 46 + file.name.length, 0);
+  const zip = new Uint8Array(localSize + centralSize + 22);
+  const view = new DataView(zip.buffer);
+  let offset = 0;
+
+  // Fields shared by the local and central headers, from "version needed"
+  // through the extra field length
+  const writeCommon = (at, file) => {
+    view.setUint16(at, ZIP_VERSION, true);
+    view.setUint16(at + 2, UTF8_NAMES, true);
+    view.setUint16(at + 4, METHOD_STORE, true);
+    view.setUint16(at + 6, stamp.time, true);
+    view.setUint16(at + 8, stamp.date, true);
+    view.setUint32(at + 10, file.crc, true);
+    view.setUint32(at + 14, file.bytes.length, true); // compressed size
+    view.setUint32(at + 18, file.bytes.length, true);
+    view.setUint16(at + 22, file.name.length, true);
+    view.setUint16(at + 24, 0, true);
+  };
+
+  const localOffsets = files.map((file) => {
+    const start = offset;
+    view.setUint32(offset, LOCAL_HEADER, true);
+    writeCommon(offset + 4, file);
+    zip.set(file.name, offset + 30);
+    zip.set(file.bytes, offset + 30 + file.name.length);
+    offset += 30 + file.name.length + file.bytes.length;
+    return start;
+  });
+
+  const centralStart = offset;
+  files.forEach((file, index) => {
+    view.setUint32(offset, CENTRAL_HEADER, true);
+    view.setUint16(offset + 4, ZIP_VERSION, true); // version made by
+    writeCommon(offset + 6, file);
+    // comment length, disk number, internal and external attributes stay 0
+    view.setUint32(offset + 42, localOffsets[index], true);
+    zip.set(file.name, offset + 46);
+    offset += 46 + file.name.length;
+  });
+
+  view.setUint32(offset, END_OF_CENTRAL_DIRECTORY, true);
+  view.setUint16(offset + 8, files.length, true);
+  view.setUint16(offset + 10, files.length, true);
+  view.setUint32(offset + 12, centralSize, true);
+  view.setUint32(offset + 16, centralStart, true);
+
+  return zip;
+};
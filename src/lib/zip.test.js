@@ -0,0 +1,49 @@
+import { describe, expect, it } from 'vitest';
+import { buildZip, crc32 } from './zip.js';
+
+const text = (bytes) => new TextDecoder().decode(bytes);
+
+describe('crc32', () => {
+  it('matches the standard check value', () => {
+    expect(crc32(new TextEncoder().encode('123456789'))).toBe(0xCBF43926);
+    expect(crc32(new Uint8Array(0))).toBe(0);
+  });
+});
+
+describe('buildZip', () => {
+  it('stores each entry after a local header and lists it in the central directory', () => {
+    const data = Uint8Array.from([1, 2, 3, 4]);
+    const zip = buildZip([{ name: 'set/a.nsf', data }, { name: 'log.txt', data: 'ok' }], { date: new Date(2024, 0, 2, 3, 4, 6) });
+    const view = new DataView(zip.buffer);
+
+    // First local header
+    expect(view.getUint32(0, true)).toBe(0x04034B50);
+    expect(view.getUint16(8, true)).toBe(0); // stored
+    expect(view.getUint16(10, true)).toBe((3 << 11) | (4 << 5) | 3);
+    expect(view.getUint16(12, true)).toBe((44 << 9) | (1 << 5) | 2);
+    expect(view.getUint32(14, true)).toBe(crc32(data));
+    expect(view.getUint32(18, true)).toBe(4);
+    expect(text(zip.subarray(30, 39))).toBe('set/a.nsf');
+    expect([...zip.subarray(39, 43)]).toEqual([1, 2, 3, 4]);
+
+    // End of central directory
+    const end = zip.length - 22;
+    expect(view.getUint32(end, true)).toBe(0x06054B50);
+    expect(view.getUint16(end + 10, true)).toBe(2);
+    const centralStart = view.getUint32(end + 16, true);
+    expect(centralStart + view.getUint32(end + 12, true)).toBe(end);
+
+    // Second central directory entry points at the second local header
+    const second = centralStart + 46 + 9;
+    expect(view.getUint32(second, true)).toBe(0x02014B50);
+    const localOffset = view.getUint32(second + 42, true);
+    expect(localOffset).toBe(43);
+    expect(text(zip.subarray(localOffset + 30, localOffset + 37))).toBe('log.txt');
+    expect(text(zip.subarray(localOffset + 37, localOffset + 39))).toBe('ok');
+  });
+
+  it('flags names as UTF-8', () => {
+    const zip = buildZip([{ name: 'ソニック.nsf', data: new Uint8Array(1) }]);
+    expect(new DataView(zip.buffer).getUint16(6, true) & 0x0800).toBe(0x0800);
+  });
+});
@@ -0,0 +1,42 @@
+#!/usr/bin/env node
+// Standalone server for the /api/convert endpoint.
+//
+// Serves the endpoint the upload page calls (./server/convertApi.js) without
+// Vite, for running the converter on another machine or behind a proxy:
+//
+//   node src/server.js --port 3001
+//
+// The port also comes from PORT. `npm run dev` mounts the same handler
+// itself (vite.config.js), so this is only needed outside Vite.
+
+import http from 'node:http';
+import { parseArgs } from 'node:util';
+import { CONVERT_API_PATH, convertApiMiddleware } from './server/convertApi.js';
+
+const DEFAULT_PORT = 3001;
+
+const { values } = parseArgs({
+  options: {
+    port: { type: 'string', short: 'p' },
+    host: { type: 'string' },
+  },
+});
+
+const port = Number(values.port || process.env.PORT || DEFAULT_PORT);
+if (!Number.isInteger(port) || port < 0 || port > 65535) {
+  console.error(`Invalid port "${values.port || process.env.PORT}"`);
+  process.exit(2);
+}
+
+const server = http.createServer((req, res) => {
+  convertApiMiddleware(req, res, () => {
+    res.statusCode = 404;
+    res.setHeader('Content-Type', 'application/json; charset=utf-8');
+    res.end(JSON.stringify({ message: `Not found; the converter is at ${CONVERT_API_PATH}`, code: 'not_found' }));
+  });
+});
+
+server.listen(port, values.host, () => {
+  const { port: listening } = server.address();
+  console.log(`Converter API listening on http://${values.host || 'localhost'}:${listening}${CONVERT_API_PATH}`);
+});
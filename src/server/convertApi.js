@@ -0,0 +1,216 @@
+// Local implementation of the app's /api/convert endpoint.
+//
+// The upload page (App.jsx) POSTs multipart form data with the VGM or VGZ
+// file in `file` and the chosen system in `system`, and expects the NSF
+// back, or a JSON `{ message }` body when the response is not ok. This
+// handler runs the same pipeline as the converter component and the CLI
+// (../lib/converter.js) and can be mounted in the standalone server
+// (../server.js) or in Vite's dev and preview servers (convertApiPlugin).
+//
+// Errors are JSON `{ message, code }` with:
+//   400 bad_request          no file, a malformed form or an unknown system
+//   405 method_not_allowed   anything but POST
+//   413 payload_too_large    uploads over MAX_UPLOAD_BYTES
+//   415 unsupported_media    a body that is not multipart/form-data
+//   422 invalid_vgm          not a VGM/VGZ file
+//   422 truncated_vgm        a header or command stream cut short
+//   422 unsupported_system   a system without an SN76489 (Game Boy, MSX)
+//   422 conversion_failed    a valid file the converter could not convert
+//   500 internal_error       anything else
+
+import { convertVGMFile } from '../lib/converter.js';
+import { decompressVGM } from '../lib/gzip.js';
+
+export const CONVERT_API_PATH = '/api/convert';
+export const MAX_UPLOAD_BYTES = 16 * 1024 * 1024;
+
+const VGM_HEADER_SIZE = 0x40;
+
+// The upload page's system ids, as converter source systems
+const SYSTEMS = {
+  '': 'auto',
+  auto: 'auto',
+  SMS: 'sms',
+  GG: 'gg',
+  'SG-1000': 'sg1000',
+};
+const UNSUPPORTED_SYSTEMS = {
+  GB: 'Game Boy',
+  MSX: 'MSX',
+};
+
+class ApiError extends Error {
+  constructor(status, code, message) {
+    super(message);
+    this.status = status;
+    this.code = code;
+  }
+}
+
+const sendJSON = (res, status, body) => {
+  res.statusCode = status;
+  res.setHeader('Content-Type', 'application/json; charset=utf-8');
+  res.end(JSON.stringify(body));
+};
+
+// The request body, refused once it passes the upload limit. The rest of an
+// oversized body is still read so the client gets the 413 instead of a reset.
+const readBody = (req) => new Promise((resolve, reject) => {
+  const declared = Number(req.headers['content-length']);
+  if (declared > MAX_UPLOAD_BYTES) {
+    req.resume();
+    reject(new ApiError(413, 'payload_too_large', `Uploads are limited to ${MAX_UPLOAD_BYTES / (1024 * 1024)} MB`));
+    return;
+  }
+
+  const chunks = [];
+  let size = 0;
+  req.on('data', (chunk) => {
+    size += chunk.length;
+    if (size <= MAX_UPLOAD_BYTES) chunks.push(chunk);
+  });
+  req.on('end', () => {
+    if (size > MAX_UPLOAD_BYTES) {
+      reject(new ApiError(413, 'payload_too_large', `Uploads are limited to ${MAX_UPLOAD_BYTES / (1024 * 1024)} MB`));
+    } else {
+      resolve(Buffer.concat(chunks));
+    }
+  });
+  req.on('error', reject);
+});
+
+// Multipart fields, parsed with the platform's fetch implementation
+const readForm = async (req) => {
+  const contentType = req.headers['content-type'] || '';
+  if (!/^multipart\/form-data/i.test(contentType)) {
+    throw new ApiError(415, 'unsupported_media', 'Send the file as multipart/form-data');
+  }
+
+  const body = await readBody(req);
+  try {
+    return await new Response(body, { headers: { 'Content-Type': contentType } }).formData();
+  } catch {
+    throw new ApiError(400, 'bad_request', 'The form data could not be read');
+  }
+};
+
+const sourceSystem = (value) => {
+  const id = typeof value === 'string' ? value.trim() : '';
+  if (UNSUPPORTED_SYSTEMS[id]) {
+    throw new ApiError(422, 'unsupported_system', `${UNSUPPORTED_SYSTEMS[id]} VGMs use a different sound chip and cannot be converted`);
+  }
+  if (!(id in SYSTEMS)) {
+    throw new ApiError(400, 'bad_request', `Unknown system "${id}" (expected ${Object.keys(SYSTEMS).filter(Boolean).join(', ')})`);
+  }
+  return SYSTEMS[id];
+};
+
+// Reject files the converter would misread before it runs: too short for a
+// header, not a VGM, or cut off before the header's end-of-file offset
+const checkVGM = (buffer) => {
+  if (buffer.byteLength < 4) {
+    throw new ApiError(422, 'truncated_vgm', 'The file is too short to be a VGM');
+  }
+
+  const view = new DataView(buffer);
+  if (view.getUint32(0, false) !== 0x56676D20) { // 'Vgm '
+    throw new ApiError(422, 'invalid_vgm', 'Not a VGM or VGZ file');
+  }
+  if (buffer.byteLength < VGM_HEADER_SIZE) {
+    throw new ApiError(422, 'truncated_vgm', `Truncated VGM header: ${buffer.byteLength} of ${VGM_HEADER_SIZE} bytes`);
+  }
+
+  const fileSize = view.getUint32(0x04, true) + 0x04;
+  if (fileSize > buffer.byteLength) {
+    throw new ApiError(422, 'truncated_vgm', `Truncated VGM data: the header gives ${fileSize} bytes but the file has ${buffer.byteLength}`);
+  }
+};
+
+// Conversion errors that describe the file rather than the converter
+const conversionError = (error) => {
+  if (/^Truncated VGM/.test(error.message)) return new ApiError(422, 'truncated_vgm', error.message);
+  if (/^(Invalid|VGM parsing error)/.test(error.message)) return new ApiError(422, 'invalid_vgm', error.message);
+  return new ApiError(422, 'conversion_failed', error.message);
+};
+
+const outputName = (fileName) => `${(fileName || 'converted').replace(/\.vg[mz]$/i, '')}.nsf`;
+
+/**
+ * Handle a POST to /api/convert: convert the uploaded VGM or VGZ to an NSF.
+ * @param {import('node:http').IncomingMessage} req
+ * @param {import('node:http').ServerResponse} res
+ * @returns {Promise<void>} Resolves once the response is sent
+ */
+export const handleConvertRequest = async (req, res) => {
+  try {
+    if (req.method !== 'POST') {
+      res.setHeader('Allow', 'POST');
+      throw new ApiError(405, 'method_not_allowed', `${req.method} is not supported; POST the file instead`);
+    }
+
+    const form = await readForm(req);
+    const file = form.get('file');
+    if (!file || typeof file === 'string') {
+      throw new ApiError(400, 'bad_request', 'No file in the "file" field');
+    }
+    const system = sourceSystem(form.get('system'));
+
+    let buffer;
+    try {
+      buffer = await decompressVGM(await file.arrayBuffer());
+    } catch (error) {
+      throw new ApiError(422, 'invalid_vgm', error.message);
+    }
+    checkVGM(buffer);
+
+    let data;
+    try {
+      ({ data } = await convertVGMFile(buffer, { system }));
+    } catch (error) {
+      throw conversionError(error);
+    }
+
+    res.statusCode = 200;
+    res.setHeader('Content-Type', 'application/octet-stream');
+    res.setHeader('Content-Length', data.length);
+    res.setHeader('Content-Disposition', `attachment; filename="${outputName(file.name).replace(/["\\]/g, '_')}"`);
+    res.end(Buffer.from(data.buffer, data.byteOffset, data.length));
+  } catch (error) {
+    if (error instanceof ApiError) {
+      sendJSON(res, error.status, { message: error.message, code: error.code });
+    } else {
+      console.error('Conversion API error:', error);
+      sendJSON(res, 500, { message: 'Unexpected error during conversion', code: 'internal_error' });
+    }
+  }
+};
+
+/**
+ * Connect-style middleware answering /api/convert and passing every other
+ * request on.
+ * @param {import('node:http').IncomingMessage} req
+ * @param {import('node:http').ServerResponse} res
+ * @param {Function} next
+ */
+export const convertApiMiddleware = (req, res, next) => {
+  const pathname = (req.url || '').split('?')[0];
+  if (pathname !== CONVERT_API_PATH) {
+    next();
+    return;
+  }
+  handleConvertRequest(req, res);
+};
+
+/**
+ * Vite plugin serving /api/convert from `vite` and `vite preview`.
+ * @returns {Object}
+ */
+export const convertApiPlugin = () => ({
+  name: 'convert-api',
+  configureServer(server) {
+    server.middlewares.use(convertApiMiddleware);
+  },
+  configurePreviewServer(server) {
+    server.middlewares.use(convertApiMiddleware);
+  },
+});
@@ -0,0 +1,95 @@
+import http from 'node:http';
+import { gzipSync } from 'node:zlib';
+import { afterAll, beforeAll, describe, expect, it } from 'vitest';
+import { CONVERT_API_PATH, convertApiMiddleware, MAX_UPLOAD_BYTES } from './convertApi.js';
+
+// One second of tone 0 at full volume in a VGM 1.50 file
+const makeVGM = () => {
+  const commands = [0x50, 0x8E, 0x50, 0x0F, 0x50, 0x90, 0x61, 0x44, 0xAC, 0x66];
+  const bytes = new Uint8Array(0x40 + commands.length);
+  const view = new DataView(bytes.buffer);
+  bytes.set([0x56, 0x67, 0x6D, 0x20]); // 'Vgm '
+  view.setUint32(0x04, bytes.length - 4, true);
+  view.setUint32(0x08, 0x150, true);
+  view.setUint32(0x0C, 3579545, true);
+  view.setUint32(0x18, 44100, true);
+  view.setUint32(0x34, 0x0C, true);
+  bytes.set(commands, 0x40);
+  return bytes;
+};
+
+const form = (file, name = 'song.vgm', system) => {
+  const body = new FormData();
+  if (file) body.append('file', new Blob([file]), name);
+  if (system !== undefined) body.append('system', system);
+  return body;
+};
+
+describe('convert API', () => {
+  let server;
+  let url;
+
+  const post = (body, init = {}) => fetch(url, { method: 'POST', body, ...init });
+  const expectError = async (response, status, code) => {
+    expect(response.status).toBe(status);
+    expect(await response.json()).toMatchObject({ code, message: expect.any(String) });
+  };
+
+  beforeAll(async () => {
+    server = http.createServer((req, res) => convertApiMiddleware(req, res, () => {
+      res.statusCode = 404;
+      res.end();
+    }));
+    await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+    url = `http://127.0.0.1:${server.address().port}${CONVERT_API_PATH}`;
+  });
+
+  afterAll(async () => {
+    await new Promise((resolve) => server.close(resolve));
+  });
+
+  it('returns the NSF for a VGM upload', async () => {
+    const response = await post(form(makeVGM(), 'song.vgm', 'SMS'));
+    const data = new Uint8Array(await response.arrayBuffer());
+
+    expect(response.status).toBe(200);
+    expect(response.headers.get('content-type')).toBe('application/octet-stream');
+    expect(response.headers.get('content-disposition')).toBe('attachment; filename="song.nsf"');
+    expect(String.fromCharCode(...data.subarray(0, 5))).toBe('NESM\x1A');
+  });
+
+  it('accepts a .vgz upload', async () => {
+    const response = await post(form(gzipSync(makeVGM()), 'song.vgz'));
+    expect(response.status).toBe(200);
+  });
+
+  it('answers 405 to anything but POST', async () => {
+    const response = await fetch(url);
+    expect(response.headers.get('allow')).toBe('POST');
+    await expectError(response, 405, 'method_not_allowed');
+  });
+
+  it('answers 415 to a body that is not multipart', async () => {
+    await expectError(await post('{}', { headers: { 'Content-Type': 'application/json' } }), 415, 'unsupported_media');
+  });
+
+  it('answers 400 to a form without a file or with an unknown system', async () => {
+    await expectError(await post(form(null, undefined, 'SMS')), 400, 'bad_request');
+    await expectError(await post(form(makeVGM(), 'song.vgm', 'NES')), 400, 'bad_request');
+  });
+
+  it('answers 413 to uploads over the limit', async () => {
+    await expectError(await post(form(new Uint8Array(MAX_UPLOAD_BYTES + 1))), 413, 'payload_too_large');
+  });
+
+  it('answers 422 to files it cannot convert', async () => {
+    await expectError(await post(form(new TextEncoder().encode('not a vgm file'))), 422, 'invalid_vgm');
+    await expectError(await post(form(makeVGM().subarray(0, 0x30))), 422, 'truncated_vgm');
+    await expectError(await post(form(makeVGM(), 'song.vgm', 'GB')), 422, 'unsupported_system');
+  });
+
+  it('passes other paths on', async () => {
+    const response = await fetch(url.replace(CONVERT_API_PATH, '/other'));
+    expect(response.status).toBe(404);
+  });
+});
@@ -0,0 +1,9 @@
+import { defineConfig } from 'vite';
+import react from '@vitejs/plugin-react';
+import { convertApiPlugin } from './src/server/convertApi.js';
+
+// The upload page posts to /api/convert; serve it from the dev and preview
+// servers so the app works without a separate backend
+export default defineConfig({
+  plugins: [react(), convertApiPlugin()],
+});